@@ -0,0 +1,73 @@
+// Offline support for field tablets. Project data itself lives in IndexedDB;
+// this worker only keeps the app shell and the bundled sample/background data.
+const CACHE = 'trench-mvp-v1'
+
+const SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/trenches.geojson',
+  '/background.geojson'
+]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(() => null))))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// The page sends what it loaded before the worker took control (hashed
+// bundles, fonts) so the first visit is enough to work offline afterwards
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-urls') return
+  const urls = (event.data.urls || []).filter(url => new URL(url).origin === self.location.origin)
+  event.waitUntil(
+    caches.open(CACHE).then(cache => Promise.all(urls.map(url => cache.add(url).catch(() => null))))
+  )
+})
+
+const putInCache = (request, response) => {
+  if (response.ok && response.type === 'basic') {
+    const copy = response.clone()
+    caches.open(CACHE).then(cache => cache.put(request, copy))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  // Pages: network first so a deploy is picked up, the cached shell offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    )
+    return
+  }
+
+  // Everything else: answer from cache and refresh it in the background
+  const cached = caches.match(request)
+  const network = fetch(request)
+    .then(response => putInCache(request, response))
+    .catch(() => cached.then(hit => hit || Response.error()))
+  event.waitUntil(network)
+  event.respondWith(cached.then(hit => hit || network))
+})
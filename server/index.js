@@ -0,0 +1,183 @@
+// Local sync server: stores shared projects and relays range ops between
+// crews, and serves site tile sets from TILES_DIR. Run with
+// `npm run sync-server`; PORT, DATA_DIR and TILES_DIR are optional.
+import http from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { WebSocketServer } from 'ws'
+import { createStore } from './store.js'
+import { createTileSource } from './tiles.js'
+import { applyOpsToFeatures, isValidOp } from '../src/components/syncOps.js'
+import { getStages } from '../src/components/stages.js'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL('./data', import.meta.url))
+const TILES_DIR = process.env.TILES_DIR || fileURLToPath(new URL('./tiles', import.meta.url))
+const MAX_BODY_BYTES = 50 * 1024 * 1024
+
+const store = await createStore(DATA_DIR)
+const tiles = await createTileSource(TILES_DIR)
+const sockets = new Map()
+
+function broadcast(projectId, message, exceptClient) {
+  const text = JSON.stringify(message)
+  for (const ws of (sockets.get(projectId) || [])) {
+    if (ws.clientId !== exceptClient && ws.readyState === ws.OPEN) ws.send(text)
+  }
+}
+
+// Shared by POST /ops and the socket; returns the HTTP status and what the
+// sender gets back. A batch with any malformed op is refused as a whole.
+function receiveOps(projectId, clientId, ops) {
+  if (!store.get(projectId)) return { status: 404, error: 'Unknown project' }
+  if (!ops.every(isValidOp)) return { status: 400, error: 'Malformed op' }
+  let conflicts = 0
+  const accepted = store.append(projectId, ops, (data, stamped) => {
+    const result = applyOpsToFeatures(data.features, stamped, getStages(data.settings))
+    conflicts = result.conflicts.length
+    return { ...data, features: result.features }
+  })
+  if (accepted.length) broadcast(projectId, { type: 'ops', ops: accepted }, clientId)
+  return { status: 200, ids: ops.map(op => op.id), seq: store.get(projectId).seq, conflicts }
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0
+  const chunks = []
+  req.on('data', chunk => {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request too large'))
+      req.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {})
+    } catch {
+      reject(new Error('Invalid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+// GET /api/tiles lists the tile sets, /api/tiles/NAME/z/x/y is one tile
+async function serveTiles(req, res, [name, ...zxy]) {
+  if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' })
+  if (!name) return send(res, 200, tiles.list())
+  const [z, x, y] = zxy.map(v => Number(String(v).replace(/\.\w+$/, '')))
+  if (![z, x, y].every(Number.isInteger)) return send(res, 400, { error: 'Expected /z/x/y' })
+  const tile = await tiles.tile(name, z, x, y)
+  if (!tile) return send(res, 404, { error: 'No tile' })
+  res.writeHead(200, {
+    'Content-Type': tile.type,
+    'Cache-Control': 'public, max-age=86400',
+    'Access-Control-Allow-Origin': '*'
+  })
+  res.end(tile.data)
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204)
+  const url = new URL(req.url, 'http://localhost')
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  if (parts[0] === 'api' && parts[1] === 'tiles') return serveTiles(req, res, parts.slice(2))
+  if (parts[0] !== 'api' || parts[1] !== 'projects') return send(res, 404, { error: 'Not found' })
+  const [, , id, sub] = parts
+
+  if (!id && req.method === 'GET') return send(res, 200, store.list())
+  if (!id) return send(res, 405, { error: 'Method not allowed' })
+
+  if (!sub) {
+    if (req.method === 'GET') {
+      const entry = store.get(id)
+      return entry
+        ? send(res, 200, { project: entry.project, data: entry.data, seq: entry.seq })
+        : send(res, 404, { error: 'Unknown project' })
+    }
+    if (req.method === 'PUT') {
+      const { project, data } = await readBody(req)
+      if (!data || !Array.isArray(data.features)) return send(res, 400, { error: 'Missing project data' })
+      const entry = store.put({ ...project, id }, data)
+      broadcast(id, { type: 'reset', seq: entry.seq })
+      return send(res, 200, { project: entry.project, seq: entry.seq })
+    }
+  }
+
+  if (sub === 'ops') {
+    if (req.method === 'GET') {
+      const ops = store.since(id, Number(url.searchParams.get('since')) || 0)
+      if (!ops) return send(res, store.get(id) ? 409 : 404, { error: 'Reload the project' })
+      return send(res, 200, { ops, seq: store.get(id).seq })
+    }
+    if (req.method === 'POST') {
+      const { clientId, ops } = await readBody(req)
+      if (!Array.isArray(ops)) return send(res, 400, { error: 'Missing ops' })
+      const { status, ...result } = receiveOps(id, clientId, ops)
+      return send(res, status, result)
+    }
+  }
+
+  return send(res, 405, { error: 'Method not allowed' })
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(err => send(res, 400, { error: err.message }))
+})
+
+// ws://host/ws?project=ID&client=CLIENT_ID
+const wss = new WebSocketServer({ server, path: '/ws' })
+
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, 'http://localhost')
+  const projectId = url.searchParams.get('project')
+  ws.clientId = url.searchParams.get('client')
+  if (!projectId || !store.get(projectId)) {
+    ws.close(4004, 'Unknown project')
+    return
+  }
+  if (!sockets.has(projectId)) sockets.set(projectId, new Set())
+  sockets.get(projectId).add(ws)
+  ws.send(JSON.stringify({ type: 'hello', seq: store.get(projectId).seq }))
+
+  ws.on('message', (raw) => {
+    let message
+    try {
+      message = JSON.parse(raw.toString())
+    } catch {
+      return
+    }
+    if (message?.type !== 'ops' || !Array.isArray(message.ops)) return
+    try {
+      const { status, ...result } = receiveOps(projectId, ws.clientId, message.ops)
+      ws.send(JSON.stringify(status === 200 ? { type: 'ack', ...result } : { type: 'error', error: result.error }))
+    } catch (err) {
+      console.error(`Could not apply ops to ${projectId}:`, err.message)
+      ws.send(JSON.stringify({ type: 'error', error: 'Could not apply ops' }))
+    }
+  })
+
+  ws.on('close', () => sockets.get(projectId)?.delete(ws))
+})
+
+server.listen(PORT, () => {
+  console.log(`Trench sync server on http://localhost:${PORT} (data in ${DATA_DIR}, tiles in ${TILES_DIR})`)
+})
+
+const shutdown = async () => {
+  await store.flush()
+  process.exit(0)
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
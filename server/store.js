@@ -0,0 +1,108 @@
+import { mkdir, readFile, readdir, rename, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Ops kept per project for clients catching up with ?since=; anyone further
+// behind reloads the whole project
+const MAX_OPS = 5000
+const WRITE_DELAY_MS = 500
+
+// One JSON file per project: { project, data, seq, ops }
+export async function createStore(dir) {
+  await mkdir(dir, { recursive: true })
+  const projects = new Map()
+  const timers = new Map()
+
+  for (const name of await readdir(dir)) {
+    if (!name.endsWith('.json')) continue
+    try {
+      const entry = JSON.parse(await readFile(path.join(dir, name), 'utf8'))
+      if (entry?.project?.id) projects.set(entry.project.id, entry)
+    } catch (err) {
+      console.error(`Skipping unreadable ${name}:`, err.message)
+    }
+  }
+
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.json`)
+
+  // Written through a temp file so a crash never leaves half a project
+  const persist = (id) => {
+    clearTimeout(timers.get(id))
+    timers.set(id, setTimeout(async () => {
+      timers.delete(id)
+      const entry = projects.get(id)
+      if (!entry) return
+      const file = fileFor(id)
+      try {
+        await writeFile(`${file}.tmp`, JSON.stringify(entry))
+        await rename(`${file}.tmp`, file)
+      } catch (err) {
+        console.error(`Could not save project ${id}:`, err.message)
+      }
+    }, WRITE_DELAY_MS))
+  }
+
+  return {
+    list() {
+      return [...projects.values()].map(e => ({ ...e.project, seq: e.seq }))
+    },
+
+    get(id) {
+      return projects.get(id) || null
+    },
+
+    // Replaces the project; clients from before it are behind the reset and
+    // have to reload
+    put(project, data) {
+      const prev = projects.get(project.id)
+      const seq = (prev?.seq || 0) + 1
+      const entry = {
+        project: { ...project, updatedAt: Date.now() },
+        data,
+        seq,
+        ops: [],
+        firstSeq: seq + 1
+      }
+      projects.set(project.id, entry)
+      persist(project.id)
+      return entry
+    },
+
+    // `apply(data, ops)` folds the ops into the stored data and returns it
+    append(id, ops, apply) {
+      const entry = projects.get(id)
+      if (!entry) return null
+      // Retries after a lost ack must not apply twice
+      const seen = new Set(entry.ops.map(op => op.id))
+      const stamped = ops.filter(op => !seen.has(op.id)).map((op, i) => ({ ...op, seq: entry.seq + i + 1 }))
+      if (!stamped.length) return stamped
+      // The sequence only moves once the ops are in, so a failed apply leaves no gap
+      entry.data = apply(entry.data, stamped)
+      entry.seq += stamped.length
+      entry.ops.push(...stamped)
+      if (entry.ops.length > MAX_OPS) {
+        entry.ops.splice(0, entry.ops.length - MAX_OPS)
+        entry.firstSeq = entry.ops[0].seq
+      }
+      entry.project.updatedAt = Date.now()
+      persist(id)
+      return stamped
+    },
+
+    // null when the client is too far behind and has to reload
+    since(id, seq) {
+      const entry = projects.get(id)
+      if (!entry) return null
+      if (seq + 1 < entry.firstSeq) return null
+      return entry.ops.filter(op => op.seq > seq)
+    },
+
+    async flush() {
+      for (const [id, timer] of timers) {
+        clearTimeout(timer)
+        const entry = projects.get(id)
+        if (entry) await writeFile(fileFor(id), JSON.stringify(entry))
+      }
+      timers.clear()
+    }
+  }
+}
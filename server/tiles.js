@@ -0,0 +1,87 @@
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' }
+
+// Raster tile sets kept in `dir`, such as drone orthophotos of the site: either
+// folders laid out as {z}/{x}/{y}.png (or .jpg/.webp) or .mbtiles files.
+// MBTiles are read with node:sqlite, so they need Node 22.5 or later.
+export async function createTileSource(dir) {
+  const sets = new Map()
+  let entries = []
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch {
+    return { list: () => [], tile: async () => null }
+  }
+
+  let sqlite = null
+  if (entries.some(e => e.isFile() && e.name.endsWith('.mbtiles'))) {
+    try {
+      sqlite = await import('node:sqlite')
+    } catch {
+      console.error(`MBTiles in ${dir} need Node 22.5 or later; only tile folders are served.`)
+    }
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      const zooms = (await readdir(full)).map(Number).filter(Number.isInteger)
+      if (!zooms.length) continue
+      sets.set(entry.name, {
+        name: entry.name,
+        kind: 'xyz',
+        minzoom: Math.min(...zooms),
+        maxzoom: Math.max(...zooms),
+        read: async (z, x, y) => {
+          for (const [ext, type] of Object.entries(IMAGE_TYPES)) {
+            try {
+              return { data: await readFile(path.join(full, String(z), String(x), `${y}.${ext}`)), type }
+            } catch { /* try the next extension */ }
+          }
+          return null
+        }
+      })
+    } else if (sqlite && entry.name.endsWith('.mbtiles')) {
+      try {
+        const db = new sqlite.DatabaseSync(full, { readOnly: true })
+        const meta = Object.fromEntries(db.prepare('SELECT name, value FROM metadata').all().map(r => [r.name, r.value]))
+        const type = IMAGE_TYPES[meta.format || 'png']
+        if (!type) {
+          console.error(`Skipping ${entry.name}: ${meta.format} tiles are not raster images`)
+          continue
+        }
+        const query = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+        const name = entry.name.replace(/\.mbtiles$/, '')
+        sets.set(name, {
+          name,
+          title: meta.name || name,
+          kind: 'mbtiles',
+          minzoom: Number(meta.minzoom) || 0,
+          maxzoom: Number(meta.maxzoom) || 22,
+          bounds: meta.bounds ? meta.bounds.split(',').map(Number) : null,
+          // MBTiles count rows from the bottom (TMS)
+          read: async (z, x, y) => {
+            const row = query.get(z, x, (1 << z) - 1 - y)
+            return row ? { data: Buffer.from(row.tile_data), type } : null
+          }
+        })
+      } catch (err) {
+        console.error(`Skipping unreadable ${entry.name}:`, err.message)
+      }
+    }
+  }
+
+  return {
+    list: () => [...sets.values()].map(s => ({
+      name: s.name,
+      title: s.title || s.name,
+      kind: s.kind,
+      minzoom: s.minzoom,
+      maxzoom: s.maxzoom,
+      bounds: s.bounds || null
+    })),
+    tile: (name, z, x, y) => (sets.has(name) ? sets.get(name).read(z, x, y) : null)
+  }
+}
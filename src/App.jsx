@@ -1,84 +1,107 @@
-import React, { useCallback, useEffect, useMemo, useState } from 'react'
-import { distance as turfDistance, point as turfPoint, length as turfLength, bbox as turfBbox } from '@turf/turf'
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { length as turfLength, bbox as turfBbox } from '@turf/turf'
 import SubmitModal from './components/SubmitModal.jsx'
 import PanelMap from './components/PanelMap.jsx'
 import ProgressStats from './components/ProgressStats.jsx'
-import useDailyLog from './components/useDailyLog.js'
+import useDailyLog, { computeDelta, seedBaseline, snapshotRanges, stampSubmitted } from './components/useDailyLog.js'
 import { useChartExport } from './components/useChartExport.js'
+import { useGeoExport } from './components/useGeoExport.js'
+import ExportMenu from './components/ExportMenu.jsx'
+import HistoryMenu from './components/HistoryMenu.jsx'
+import useHistory from './components/useHistory.js'
+import ReportModal from './components/ReportModal.jsx'
+import { renderMapSnapshot } from './components/mapSnapshot.js'
+import ImportModal from './components/ImportModal.jsx'
+import ProjectSwitcher from './components/ProjectSwitcher.jsx'
+import ConnectionStatus from './components/ConnectionStatus.jsx'
+import useOfflineStatus from './components/useOfflineStatus.js'
+import useSync from './components/useSync.js'
+import SyncModal from './components/SyncModal.jsx'
+import { getRemoteProject } from './components/syncClient.js'
+import useProjects from './components/useProjects.js'
+import useUsers from './components/useUsers.js'
+import UserModal from './components/UserModal.jsx'
+import { can, roleName } from './components/permissions.js'
+import { lineStatuses, summarizeStages } from './components/progress.js'
+import { DEFAULT_STAGES, editStage, getStages, overallStatus } from './components/stages.js'
+import StagesModal from './components/StagesModal.jsx'
+import PlanModal from './components/PlanModal.jsx'
+import { behindPlanIds, scheduleStatus } from './components/schedule.js'
+import { localToday } from './components/plan.js'
+import ZonePanel from './components/ZonePanel.jsx'
+import { assignZones, newZoneId, zoneSummary } from './components/zones.js'
+import { crewsOf } from './components/dailyReport.js'
+import InspectorPanel from './components/InspectorPanel.jsx'
+import ReviewPanel from './components/ReviewPanel.jsx'
+import { approvedFeatures, approvedRecords, newRecordId, recordStatus, resubmittedDelta, rollbackRecord, rollbackSnapshot } from './components/approval.js'
+import { SCHEMA_VERSION, migrateProjectData } from './components/migrations.js'
+import { DEFAULT_LAYER_CONFIG, layerOf, selectLayerFeatures } from './components/layers.js'
+import { buildNetwork, moveLineMeta } from './components/network.js'
+import QualityPanel from './components/QualityPanel.jsx'
+import { DEFAULT_QUALITY_OPTIONS, applyFixes, checkQuality } from './components/quality.js'
+import RevisionPanel from './components/RevisionPanel.jsx'
+import LayersPanel from './components/LayersPanel.jsx'
+import { getBasemap } from './components/basemap.js'
+import { planRevision } from './components/revision.js'
 
-const LS_KEY = 'trench-mvp-geojson-v4'
-const MAX_UNDO = 50
-
-const cloneData = (state) => JSON.parse(JSON.stringify(state))
-
-function normalizeGeoJSON(j) {
-  const rawFeats = (j.features || []).filter(f => f.properties?.layer === 'trenches')
-  const THRESHOLD_KM = 0.002
-  const assigned = new Set()
-  const groups = []
-
-  for (let i = 0; i < rawFeats.length; i++) {
-    if (assigned.has(i)) continue
-    const f1 = rawFeats[i]
-    const group = [f1]
-    assigned.add(i)
-
-    const c1 = f1.geometry.coordinates
-    const p1_start = c1 && c1.length > 0 ? c1[0] : null
-    if (!p1_start) continue
-
-    for (let k = i + 1; k < rawFeats.length; k++) {
-      if (assigned.has(k)) continue
-      const f2 = rawFeats[k]
-      const c2 = f2.geometry.coordinates
-      const p2_start = c2 && c2.length > 0 ? c2[0] : null
-      const p2_end = c2 && c2.length > 0 ? c2[c2.length - 1] : null
-      if (!p2_start) continue
-
-      const d_normal = turfDistance(turfPoint(p1_start), turfPoint(p2_start), { units: 'kilometers' })
-      const d_reverse = turfDistance(turfPoint(p1_start), turfPoint(p2_end || p2_start), { units: 'kilometers' })
-
-      if (d_normal < THRESHOLD_KM || d_reverse < THRESHOLD_KM) {
-        group.push(f2)
-        assigned.add(k)
-      }
-    }
-    groups.push(group)
-  }
+const NO_ZONES = []
+const NO_FILTER = { statuses: [], layers: [] }
 
-  const feats = []
-  groups.forEach((grp, gIdx) => {
-    const lineId = `G_${gIdx}`
-    const first = grp[0]
-    const len = turfLength(first, { units: 'meters' })
+const hasRanges = (f) => Object.values(f.properties.stages || {}).some(r => r?.length)
+
+// Geometry edits invalidate the run and bounding box a segment carried
+function withoutRuns(f) {
+  const properties = { ...f.properties }
+  delete properties.lineId
+  delete properties.ends
+  delete properties._bbox
+  return { ...f, properties }
+}
 
-    grp.forEach((f, i) => {
-      const p = { ...(f.properties || {}) }
-      const id = p.id ?? `SEG_${gIdx}_${i}`
-      let ranges = p.ranges || []
+function normalizeGeoJSON(j, layerConfig = DEFAULT_LAYER_CONFIG, primaryStage = DEFAULT_STAGES[0].id) {
+  const rawFeats = selectLayerFeatures(j, layerConfig)
+    .map((f, i) => ({ ...f, properties: { ...f.properties, id: String(f.properties?.id ?? `SEG_${i}`) } }))
+
+  // Saved projects already carry their runs; anything else is built into a network
+  const network = rawFeats.every(f => f.properties.lineId && f.properties.ends) ? null : buildNetwork(rawFeats)
+  const order = network ? network.order : rawFeats.map((_, i) => i)
+
+  return order.map(i => {
+    const f = rawFeats[i]
+    const { ranges: srcRanges, ...p } = f.properties
+    let stages = p.stages
+    if (!stages) {
+      let ranges = srcRanges || []
       if (typeof p.progress === 'number' && p.progress > 0) {
         ranges = [[0, p.progress]]
       }
+      stages = ranges.length ? { [primaryStage]: ranges } : {}
+    }
 
-      // Ensure bbox exists for RBush
-      const box = p._bbox || turfBbox(f)
-
-      feats.push({
-        ...f,
-        properties: {
-          ...p,
-          id,
-          lineId,
-          meters: len,
-          ranges,
-          status: p.status || 'pending',
-          _bbox: box
-        }
-      })
-    })
-  })
+    // Ranges are fractions of the drawn geometry; `meters` is what gets
+    // counted, taken from the design `length_m` when the source has one
+    const geomMeters = turfLength(f, { units: 'meters' })
+    const design = Number(p.length_m)
+    const designMeters = Number.isFinite(design) && design > 0 ? design : null
+
+    // Ensure bbox exists for RBush
+    const box = p._bbox || turfBbox(f)
 
-  return feats
+    return {
+      ...f,
+      properties: {
+        ...p,
+        lineId: network ? network.lineIds[i] : p.lineId,
+        ends: network ? network.ends[i] : p.ends,
+        geomMeters,
+        designMeters,
+        meters: designMeters ?? geomMeters,
+        stages,
+        status: p.status || 'pending',
+        _bbox: box
+      }
+    }
+  })
 }
 
 export default function App() {
@@ -86,116 +109,451 @@ export default function App() {
   const [bgData, setBgData] = useState(null)
   const [dataVersion, setDataVersion] = useState(0)
   const [isSubmitOpen, setSubmitOpen] = useState(false)
-  const [undoStack, setUndoStack] = useState([])
-  const [undoCount, setUndoCount] = useState(0)
+  const [isImportOpen, setImportOpen] = useState(false)
+  const [layerConfig, setLayerConfig] = useState(DEFAULT_LAYER_CONFIG)
+  const [settings, setSettings] = useState({})
+  const [activeStageId, setActiveStageId] = useState(DEFAULT_STAGES[0].id)
+  const [isStagesOpen, setStagesOpen] = useState(false)
+  const [isReportOpen, setReportOpen] = useState(false)
+  const [isSyncOpen, setSyncOpen] = useState(false)
+  const mapRef = useRef(null)
+  const [loadedId, setLoadedId] = useState(null)
+  const [lineMeta, setLineMeta] = useState({})
+  const [inspectedLineId, setInspectedLineId] = useState(null)
+  const [isUserOpen, setUserOpen] = useState(false)
+  const [isReviewOpen, setReviewOpen] = useState(false)
+  const [isPlanOpen, setPlanOpen] = useState(false)
+  const [isZonesOpen, setZonesOpen] = useState(false)
+  const [isLayersOpen, setLayersOpen] = useState(false)
+  const [zoneFilter, setZoneFilter] = useState(null)
+  const [mapFilter, setMapFilter] = useState(NO_FILTER)
+  const [drawingZone, setDrawingZone] = useState(false)
+  const [isQualityOpen, setQualityOpen] = useState(false)
+  const [qualityOptions, setQualityOptions] = useState(DEFAULT_QUALITY_OPTIONS)
+  const [qualityIssue, setQualityIssue] = useState(null)
+  const [importCrs, setImportCrs] = useState(null)
+  const [revision, setRevision] = useState(null)
+  const [revisionFocus, setRevisionFocus] = useState(null)
+  const [reviewRecordId, setReviewRecordId] = useState(null)
 
-  const { dailyLog, addRecord } = useDailyLog()
+  const {
+    projects,
+    activeId,
+    activeData,
+    saveState,
+    saveActive,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    importProject,
+    switchProject
+  } = useProjects()
+  const { dailyLog, baseline, addRecord, updateRecord, updateBaseline, resetBaseline, loadLog } = useDailyLog()
   const { exportToExcel } = useChartExport()
+  const { exportGeo } = useGeoExport()
+  const { online, offlineReady } = useOfflineStatus()
+  const {
+    users,
+    currentUser,
+    lastUserId,
+    loaded: usersLoaded,
+    selectUser,
+    addUser,
+    updateUser,
+    removeUser
+  } = useUsers()
 
-  const pushUndoSnapshot = useCallback((state) => {
-    if (!state || !state.length) return
-    const snapshot = cloneData(state)
-    setUndoStack(prev => {
-      const next = [...prev, snapshot]
-      if (next.length > MAX_UNDO) next.shift()
-      setUndoCount(next.length)
-      return next
-    })
-  }, [])
+  const stages = useMemo(() => getStages(settings), [settings])
+  const {
+    history,
+    canUndo,
+    canRedo,
+    beginUndoableAction,
+    endUndoableAction,
+    jumpTo,
+    loadHistory,
+    clearHistory
+  } = useHistory(features, setFeatures, stages, currentUser)
+  const { sync, syncStatus, syncNotice, loadSync, shareProject, stopSync } = useSync({
+    projectId: loadedId,
+    features,
+    setFeatures,
+    stages,
+    online
+  })
 
-  const undoLast = useCallback(() => {
-    setUndoStack(prev => {
-      if (!prev.length) return prev
-      const next = [...prev]
-      const snapshot = next.pop()
-      setUndoCount(next.length)
-      if (snapshot) setFeatures(snapshot)
-      return next
-    })
+  useEffect(() => {
+    fetch('/background.geojson')
+      .then(r => r.json())
+      .then(j => setBgData(j))
+      .catch(console.error)
   }, [])
 
-  const beginUndoableAction = useCallback(() => {
-    if (!features.length) return
-    pushUndoSnapshot(features)
-  }, [features, pushUndoSnapshot])
-
   useEffect(() => {
-    const saved = localStorage.getItem(LS_KEY)
-    let didSetFromStorage = false
-    
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved)
-        if (parsed?.features?.length) {
-          setFeatures(normalizeGeoJSON(parsed))
-          didSetFromStorage = true
-        }
-      } catch { }
-    }
+    if (!activeData) return
+    const data = migrateProjectData(activeData)
+    const config = data.layerConfig || DEFAULT_LAYER_CONFIG
+    const saved = data.features || []
+    setLayerConfig(config)
+    setSettings(data.settings || {})
+    setLineMeta(data.lineMeta || {})
+    setInspectedLineId(null)
+    setReviewRecordId(null)
+    setZoneFilter(null)
+    setMapFilter(NO_FILTER)
+    setDrawingZone(false)
+    setQualityIssue(null)
+    setImportCrs(null)
+    setRevision(null)
+    setRevisionFocus(null)
+    const projectStages = getStages(data.settings)
+    const loaded = saved.length ? normalizeGeoJSON({ features: saved }, config, projectStages[0].id) : []
+    loadLog(data.dailyLog, seedBaseline(data.baseline, loaded))
+    loadHistory(data.history)
+    loadSync(data.sync)
+    setActiveStageId(projectStages[0].id)
+    setFeatures(loaded)
+    setLoadedId(activeData.id)
 
-    if (!didSetFromStorage) {
+    if (!saved.length && data.seedSample) {
+      let cancelled = false
       fetch('/trenches.geojson')
         .then(r => r.json())
-        .then(j => setFeatures(normalizeGeoJSON(j)))
+        .then(j => { if (!cancelled) setFeatures(normalizeGeoJSON(j, config, projectStages[0].id)) })
         .catch(console.error)
+      return () => { cancelled = true }
     }
+  }, [activeData, loadLog, loadHistory, loadSync])
 
-    fetch('/background.geojson')
-      .then(r => r.json())
-      .then(j => setBgData(j))
-      .catch(console.error)
-  }, [])
+  useEffect(() => {
+    if (!loadedId) return
+    saveActive(loadedId, { schemaVersion: SCHEMA_VERSION, features, layerConfig, dailyLog, baseline, settings, lineMeta, history, sync })
+  }, [loadedId, features, layerConfig, dailyLog, baseline, settings, lineMeta, history, sync, saveActive])
+
+  // The side panels narrow the map, so Leaflet has to re-measure it
+  useEffect(() => {
+    const id = setTimeout(() => mapRef.current?.invalidateSize(), 0)
+    return () => clearTimeout(id)
+  }, [inspectedLineId, isReviewOpen, isZonesOpen, isQualityOpen, isLayersOpen, revision])
 
   useEffect(() => {
     if (!features.length) return
-    localStorage.setItem(LS_KEY, JSON.stringify({ type: 'FeatureCollection', features }))
     setDataVersion(prev => prev + 1)
   }, [features])
 
+  // Stepping through history can take away other people's work, so it falls
+  // under the same rule as erasing it
+  const jumpHistory = useCallback((target) => {
+    if (!can(currentUser, 'edit')) return
+    const { entries, cursor } = history
+    const crossed = target < cursor ? entries.slice(target, cursor) : entries.slice(cursor, target)
+    if (!can(currentUser, 'eraseOthers') && crossed.some(e => e.by !== currentUser.id)) {
+      window.alert('That would change work recorded by someone else. Ask a site manager.')
+      return
+    }
+    jumpTo(target)
+  }, [history, currentUser, jumpTo])
+
+  const undo = useCallback(() => jumpHistory(history.cursor - 1), [history.cursor, jumpHistory])
+  const redo = useCallback(() => jumpHistory(history.cursor + 1), [history.cursor, jumpHistory])
+
   useEffect(() => {
     const handleKey = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      if (!(e.ctrlKey || e.metaKey)) return
+      // Leave text fields their own undo
+      if (e.target.closest?.('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if ((key === 'z' && e.shiftKey) || key === 'y') {
         e.preventDefault()
-        undoLast()
+        redo()
+      } else if (key === 'z') {
+        e.preventDefault()
+        undo()
       }
     }
     window.addEventListener('keydown', handleKey)
     return () => window.removeEventListener('keydown', handleKey)
-  }, [undoLast])
-
-  const summary = useMemo(() => {
-    let total = 0, completed = 0
-    const seenLines = new Set()
-    for (const f of features) {
-      const lid = f.properties.lineId
-      if (seenLines.has(lid)) continue
-      seenLines.add(lid)
-      const meters = Number(f.properties?.meters ?? 0)
-      const ranges = f.properties?.ranges || []
-      total += meters
-      let ratio = 0
-      for (const [a, b] of ranges) ratio += (b - a)
-      completed += meters * Math.min(1, ratio)
-    }
-    return { total, completed, remaining: total - completed }
-  }, [features])
+  }, [undo, redo])
+
+  const projectName = projects.find(p => p.id === activeId)?.name || 'trench-progress'
+  const activeStage = stages.find(s => s.id === activeStageId) || stages[0]
+
+  // Only approved work counts; the map still shows everything drawn
+  const approvedLog = useMemo(() => approvedRecords(dailyLog), [dailyLog])
+  const countedFeatures = useMemo(() => approvedFeatures(features, dailyLog), [features, dailyLog])
+  const stageSummary = useMemo(() => summarizeStages(countedFeatures, stages), [countedFeatures, stages])
+  const drawnSummary = useMemo(() => summarizeStages(features, stages), [features, stages])
+  const openReviews = dailyLog.filter(r => ['pending', 'changes_requested'].includes(recordStatus(r))).length
+  const reviewRecord = isReviewOpen ? dailyLog.find(r => r.id === reviewRecordId) || null : null
+
+  const zones = settings.zones || NO_ZONES
+  const zoneAssignment = useMemo(() => assignZones(features, zones), [features, zones])
+  const zoneRows = useMemo(
+    () => zoneSummary(countedFeatures, zones, zoneAssignment, stages),
+    [countedFeatures, zones, zoneAssignment, stages]
+  )
+  const lineStatus = useMemo(() => lineStatuses(features, activeStageId), [features, activeStageId])
+  const layerNames = useMemo(() => [...new Set(features.map(layerOf))].sort(), [features])
+  const mapFeatures = useMemo(() => {
+    const { statuses, layers } = mapFilter
+    if (!zoneFilter && !statuses.length && !layers.length) return features
+    return features.filter(f => (!zoneFilter || zoneAssignment.get(f.properties.id) === zoneFilter) &&
+      (!statuses.length || statuses.includes(lineStatus.get(f.properties.lineId))) &&
+      (!layers.length || layers.includes(layerOf(f))))
+  }, [features, zoneFilter, zoneAssignment, mapFilter, lineStatus])
+
+  const today = localToday()
+  const planStage = stages.find(s => s.id === settings.plan?.stageId) || stages[0]
+  const schedule = useMemo(
+    () => scheduleStatus(settings.plan, countedFeatures, planStage.id, approvedLog, today),
+    [settings.plan, countedFeatures, planStage.id, approvedLog, today]
+  )
+  const behindIds = useMemo(
+    () => behindPlanIds(schedule, countedFeatures, planStage.id),
+    [schedule, countedFeatures, planStage.id]
+  )
+
+  const subcontractors = useMemo(
+    () => [...new Set(dailyLog.flatMap(r => crewsOf(r).map(c => c.subcontractor)).filter(Boolean))].sort(),
+    [dailyLog]
+  )
+  const previousRecord = useMemo(
+    () => [...dailyLog].reverse().find(r => r.submitted_by_id === currentUser?.id) || dailyLog[dailyLog.length - 1] || null,
+    [dailyLog, currentUser]
+  )
+
+  const dailyDelta = useMemo(() => computeDelta(features, baseline, stages), [features, baseline, stages])
+
+  // The drawing is only cleaned up before anyone records progress on it
+  const qualityLocked = useMemo(() => dailyLog.length > 0 || features.some(hasRanges), [dailyLog, features])
+  const qualityIssues = useMemo(
+    () => (isQualityOpen ? checkQuality(features, qualityOptions, importCrs) : []),
+    [isQualityOpen, features, qualityOptions, importCrs]
+  )
 
   const clearAll = () => {
-    if (!features.length) return
+    if (!features.length || !can(currentUser, 'reset')) return
     const confirmed = window.confirm('This will reset all progress. Continue?')
     if (!confirmed) return
     beginUndoableAction()
     setFeatures(prev => prev.map(f => ({
       ...f,
-      properties: { ...f.properties, ranges: [], status: 'pending' }
+      properties: { ...f.properties, stages: {}, status: 'pending' }
+    })))
+    endUndoableAction('Reset All')
+  }
+
+  const handleImport = ({ geojson, layerConfig: config, fileName, mode }) => {
+    if (mode === 'revision') {
+      handleRevision(geojson, config, fileName)
+      return
+    }
+    const hasProgress = features.some(hasRanges)
+    if (hasProgress && !window.confirm('Importing replaces the current trenches and their progress. Continue?')) return
+    const next = normalizeGeoJSON(geojson, config, stages[0].id)
+    if (!next.length) {
+      window.alert('The selected layers contain no line features.')
+      return
+    }
+    setLayerConfig(config)
+    setFeatures(next)
+    setInspectedLineId(null)
+    clearHistory()
+    resetBaseline(next)
+    setImportOpen(false)
+    const crs = geojson.crs?.properties?.name || null
+    setImportCrs(crs)
+    setQualityIssue(null)
+    if (checkQuality(next, qualityOptions, crs).length) setQualityOpen(true)
+  }
+
+  // A new revision of the design is compared with the current one and only
+  // replaces it once the changes have been looked at
+  const handleRevision = (geojson, config, fileName) => {
+    const incoming = normalizeGeoJSON(geojson, config, stages[0].id)
+    if (!incoming.length) {
+      window.alert('The selected layers contain no line features.')
+      return
+    }
+    const plan = planRevision(features, incoming, { stages, baseline })
+    const next = normalizeGeoJSON({ features: plan.features.map(withoutRuns) }, config, stages[0].id)
+    const byId = new Map(next.map(f => [f.properties.id, f]))
+    setRevision({
+      ...plan,
+      features: next,
+      added: plan.added.map(f => byId.get(f.properties.id)),
+      changed: plan.changed.map(c => ({ before: c.before, after: byId.get(c.after.properties.id) })),
+      layerConfig: config,
+      fileName,
+      crs: geojson.crs?.properties?.name || null
+    })
+    setRevisionFocus(null)
+    setImportOpen(false)
+    setQualityOpen(false)
+    setInspectedLineId(null)
+  }
+
+  const applyRevision = () => {
+    if (!revision || !can(currentUser, 'import')) return
+    if (openReviews && !window.confirm(`${openReviews} submission${openReviews > 1 ? 's are' : ' is'} still open for review. Apply the revision anyway?`)) return
+    setLayerConfig(revision.layerConfig)
+    setFeatures(revision.features)
+    updateBaseline(() => revision.baseline)
+    setLineMeta(prev => moveLineMeta(prev, features, revision.features))
+    clearHistory()
+    setInspectedLineId(null)
+    setImportCrs(revision.crs)
+    setQualityIssue(null)
+    setRevision(null)
+    setRevisionFocus(null)
+  }
+
+  const handleQualityFix = (fixes) => {
+    if (qualityLocked || !can(currentUser, 'import')) return
+    const next = normalizeGeoJSON({ features: applyFixes(features, fixes).map(withoutRuns) }, layerConfig, stages[0].id)
+    setFeatures(next)
+    resetBaseline(next)
+    setQualityIssue(null)
+    setInspectedLineId(null)
+  }
+
+  const handleSaveStages = (nextStages) => {
+    setSettings(prev => ({ ...prev, stages: nextStages }))
+    setFeatures(prev => prev.map(f => ({
+      ...f,
+      properties: { ...f.properties, status: overallStatus(f.properties.stages, nextStages) }
     })))
+    if (!nextStages.some(s => s.id === activeStageId)) setActiveStageId(nextStages[0].id)
+    setStagesOpen(false)
+  }
+
+  const handleExportReport = ({ plan, includeMap }) => {
+    setSettings(prev => ({ ...prev, plan }))
+    setReportOpen(false)
+    let snapshot = null
+    if (includeMap && mapRef.current) {
+      try {
+        snapshot = renderMapSnapshot(mapRef.current, countedFeatures, stages, projectName)
+      } catch (err) {
+        console.error(err)
+      }
+    }
+    exportToExcel(approvedLog, stages, {
+      features: countedFeatures,
+      zones: zones.length ? zoneRows : null,
+      plan,
+      mapImage: snapshot?.image,
+      mapSize: snapshot?.size
+    })
+  }
+
+  const handleLineMetaChange = useCallback((lineId, meta) => {
+    setLineMeta(prev => ({ ...prev, [lineId]: meta }))
+  }, [])
+
+  const handleApplyRanges = (segmentId, stageId, ranges) => {
+    beginUndoableAction()
+    setFeatures(prev => prev.map(f => {
+      if (f.properties.id !== segmentId) return f
+      const properties = editStage(f.properties, stages, stageId, 'set', ranges, currentUser)
+      return properties === f.properties ? f : { ...f, properties }
+    }))
+    endUndoableAction('Edit ranges')
+  }
+
+  const handleShareProject = async (server) => {
+    const project = projects.find(p => p.id === loadedId)
+    await shareProject(server, project, { schemaVersion: SCHEMA_VERSION, features, layerConfig, settings, lineMeta, dailyLog })
+    setSyncOpen(false)
+  }
+
+  const handleOpenRemote = async (server, remoteProject) => {
+    const local = projects.find(p => p.id === remoteProject.id)
+    if (local && !window.confirm(`Replace the copy of “${local.name}” on this device with the shared one?`)) return
+    const { project, data, seq } = await getRemoteProject(server, remoteProject.id)
+    await importProject(project, { ...data, baseline: snapshotRanges(data.features), sync: { server, seq, queue: [] } })
+    setSyncOpen(false)
   }
 
   const handleSubmitRecord = (record) => {
-    addRecord(record)
+    const id = newRecordId()
+    const stamped = stampSubmitted(features, record.date, id)
+    setFeatures(stamped)
+    addRecord({
+      ...record,
+      id,
+      // A site manager's own submissions need no second pair of eyes
+      status: can(currentUser, 'approve') ? 'approved' : 'pending',
+      submitted_at: new Date().toISOString(),
+      reviews: [],
+      added_m: dailyDelta.added,
+      removed_m: dailyDelta.removed,
+      work_amount: dailyDelta.net,
+      stages: dailyDelta.stages,
+      lines: dailyDelta.lines,
+      submitted_by: currentUser?.name,
+      submitted_by_id: currentUser?.id
+    }, stamped)
     setSubmitOpen(false)
   }
 
+  const basemap = useMemo(() => getBasemap(settings), [settings])
+  const setBasemap = (next) => setSettings(prev => ({ ...prev, basemap: next }))
+
+  const setZones = (fn) => setSettings(prev => ({ ...prev, zones: fn(prev.zones || []) }))
+
+  const handleZoneDrawn = (geometry) => {
+    setDrawingZone(false)
+    const name = window.prompt('Zone name', `Zone ${zones.length + 1}`)
+    if (!name?.trim()) return
+    setZones(prev => [...prev, { id: newZoneId(), name: name.trim(), geometry, source: 'drawn' }])
+  }
+
+  const handleDeleteZone = (id) => {
+    setZones(prev => prev.filter(z => z.id !== id))
+    if (zoneFilter === id) setZoneFilter(null)
+  }
+
+  const handleReview = (recordId, status, comment) => {
+    const record = dailyLog.find(r => r.id === recordId)
+    if (!record) return
+    const current = recordStatus(record)
+    if (status === 'pending') {
+      if (current !== 'changes_requested' || !currentUser || record.submitted_by_id !== currentUser.id) return
+    } else if (!can(currentUser, 'approve') || (current !== 'pending' && current !== 'changes_requested')) {
+      return
+    }
+    if (status === 'rejected') {
+      const confirmed = window.confirm(`Reject the ${record.date} submission? Its ranges are rolled back, along with later stages built on them.`)
+      if (!confirmed) return
+      setFeatures(prev => rollbackRecord(prev, record, stages))
+      updateBaseline(prev => rollbackSnapshot(prev, record, stages))
+    }
+    // Resubmitting folds the corrections drawn since into the record and
+    // counts it again, so the review sees what is on the map now
+    let recount = null
+    if (status === 'pending') {
+      const stamped = stampSubmitted(features, record.date, record.id)
+      const delta = resubmittedDelta(stamped, baseline, record, stages)
+      setFeatures(stamped)
+      resetBaseline(stamped)
+      recount = {
+        added_m: delta.added,
+        removed_m: delta.removed,
+        work_amount: delta.net,
+        stages: delta.stages,
+        lines: delta.lines
+      }
+    }
+    updateRecord(recordId, r => ({
+      ...r,
+      ...recount,
+      status,
+      reviews: [...(r.reviews || []), { status, comment, by: currentUser?.id, byName: currentUser?.name, at: new Date().toISOString() }]
+    }))
+  }
+
   return (
     <>
       <div style={{ height: '100vh', width: '100vw', display: 'flex', flexDirection: 'column', background: '#0b1220', color: '#e5e7eb' }}>
@@ -208,11 +566,32 @@ export default function App() {
           borderBottom: '1px solid #111b2f'
         }}>
           <ProgressStats
-            total={summary.total}
-            completed={summary.completed}
-            remaining={summary.remaining}
-            onUndo={undoLast}
-            undoDisabled={!undoCount}
+            stageSummary={stageSummary}
+            activeStageId={activeStage.id}
+            onUndo={undo}
+            undoDisabled={!canUndo || !can(currentUser, 'edit')}
+            onRedo={redo}
+            redoDisabled={!canRedo || !can(currentUser, 'edit')}
+            drawnSummary={drawnSummary}
+            schedule={schedule}
+            planStage={planStage}
+          />
+          <ProjectSwitcher
+            projects={projects}
+            activeId={activeId}
+            onSwitch={switchProject}
+            onCreate={can(currentUser, 'projects') ? createProject : null}
+            onRename={can(currentUser, 'projects') ? renameProject : null}
+            onDuplicate={can(currentUser, 'projects') ? duplicateProject : null}
+            onDelete={can(currentUser, 'deleteProject') ? deleteProject : null}
+          />
+          <ConnectionStatus
+            online={online}
+            offlineReady={offlineReady}
+            saveState={saveState}
+            syncStatus={syncStatus}
+            queued={sync?.queue.length || 0}
+            notice={syncNotice}
           />
           <h1 style={{
             flex: 1,
@@ -226,60 +605,297 @@ export default function App() {
           </h1>
           <div style={{ display: 'flex', gap: 12 }}>
             <button
-              onClick={() => setSubmitOpen(true)}
-              disabled={!features.length}
+              onClick={() => setUserOpen(true)}
+              title="Switch user"
+              style={{
+                padding: '8px 14px',
+                borderRadius: 8,
+                border: '1px solid #1d2640',
+                background: 'transparent',
+                color: '#cbd5f5',
+                cursor: 'pointer'
+              }}
+            >
+              {currentUser ? `${currentUser.name} · ${roleName(currentUser.role)}` : 'Sign in'}
+            </button>
+            {can(currentUser, 'import') && (
+              <button
+                onClick={() => setImportOpen(true)}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 8,
+                  border: '1px solid #1d2640',
+                  background: '#111a2f',
+                  color: '#e3e9ff',
+                  fontWeight: 500,
+                  cursor: 'pointer'
+                }}
+              >
+                Import
+              </button>
+            )}
+            {can(currentUser, 'import') && (
+              <button
+                onClick={() => setQualityOpen(v => !v)}
+                disabled={!features.length}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 8,
+                  border: `1px solid ${isQualityOpen ? '#38bdf8' : '#1d2640'}`,
+                  background: '#111a2f',
+                  color: '#e3e9ff',
+                  fontWeight: 500,
+                  cursor: features.length ? 'pointer' : 'not-allowed',
+                  opacity: features.length ? 1 : 0.5
+                }}
+              >
+                Data Check
+              </button>
+            )}
+            {can(currentUser, 'submit') && (
+              <button
+                onClick={() => setSubmitOpen(true)}
+                disabled={!features.length}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 8,
+                  border: '1px solid #1d2640',
+                  background: '#162037',
+                  color: '#e3e9ff',
+                  fontWeight: 500,
+                  cursor: features.length ? 'pointer' : 'not-allowed',
+                  opacity: features.length ? 1 : 0.5
+                }}
+              >
+                Submit Daily Work
+              </button>
+            )}
+            <button
+              onClick={() => setSyncOpen(true)}
               style={{
                 padding: '8px 18px',
                 borderRadius: 8,
                 border: '1px solid #1d2640',
-                background: '#162037',
-                color: '#e3e9ff',
+                background: '#111a2f',
+                color: sync ? '#34d399' : '#e3e9ff',
                 fontWeight: 500,
-                cursor: features.length ? 'pointer' : 'not-allowed',
-                opacity: features.length ? 1 : 0.5
+                cursor: 'pointer'
               }}
             >
-              Submit Daily Work
+              Sync
             </button>
+            {can(currentUser, 'plan') && (
+              <button
+                onClick={() => setPlanOpen(true)}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 8,
+                  border: '1px solid #1d2640',
+                  background: '#111a2f',
+                  color: '#e3e9ff',
+                  fontWeight: 500,
+                  cursor: 'pointer'
+                }}
+              >
+                Plan
+              </button>
+            )}
             <button
-              onClick={() => exportToExcel(dailyLog)}
-              disabled={!dailyLog.length}
+              onClick={() => setReviewOpen(v => !v)}
               style={{
                 padding: '8px 18px',
                 borderRadius: 8,
-                border: '1px solid #1d2640',
+                border: `1px solid ${isReviewOpen ? '#38bdf8' : '#1d2640'}`,
                 background: '#111a2f',
-                color: '#a5b4fc',
+                color: openReviews ? '#fbbf24' : '#e3e9ff',
                 fontWeight: 500,
-                cursor: dailyLog.length ? 'pointer' : 'not-allowed',
-                opacity: dailyLog.length ? 1 : 0.5
+                cursor: 'pointer'
               }}
             >
-              Export
+              Review{openReviews ? ` (${openReviews})` : ''}
             </button>
             <button
-              onClick={clearAll}
+              onClick={() => setZonesOpen(v => !v)}
               style={{
                 padding: '8px 18px',
                 borderRadius: 8,
-                border: '1px solid #2c394f',
-                background: '#131b2d',
-                color: '#fca5a5',
+                border: `1px solid ${isZonesOpen ? '#38bdf8' : '#1d2640'}`,
+                background: '#111a2f',
+                color: zoneFilter ? '#c084fc' : '#e3e9ff',
                 fontWeight: 500,
                 cursor: 'pointer'
               }}
             >
-              Reset All
+              Zones
             </button>
+            <button
+              onClick={() => setLayersOpen(v => !v)}
+              style={{
+                padding: '8px 18px',
+                borderRadius: 8,
+                border: `1px solid ${isLayersOpen ? '#38bdf8' : '#1d2640'}`,
+                background: '#111a2f',
+                color: '#e3e9ff',
+                fontWeight: 500,
+                cursor: 'pointer'
+              }}
+            >
+              Layers
+            </button>
+            <HistoryMenu entries={history.entries} cursor={history.cursor} onJump={jumpHistory} />
+            <ExportMenu
+              items={[
+                { key: 'xlsx', label: 'Daily log (Excel)', disabled: !approvedLog.length, onSelect: () => exportToExcel(approvedLog, stages) },
+                { key: 'report', label: 'Full report (Excel)', disabled: !approvedLog.length, onSelect: () => setReportOpen(true) },
+                { key: 'geojson', label: 'As-built GeoJSON', disabled: !features.length, onSelect: () => exportGeo('geojson', features, stages, dailyLog, projectName) },
+                { key: 'kml', label: 'As-built KML', disabled: !features.length, onSelect: () => exportGeo('kml', features, stages, dailyLog, projectName) },
+                { key: 'csv', label: 'As-built CSV (WKT)', disabled: !features.length, onSelect: () => exportGeo('csv', features, stages, dailyLog, projectName) }
+              ]}
+            />
+            {can(currentUser, 'reset') && (
+              <button
+                onClick={clearAll}
+                style={{
+                  padding: '8px 18px',
+                  borderRadius: 8,
+                  border: '1px solid #2c394f',
+                  background: '#131b2d',
+                  color: '#fca5a5',
+                  fontWeight: 500,
+                  cursor: 'pointer'
+                }}
+              >
+                Reset All
+              </button>
+            )}
           </div>
         </header>
-        <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+        <div style={{ flex: 1, display: 'flex', minHeight: 0, position: 'relative' }}>
+          {loadedId && !features.length && (
+            <div style={{
+              position: 'absolute',
+              top: 24,
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 1000,
+              padding: '10px 16px',
+              borderRadius: 10,
+              background: '#111a2e',
+              border: '1px solid #1d2a46',
+              color: '#cbd5f5',
+              fontSize: 14
+            }}>
+              This project has no trenches yet. Use Import to load a GeoJSON file.
+            </div>
+          )}
           <PanelMap
-            features={features}
+            features={mapFeatures}
             setFeatures={setFeatures}
             bgData={bgData}
+            mapRef={mapRef}
+            stages={stages}
+            activeStage={activeStage}
+            onStageChange={setActiveStageId}
+            onEditStages={() => setStagesOpen(true)}
             beginUndoableAction={beginUndoableAction}
+            endUndoableAction={endUndoableAction}
             dataVersion={dataVersion}
+            inspectedLineId={inspectedLineId}
+            onInspect={setInspectedLineId}
+            user={currentUser}
+            reviewRecord={reviewRecord}
+            behindIds={behindIds}
+            zones={zones}
+            zoneFilter={zoneFilter}
+            drawingZone={drawingZone}
+            onZoneDrawn={handleZoneDrawn}
+            onCancelZoneDraw={() => setDrawingZone(false)}
+            qualityIssue={isQualityOpen ? qualityIssue : null}
+            revision={revision}
+            revisionFocus={revisionFocus}
+            allFeatures={features}
+            lineStatus={lineStatus}
+            mapFilter={mapFilter}
+            onMapFilterChange={setMapFilter}
+            layerNames={layerNames}
+            onZoneFilter={setZoneFilter}
+            basemap={basemap}
+          />
+          <InspectorPanel
+            lineId={inspectedLineId}
+            features={features}
+            stages={stages}
+            activeStage={activeStage}
+            onStageChange={setActiveStageId}
+            meta={lineMeta[inspectedLineId]}
+            onMetaChange={handleLineMetaChange}
+            subcontractors={subcontractors}
+            onApplyRanges={handleApplyRanges}
+            onClose={() => setInspectedLineId(null)}
+            onSelectLine={setInspectedLineId}
+            user={currentUser}
+          />
+          <ReviewPanel
+            isOpen={isReviewOpen}
+            records={dailyLog}
+            stages={stages}
+            selectedId={reviewRecordId}
+            onSelect={setReviewRecordId}
+            user={currentUser}
+            onReview={handleReview}
+            onClose={() => setReviewOpen(false)}
+          />
+          <ZonePanel
+            isOpen={isZonesOpen}
+            rows={zoneRows}
+            stages={stages}
+            activeZoneId={zoneFilter}
+            onFilter={setZoneFilter}
+            canEdit={can(currentUser, 'zones')}
+            drawing={drawingZone}
+            onDraw={() => setDrawingZone(v => !v)}
+            onAddZones={(added) => setZones(prev => [...prev, ...added])}
+            onRename={(id, name) => setZones(prev => prev.map(z => (z.id === id ? { ...z, name } : z)))}
+            onDelete={handleDeleteZone}
+            bgData={bgData}
+            onClose={() => {
+              setZonesOpen(false)
+              setDrawingZone(false)
+            }}
+          />
+          <QualityPanel
+            isOpen={isQualityOpen}
+            issues={qualityIssues}
+            options={qualityOptions}
+            onOptionsChange={setQualityOptions}
+            focusedId={qualityIssue?.id}
+            onFocus={setQualityIssue}
+            onFix={handleQualityFix}
+            canFix={can(currentUser, 'import')}
+            locked={qualityLocked}
+            onClose={() => {
+              setQualityOpen(false)
+              setQualityIssue(null)
+            }}
+          />
+          <LayersPanel
+            isOpen={isLayersOpen}
+            basemap={basemap}
+            onChange={setBasemap}
+            canEdit={can(currentUser, 'layers')}
+            onClose={() => setLayersOpen(false)}
+          />
+          <RevisionPanel
+            revision={revision}
+            fileName={revision?.fileName}
+            pendingCount={openReviews}
+            focusedKey={revisionFocus?.key}
+            onFocus={setRevisionFocus}
+            onApply={applyRevision}
+            onCancel={() => {
+              setRevision(null)
+              setRevisionFocus(null)
+            }}
           />
         </div>
       </div>
@@ -287,7 +903,69 @@ export default function App() {
         isOpen={isSubmitOpen}
         onClose={() => setSubmitOpen(false)}
         onSubmit={handleSubmitRecord}
-        dailyInstalled={summary.completed}
+        delta={dailyDelta}
+        stages={stages}
+        subcontractors={subcontractors}
+        previous={previousRecord}
+      />
+      <ImportModal
+        isOpen={isImportOpen}
+        onClose={() => setImportOpen(false)}
+        onImport={handleImport}
+        currentConfig={layerConfig}
+        canRevise={features.length > 0}
+      />
+      <SyncModal
+        isOpen={isSyncOpen}
+        onClose={() => setSyncOpen(false)}
+        sync={sync}
+        projectName={projectName}
+        onShare={can(currentUser, 'share') ? handleShareProject : null}
+        onOpenRemote={handleOpenRemote}
+        onStop={() => {
+          stopSync()
+          setSyncOpen(false)
+        }}
+      />
+      <ReportModal
+        isOpen={isReportOpen}
+        onClose={() => setReportOpen(false)}
+        onExport={handleExportReport}
+        plan={settings.plan}
+      />
+      <PlanModal
+        isOpen={isPlanOpen}
+        onClose={() => setPlanOpen(false)}
+        onSave={(plan) => {
+          setSettings(prev => ({ ...prev, plan }))
+          setPlanOpen(false)
+        }}
+        plan={settings.plan}
+        stages={stages}
+        features={features}
+      />
+      <StagesModal
+        isOpen={isStagesOpen}
+        onClose={() => setStagesOpen(false)}
+        onSave={handleSaveStages}
+        stages={stages}
+      />
+      <UserModal
+        isOpen={usersLoaded && (!currentUser || isUserOpen)}
+        users={users}
+        currentUser={currentUser}
+        lastUserId={lastUserId}
+        onSelect={(id) => {
+          selectUser(id)
+          setUserOpen(false)
+        }}
+        onAdd={(name, role) => {
+          addUser(name, role)
+          setUserOpen(false)
+        }}
+        onUpdate={updateUser}
+        onRemove={removeUser}
+        onClose={() => setUserOpen(false)}
       />
       <canvas id="dailyChart" width="640" height="360" style={{ display: 'none' }} />
     </>
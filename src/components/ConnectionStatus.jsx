@@ -0,0 +1,49 @@
+import React from 'react'
+
+const SAVE_LABELS = {
+  saving: 'Saving…',
+  saved: 'Saved on device',
+  error: 'Save failed'
+}
+
+const SYNC_LABELS = {
+  connecting: 'Connecting…',
+  live: 'Live sync',
+  offline: 'Sync paused',
+  error: 'Sync failed'
+}
+
+export default function ConnectionStatus({ online, offlineReady, saveState, syncStatus = 'off', queued = 0, notice }) {
+  const color = saveState === 'error' || syncStatus === 'error' ? '#f87171' : online ? '#34d399' : '#fbbf24'
+  const title = [
+    online ? 'Connected' : 'No connection, edits are kept on this device',
+    offlineReady ? 'App available offline' : 'Offline copy not installed yet',
+    notice
+  ].filter(Boolean).join('\n')
+
+  return (
+    <div title={title} style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      padding: '6px 12px',
+      borderRadius: 999,
+      background: '#111a2e',
+      border: '1px solid #1d2a46',
+      fontSize: 13,
+      color: '#cbd5f5',
+      whiteSpace: 'nowrap'
+    }}>
+      <span style={{ width: 8, height: 8, borderRadius: '50%', background: color }} />
+      <span style={{ color, fontWeight: 600 }}>{online ? 'Online' : 'Offline'}</span>
+      <span style={{ opacity: 0.75 }}>{SAVE_LABELS[saveState] || ''}</span>
+      {syncStatus !== 'off' && (
+        <span style={{ opacity: 0.75 }}>
+          · {SYNC_LABELS[syncStatus]}{queued ? ` (${queued} queued)` : ''}
+        </span>
+      )}
+      {notice && <span style={{ color: '#fbbf24' }}>· {notice}</span>}
+      {offlineReady && <span style={{ opacity: 0.55 }}>· offline ready</span>}
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+export default function ExportMenu({ items = [] }) {
+  const [open, setOpen] = useState(false)
+  const rootRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false)
+    }
+    window.addEventListener('mousedown', onDown)
+    return () => window.removeEventListener('mousedown', onDown)
+  }, [open])
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(v => !v)} style={styles.trigger}>
+        Export ▾
+      </button>
+      {open && (
+        <div style={styles.menu}>
+          {items.map(item => (
+            <button
+              key={item.key}
+              disabled={item.disabled}
+              onClick={() => {
+                setOpen(false)
+                item.onSelect()
+              }}
+              style={{
+                ...styles.item,
+                cursor: item.disabled ? 'not-allowed' : 'pointer',
+                opacity: item.disabled ? 0.5 : 1
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const styles = {
+  trigger: {
+    padding: '8px 18px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#a5b4fc',
+    fontWeight: 500,
+    cursor: 'pointer'
+  },
+  menu: {
+    position: 'absolute',
+    top: 'calc(100% + 6px)',
+    right: 0,
+    minWidth: 220,
+    display: 'flex',
+    flexDirection: 'column',
+    padding: 6,
+    borderRadius: 10,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    boxShadow: '0 12px 30px rgba(0,0,0,0.45)',
+    zIndex: 2000
+  },
+  item: {
+    padding: '8px 12px',
+    borderRadius: 6,
+    border: 'none',
+    background: 'transparent',
+    color: '#e3e9ff',
+    textAlign: 'left',
+    fontSize: 14
+  }
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+// Newest action first; clicking a row moves the map to just after that action
+export default function HistoryMenu({ entries = [], cursor = 0, onJump }) {
+  const [open, setOpen] = useState(false)
+  const rootRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false)
+    }
+    window.addEventListener('mousedown', onDown)
+    return () => window.removeEventListener('mousedown', onDown)
+  }, [open])
+
+  const rows = entries.map((entry, idx) => ({ entry, target: idx + 1 })).reverse()
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(v => !v)} style={styles.trigger}>
+        History ▾
+      </button>
+      {open && (
+        <div style={styles.menu}>
+          {!entries.length && <div style={{ ...styles.item, opacity: 0.6 }}>No edits yet</div>}
+          {rows.map(({ entry, target }) => {
+            const undone = target > cursor
+            const current = target === cursor
+            return (
+              <button
+                key={entry.id}
+                onClick={() => onJump(target)}
+                style={{
+                  ...styles.item,
+                  opacity: undone ? 0.45 : 1,
+                  borderLeft: `3px solid ${current ? '#38bdf8' : 'transparent'}`
+                }}
+                title={undone ? 'Redo up to here' : 'Go back to just after this'}
+              >
+                <span>{entry.label}</span>
+                <span style={styles.time}>
+                  {new Date(entry.at).toLocaleString()}{entry.byName ? ` · ${entry.byName}` : ''}
+                </span>
+              </button>
+            )
+          })}
+          {entries.length > 0 && (
+            <button
+              onClick={() => onJump(0)}
+              style={{ ...styles.item, borderLeft: `3px solid ${cursor === 0 ? '#38bdf8' : 'transparent'}` }}
+            >
+              <span>Start of history</span>
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const styles = {
+  trigger: {
+    padding: '8px 18px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    fontWeight: 500,
+    cursor: 'pointer'
+  },
+  menu: {
+    position: 'absolute',
+    top: 'calc(100% + 6px)',
+    right: 0,
+    width: 320,
+    maxHeight: 420,
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    padding: 6,
+    borderRadius: 10,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    boxShadow: '0 12px 30px rgba(0,0,0,0.45)',
+    zIndex: 2000
+  },
+  item: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 2,
+    padding: '8px 12px',
+    borderRadius: 6,
+    border: 'none',
+    background: 'transparent',
+    color: '#e3e9ff',
+    textAlign: 'left',
+    fontSize: 14,
+    cursor: 'pointer'
+  },
+  time: {
+    fontSize: 11,
+    color: '#9ca3af'
+  }
+}
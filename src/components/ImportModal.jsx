@@ -0,0 +1,280 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { CATEGORIES, guessCategory, summarizeLayers } from './layers.js'
+
+// `canRevise` offers loading the file as a new revision of the current
+// design, which keeps the recorded progress, instead of replacing it
+export default function ImportModal({ isOpen, onClose, onImport, currentConfig, canRevise = false }) {
+  const [fileName, setFileName] = useState('')
+  const [geojson, setGeojson] = useState(null)
+  const [error, setError] = useState('')
+  const [selection, setSelection] = useState({})
+  const [mode, setMode] = useState('replace')
+
+  useEffect(() => {
+    if (isOpen) {
+      setFileName('')
+      setGeojson(null)
+      setError('')
+      setSelection({})
+      setMode(canRevise ? 'revision' : 'replace')
+    }
+  }, [isOpen, canRevise])
+
+  const layers = useMemo(() => summarizeLayers(geojson), [geojson])
+
+  if (!isOpen) return null
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setFileName(file.name)
+    setError('')
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        const parsed = JSON.parse(reader.result)
+        if (!Array.isArray(parsed?.features)) throw new Error('Not a GeoJSON FeatureCollection')
+        const next = {}
+        for (const { layer } of summarizeLayers(parsed)) {
+          const tracked = currentConfig?.[layer]
+          next[layer] = { enabled: !!tracked, category: tracked || guessCategory(layer) }
+        }
+        setGeojson(parsed)
+        setSelection(next)
+      } catch (err) {
+        setGeojson(null)
+        setError(err.message || 'Could not read file')
+      }
+    }
+    reader.readAsText(file)
+  }
+
+  const toggle = (layer, patch) => {
+    setSelection(prev => ({ ...prev, [layer]: { ...prev[layer], ...patch } }))
+  }
+
+  const layerConfig = Object.fromEntries(
+    Object.entries(selection)
+      .filter(([, v]) => v.enabled)
+      .map(([layer, v]) => [layer, v.category])
+  )
+  const selectedCount = Object.keys(layerConfig).length
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!geojson || !selectedCount) return
+    onImport({ geojson, layerConfig, fileName, mode: canRevise ? mode : 'replace' })
+  }
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Import Trench Layers</h2>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <label style={styles.label}>
+            GeoJSON file
+            <input type="file" accept=".geojson,.json,application/geo+json" onChange={handleFile} style={styles.input} />
+          </label>
+          {error && <div style={styles.error}>{error}</div>}
+          {canRevise && (
+            <div style={styles.modes}>
+              <label style={styles.mode}>
+                <input type="radio" name="import-mode" checked={mode === 'revision'} onChange={() => setMode('revision')} />
+                <span>
+                  Revision of the current design
+                  <span style={styles.hint}>Matches trenches by handle or shape and keeps their progress. Changes are listed for review first.</span>
+                </span>
+              </label>
+              <label style={styles.mode}>
+                <input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                <span>
+                  Replace everything
+                  <span style={styles.hint}>Starts over with the new trenches and no progress.</span>
+                </span>
+              </label>
+            </div>
+          )}
+          {geojson && (
+            <div style={styles.tableWrap}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Track</th>
+                    <th style={{ ...styles.th, textAlign: 'left' }}>Layer</th>
+                    <th style={styles.th}>Features</th>
+                    <th style={styles.th}>Length</th>
+                    <th style={styles.th}>Category</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {layers.map(({ layer, count, length }) => (
+                    <tr key={layer}>
+                      <td style={styles.td}>
+                        <input
+                          type="checkbox"
+                          checked={!!selection[layer]?.enabled}
+                          onChange={(e) => toggle(layer, { enabled: e.target.checked })}
+                        />
+                      </td>
+                      <td style={{ ...styles.td, textAlign: 'left', wordBreak: 'break-all' }}>{layer}</td>
+                      <td style={styles.td}>{count}</td>
+                      <td style={styles.td}>{length.toFixed(1)} m</td>
+                      <td style={styles.td}>
+                        <select
+                          value={selection[layer]?.category || 'LV'}
+                          onChange={(e) => toggle(layer, { category: e.target.value })}
+                          style={styles.select}
+                        >
+                          {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                  {!layers.length && (
+                    <tr><td colSpan={5} style={styles.td}>No line features found</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div style={styles.actions}>
+            <button type="button" onClick={onClose} style={styles.secondary}>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!selectedCount}
+              style={{ ...styles.primary, opacity: selectedCount ? 1 : 0.5, cursor: selectedCount ? 'pointer' : 'not-allowed' }}
+            >
+              {canRevise && mode === 'revision' ? 'Compare' : 'Import'} {selectedCount ? `${selectedCount} layer${selectedCount > 1 ? 's' : ''}` : ''}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 640,
+    maxHeight: '85vh',
+    display: 'flex',
+    flexDirection: 'column',
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb'
+  },
+  title: {
+    margin: '0 0 16px',
+    fontSize: 18,
+    fontWeight: 600
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12,
+    minHeight: 0
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  select: {
+    padding: '4px 6px',
+    borderRadius: 6,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  modes: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8
+  },
+  mode: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: 8,
+    fontSize: 13,
+    cursor: 'pointer'
+  },
+  hint: {
+    display: 'block',
+    fontSize: 12,
+    color: '#9ca3af'
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 13
+  },
+  tableWrap: {
+    overflowY: 'auto',
+    border: '1px solid #1e2b4a',
+    borderRadius: 10
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 13
+  },
+  th: {
+    position: 'sticky',
+    top: 0,
+    background: '#0f172a',
+    padding: '8px 10px',
+    color: '#cbd5f5',
+    fontWeight: 600,
+    textAlign: 'center'
+  },
+  td: {
+    padding: '6px 10px',
+    borderTop: '1px solid #1e2b4a',
+    textAlign: 'center'
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,439 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { mergeRanges, workDateOf } from './rangeUtils.js'
+import { can } from './permissions.js'
+import { coverageOf } from './progress.js'
+import { NODE_KINDS, connectionsOf } from './network.js'
+
+const PHOTO_MAX_PX = 1280
+const NO_RANGES = []
+
+const fmt = (v) => `${(v || 0).toFixed(2)} m`
+const newId = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+
+// Photos are downscaled before they go into the project store
+function readPhoto(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onerror = () => reject(reader.error)
+    reader.onload = () => {
+      const img = new Image()
+      img.onerror = () => reject(new Error('Unsupported image'))
+      img.onload = () => {
+        const scale = Math.min(1, PHOTO_MAX_PX / Math.max(img.width, img.height))
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.round(img.width * scale)
+        canvas.height = Math.round(img.height * scale)
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+        resolve(canvas.toDataURL('image/jpeg', 0.82))
+      }
+      img.src = reader.result
+    }
+    reader.readAsDataURL(file)
+  })
+}
+
+function RangeEditor({ segment, stageId, onApply, readOnly }) {
+  const len = segment.properties.geomMeters || segment.properties.meters || 0
+  const current = segment.properties.stages?.[stageId] || NO_RANGES
+  const [rows, setRows] = useState([])
+
+  useEffect(() => {
+    setRows(current.map(r => ({
+      start: (r[0] * len).toFixed(2),
+      end: (r[1] * len).toFixed(2),
+      date: workDateOf(r),
+      byName: r[2]?.byName
+    })))
+  }, [current, len])
+
+  const parsed = rows.map(r => [Number(r.start), Number(r.end)])
+  const invalid = parsed.some(([a, b]) => !Number.isFinite(a) || !Number.isFinite(b) || a < 0 || b > len + 0.01 || b <= a)
+
+  const update = (idx, patch) => setRows(prev => prev.map((r, i) => (i === idx ? { ...r, ...patch } : r)))
+
+  const apply = () => {
+    if (invalid) return
+    onApply(segment.properties.id, mergeRanges(parsed.map(([a, b]) => [a / len, Math.min(b, len) / len])))
+  }
+
+  return (
+    <div style={styles.segment}>
+      <div style={styles.segmentHead}>
+        <span>{segment.properties.id}</span>
+        <span style={{ opacity: 0.7 }}>{(coverageOf(current) * 100).toFixed(0)}% of {fmt(len)}</span>
+      </div>
+      {rows.map((r, idx) => (
+        <div key={idx} style={styles.rangeRow}>
+          <input type="number" step="0.1" value={r.start} readOnly={readOnly} onChange={(e) => update(idx, { start: e.target.value })} style={styles.smallInput} />
+          <span>–</span>
+          <input type="number" step="0.1" value={r.end} readOnly={readOnly} onChange={(e) => update(idx, { end: e.target.value })} style={styles.smallInput} />
+          <span style={{ flex: 1, fontSize: 11, opacity: 0.6 }}>
+            {r.date || 'unsubmitted'}{r.byName ? ` · ${r.byName}` : ''}
+          </span>
+          {!readOnly && <button onClick={() => setRows(prev => prev.filter((_, i) => i !== idx))} style={styles.iconButton}>✕</button>}
+        </div>
+      ))}
+      {!readOnly && (
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button onClick={() => setRows(prev => [...prev, { start: '0', end: len.toFixed(2) }])} style={styles.button}>+ Range</button>
+          <button onClick={apply} disabled={invalid} style={{ ...styles.button, ...styles.primary, opacity: invalid ? 0.5 : 1 }}>Apply</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function InspectorPanel({
+  lineId,
+  features,
+  stages,
+  activeStage,
+  onStageChange,
+  meta,
+  onMetaChange,
+  subcontractors = [],
+  onApplyRanges,
+  onClose,
+  onSelectLine,
+  user
+}) {
+  const [note, setNote] = useState('')
+  const [photoError, setPhotoError] = useState('')
+
+  const segments = useMemo(
+    () => features.filter(f => f.properties.lineId === lineId),
+    [features, lineId]
+  )
+  const connections = useMemo(() => (lineId ? connectionsOf(lineId, features) : []), [features, lineId])
+
+  useEffect(() => {
+    setNote('')
+    setPhotoError('')
+  }, [lineId])
+
+  if (!lineId || !segments.length) return null
+
+  const lineMeta = meta || {}
+  const design = segments.reduce((sum, f) => sum + (f.properties.designMeters ?? 0), 0)
+  const hasDesign = segments.some(f => f.properties.designMeters != null)
+  const computed = segments.reduce((sum, f) => sum + (f.properties.geomMeters || 0), 0)
+  const counted = segments.reduce((sum, f) => sum + (f.properties.meters || 0), 0)
+  const statuses = new Set(segments.map(f => f.properties.status || 'pending'))
+  const status = statuses.size === 1 ? [...statuses][0] : 'in_progress'
+
+  const readOnly = !can(user, 'notes')
+  const byline = user ? { by: user.id, byName: user.name } : {}
+
+  const patchMeta = (patch) => onMetaChange(lineId, { ...lineMeta, ...patch })
+
+  const addNote = () => {
+    if (!note.trim()) return
+    patchMeta({ notes: [...(lineMeta.notes || []), { id: newId(), text: note.trim(), at: new Date().toISOString(), ...byline }] })
+    setNote('')
+  }
+
+  const addPhotos = async (e) => {
+    const files = [...(e.target.files || [])]
+    e.target.value = ''
+    if (!files.length) return
+    try {
+      const added = []
+      for (const file of files) {
+        added.push({ id: newId(), name: file.name, dataUrl: await readPhoto(file), at: new Date().toISOString(), ...byline })
+      }
+      setPhotoError('')
+      patchMeta({ photos: [...(lineMeta.photos || []), ...added] })
+    } catch (err) {
+      setPhotoError(err.message || 'Could not read photo')
+    }
+  }
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>{lineId}</h2>
+        <button onClick={onClose} style={styles.iconButton} title="Close">✕</button>
+      </div>
+
+      <section style={styles.section}>
+        <Row label="Status" value={status.replace('_', ' ')} />
+        <Row label="Segments" value={segments.length} />
+        <Row label="Design length" value={hasDesign ? fmt(design) : '—'} />
+        <Row label="Computed length" value={fmt(computed)} />
+        <Row label="Counted length" value={fmt(counted)} />
+      </section>
+
+      {connections.length > 0 && (
+        <section style={styles.section}>
+          <h3 style={styles.h3}>Connections</h3>
+          {connections.map(c => (
+            <div key={`${c.node}-${c.kind}`} style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 12 }}>
+              <span style={{ width: 70, opacity: 0.7 }}>{NODE_KINDS[c.kind]}</span>
+              <span style={{ opacity: 0.5 }}>{c.node}</span>
+              {c.lineIds.map(id => (
+                <button key={id} onClick={() => onSelectLine?.(id)} style={styles.button}>{id}</button>
+              ))}
+            </div>
+          ))}
+        </section>
+      )}
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Segments</h3>
+        {segments.map(f => (
+          <div key={f.properties.id} style={styles.sourceRow}>
+            <span>{f.properties.id}</span>
+            <span style={{ opacity: 0.7 }}>
+              {f.properties.category || '—'} · handle {f.properties.handle ?? '—'}
+            </span>
+            <span style={{ opacity: 0.55, wordBreak: 'break-all' }}>{f.properties.layer || '—'}</span>
+          </div>
+        ))}
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Completed ranges (chainage)</h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+          {stages.map(stage => (
+            <button
+              key={stage.id}
+              onClick={() => onStageChange(stage.id)}
+              style={{
+                ...styles.button,
+                borderColor: stage.id === activeStage?.id ? stage.color : '#1d2640',
+                color: stage.id === activeStage?.id ? stage.color : '#cbd5f5'
+              }}
+            >
+              {stage.name}
+            </button>
+          ))}
+        </div>
+        {activeStage && segments.map(f => (
+          <RangeEditor
+            key={`${f.properties.id}-${activeStage.id}`}
+            segment={f}
+            stageId={activeStage.id}
+            onApply={(segmentId, ranges) => onApplyRanges(segmentId, activeStage.id, ranges)}
+            readOnly={!can(user, 'edit')}
+          />
+        ))}
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Assignment</h3>
+        <label style={styles.label}>
+          Subcontractor
+          <input
+            list="inspector-subcontractors"
+            value={lineMeta.subcontractor || ''}
+            onChange={(e) => patchMeta({ subcontractor: e.target.value })}
+            readOnly={readOnly}
+            style={styles.input}
+          />
+          <datalist id="inspector-subcontractors">
+            {subcontractors.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+        <label style={styles.label}>
+          Crew
+          <input
+            value={lineMeta.crew || ''}
+            onChange={(e) => patchMeta({ crew: e.target.value })}
+            readOnly={readOnly}
+            style={styles.input}
+          />
+        </label>
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Notes</h3>
+        {(lineMeta.notes || []).map(n => (
+          <div key={n.id} style={styles.note}>
+            <div style={{ whiteSpace: 'pre-wrap' }}>{n.text}</div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', opacity: 0.6, fontSize: 11 }}>
+              <span>{new Date(n.at).toLocaleString()}{n.byName ? ` · ${n.byName}` : ''}</span>
+              {!readOnly && (
+                <button
+                  onClick={() => patchMeta({ notes: lineMeta.notes.filter(x => x.id !== n.id) })}
+                  style={{ ...styles.linkButton, color: '#fca5a5' }}
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {!readOnly && (
+          <>
+            <textarea value={note} onChange={(e) => setNote(e.target.value)} rows={3} style={styles.input} placeholder="Add a note" />
+            <button onClick={addNote} disabled={!note.trim()} style={{ ...styles.button, alignSelf: 'flex-start' }}>Add note</button>
+          </>
+        )}
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Photos</h3>
+        <div style={styles.photos}>
+          {(lineMeta.photos || []).map(p => (
+            <figure key={p.id} style={styles.photo}>
+              <a href={p.dataUrl} target="_blank" rel="noreferrer">
+                <img src={p.dataUrl} alt={p.name} style={{ width: '100%', borderRadius: 6, display: 'block' }} />
+              </a>
+              {!readOnly && (
+                <button
+                  onClick={() => patchMeta({ photos: lineMeta.photos.filter(x => x.id !== p.id) })}
+                  style={{ ...styles.linkButton, color: '#fca5a5' }}
+                >
+                  Remove
+                </button>
+              )}
+            </figure>
+          ))}
+        </div>
+        {!readOnly && <input type="file" accept="image/*" multiple onChange={addPhotos} style={{ fontSize: 12 }} />}
+        {photoError && <span style={{ color: '#fca5a5', fontSize: 12 }}>{photoError}</span>}
+      </section>
+    </aside>
+  )
+}
+
+function Row({ label, value }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 13 }}>
+      <span style={{ opacity: 0.7, color: '#cbd5f5' }}>{label}</span>
+      <span style={{ textTransform: 'capitalize' }}>{value}</span>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  h3: {
+    margin: 0,
+    fontSize: 14,
+    fontWeight: 600,
+    color: '#cbd5f5'
+  },
+  sourceRow: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: 12,
+    paddingBottom: 6,
+    borderBottom: '1px solid #1e2b4a'
+  },
+  segment: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    paddingTop: 8,
+    borderTop: '1px solid #1e2b4a'
+  },
+  segmentHead: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: 12
+  },
+  rangeRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '6px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb',
+    fontFamily: 'inherit'
+  },
+  smallInput: {
+    width: 90,
+    padding: '4px 6px',
+    borderRadius: 6,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  button: {
+    padding: '5px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  linkButton: {
+    border: 'none',
+    background: 'transparent',
+    padding: 0,
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  note: {
+    padding: 8,
+    borderRadius: 8,
+    background: '#111a2e',
+    fontSize: 13,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4
+  },
+  photos: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(2, 1fr)',
+    gap: 8
+  },
+  photo: {
+    margin: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4
+  }
+}
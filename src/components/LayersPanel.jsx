@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react'
+import { DEFAULT_NATIVE_ZOOM, OVERLAY_COLORS, isTileTemplate, newLayerId } from './basemap.js'
+import { DEFAULT_SERVER, SERVER_KEY, listTileSets, tileSetUrl } from './syncClient.js'
+
+// Map layers under the trenches: raster tiles such as a drone orthophoto, the
+// background drawing and extra GeoJSON drawings, each with its own toggle.
+// Anyone can switch layers and change their look; adding and removing them
+// is for those with `canEdit`.
+export default function LayersPanel({ isOpen, basemap, onChange, canEdit, onClose }) {
+  const [tileName, setTileName] = useState('')
+  const [tileUrl, setTileUrl] = useState('')
+  const [tileZoom, setTileZoom] = useState(DEFAULT_NATIVE_ZOOM)
+  const [server, setServer] = useState('')
+  const [remote, setRemote] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isOpen) return
+    setServer(localStorage.getItem(SERVER_KEY) || DEFAULT_SERVER)
+    setRemote(null)
+    setError('')
+  }, [isOpen])
+
+  if (!isOpen) return null
+
+  const { tiles, overlays, background } = basemap
+  const patchList = (key, id, patch) => onChange({ ...basemap, [key]: basemap[key].map(l => (l.id === id ? { ...l, ...patch } : l)) })
+  const remove = (key, layer) => {
+    if (window.confirm(`Remove “${layer.name}” from the map?`)) onChange({ ...basemap, [key]: basemap[key].filter(l => l.id !== layer.id) })
+  }
+  const addTiles = (layer) => onChange({ ...basemap, tiles: [...tiles, { id: newLayerId('tiles'), opacity: 1, visible: true, ...layer }] })
+
+  const handleAddUrl = (e) => {
+    e.preventDefault()
+    const url = tileUrl.trim()
+    if (!isTileTemplate(url)) {
+      setError('The address needs {z}, {x} and {y}, e.g. /tiles/ortho/{z}/{x}/{y}.png')
+      return
+    }
+    setError('')
+    addTiles({ name: tileName.trim() || 'Tiles', url, maxNativeZoom: Number(tileZoom) || DEFAULT_NATIVE_ZOOM })
+    setTileName('')
+    setTileUrl('')
+  }
+
+  const browse = async () => {
+    setError('')
+    try {
+      setRemote(await listTileSets(server))
+    } catch (err) {
+      setRemote(null)
+      setError(err.message === 'Failed to fetch' ? 'Could not reach the tile server.' : err.message)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const data = JSON.parse(await file.text())
+      if (!Array.isArray(data?.features)) throw new Error('not a FeatureCollection')
+      setError('')
+      onChange({
+        ...basemap,
+        overlays: [...overlays, {
+          id: newLayerId('overlay'),
+          name: file.name.replace(/\.(geo)?json$/i, ''),
+          data,
+          color: OVERLAY_COLORS[overlays.length % OVERLAY_COLORS.length],
+          opacity: 0.6,
+          visible: true
+        }]
+      })
+    } catch {
+      setError(`${file.name} is not valid GeoJSON.`)
+    }
+  }
+
+  const opacityInput = (value, onValue) => (
+    <input type="range" min={0} max={1} step={0.05} value={value} onChange={(e) => onValue(Number(e.target.value))} style={{ flex: 1 }} title={`${Math.round(value * 100)}%`} />
+  )
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>Map layers</h2>
+        <button onClick={onClose} style={styles.iconButton} title="Close">✕</button>
+      </div>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Tiles</h3>
+        {!tiles.length && <span style={styles.note}>No tiles yet. Add a drone orthophoto to compare the map with what is dug.</span>}
+        {tiles.map(layer => (
+          <div key={layer.id} style={styles.layer}>
+            <label style={styles.row}>
+              <input type="checkbox" checked={layer.visible} onChange={(e) => patchList('tiles', layer.id, { visible: e.target.checked })} />
+              <span style={styles.name} title={layer.url}>{layer.name}</span>
+              {canEdit && <button onClick={() => remove('tiles', layer)} style={styles.small}>Remove</button>}
+            </label>
+            <div style={styles.row}>
+              <span style={styles.note}>Opacity</span>
+              {opacityInput(layer.opacity, opacity => patchList('tiles', layer.id, { opacity }))}
+            </div>
+          </div>
+        ))}
+        {canEdit && (
+          <>
+            <form onSubmit={handleAddUrl} style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+              <input value={tileName} onChange={(e) => setTileName(e.target.value)} placeholder="Name, e.g. Orthophoto 12 May" style={styles.input} />
+              <div style={styles.row}>
+                <input value={tileUrl} onChange={(e) => setTileUrl(e.target.value)} placeholder="/tiles/ortho/{z}/{x}/{y}.png" style={{ ...styles.input, flex: 1, minWidth: 0 }} />
+                <input type="number" min={1} max={24} value={tileZoom} onChange={(e) => setTileZoom(e.target.value)} title="Deepest zoom level of the tiles" style={{ ...styles.input, width: 48 }} />
+                <button type="submit" disabled={!tileUrl.trim()} style={styles.button}>Add</button>
+              </div>
+            </form>
+            <span style={styles.note}>Or tile folders and MBTiles kept by the sync server:</span>
+            <div style={styles.row}>
+              <input value={server} onChange={(e) => setServer(e.target.value)} style={{ ...styles.input, flex: 1, minWidth: 0 }} />
+              <button onClick={browse} disabled={!server} style={styles.button}>List</button>
+            </div>
+            {remote && !remote.length && <span style={styles.note}>The server has no tile sets.</span>}
+            {remote?.map(set => (
+              <div key={set.name} style={styles.row}>
+                <span style={styles.name}>{set.title}</span>
+                <span style={styles.note}>{set.kind === 'mbtiles' ? 'MBTiles' : 'Folder'} · z{set.minzoom}–{set.maxzoom}</span>
+                <button onClick={() => addTiles({ name: set.title, url: tileSetUrl(server, set.name), maxNativeZoom: set.maxzoom })} style={styles.small}>Add</button>
+              </div>
+            ))}
+          </>
+        )}
+      </section>
+
+      <section style={styles.section}>
+        <h3 style={styles.h3}>Drawings</h3>
+        {[{ id: 'background', name: 'Site background', ...background }, ...overlays].map(layer => {
+          const builtIn = layer.id === 'background'
+          const patch = (p) => (builtIn ? onChange({ ...basemap, background: { ...background, ...p } }) : patchList('overlays', layer.id, p))
+          return (
+            <div key={layer.id} style={styles.layer}>
+              <label style={styles.row}>
+                <input type="checkbox" checked={layer.visible} onChange={(e) => patch({ visible: e.target.checked })} />
+                <span style={styles.name}>{layer.name}</span>
+                <input type="color" value={layer.color} onChange={(e) => patch({ color: e.target.value })} style={styles.color} />
+                {canEdit && !builtIn && <button onClick={() => remove('overlays', layer)} style={styles.small}>Remove</button>}
+              </label>
+              <div style={styles.row}>
+                <span style={styles.note}>Opacity</span>
+                {opacityInput(layer.opacity, opacity => patch({ opacity }))}
+              </div>
+            </div>
+          )
+        })}
+        {canEdit && (
+          <label style={{ ...styles.button, display: 'inline-flex', alignSelf: 'flex-start' }}>
+            Add GeoJSON drawing
+            <input type="file" accept=".geojson,.json,application/geo+json" onChange={handleFile} style={{ display: 'none' }} />
+          </label>
+        )}
+      </section>
+
+      {error && <span style={{ color: '#fca5a5', fontSize: 12 }}>{error}</span>}
+    </aside>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  h3: {
+    margin: 0,
+    fontSize: 14
+  },
+  layer: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    padding: 8,
+    borderRadius: 8,
+    background: '#0b1220'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    fontSize: 13
+  },
+  name: {
+    flex: 1,
+    minWidth: 0,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  note: {
+    fontSize: 12,
+    opacity: 0.7
+  },
+  input: {
+    padding: '5px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  color: {
+    width: 28,
+    height: 22,
+    padding: 0,
+    border: 'none',
+    background: 'transparent',
+    cursor: 'pointer'
+  },
+  button: {
+    padding: '6px 12px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 13
+  },
+  small: {
+    padding: '2px 8px',
+    borderRadius: 6,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,309 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { GeoJSON, Pane, useMap } from 'react-leaflet'
+import { bbox as turfBbox } from '@turf/turf'
+import { STATUS_INFO } from './progress.js'
+
+const MAX_RESULTS = 8
+const BEHIND_COLOR = '#fb923c'
+
+// Runs, segments and CAD handles containing `query`; exact hits first
+function searchTrenches(features, query) {
+  const q = query.trim().toLowerCase()
+  if (!q) return []
+  const runs = new Map()
+  const hits = []
+  for (const f of features) {
+    const p = f.properties
+    const lineId = String(p.lineId ?? '')
+    if (lineId.toLowerCase().includes(q)) {
+      if (!runs.has(lineId)) runs.set(lineId, [])
+      runs.get(lineId).push(f)
+    }
+    for (const [kind, value] of [['Segment', p.id], ['Handle', p.handle]]) {
+      if (value == null || !String(value).toLowerCase().includes(q)) continue
+      hits.push({ key: `${kind}:${p.id}`, kind, label: String(value), detail: `in ${lineId}`, exact: String(value).toLowerCase() === q, features: [f] })
+    }
+  }
+  for (const [lineId, list] of runs) {
+    hits.push({ key: `Run:${lineId}`, kind: 'Run', label: lineId, detail: `${list.length} segment${list.length > 1 ? 's' : ''}`, exact: lineId.toLowerCase() === q, features: list })
+  }
+  return hits.sort((a, b) => Number(b.exact) - Number(a.exact)).slice(0, MAX_RESULTS)
+}
+
+const toggleIn = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value])
+
+// Search, status colouring, filters and legend for the trench map. Filters
+// narrow what the map shows and edits; search looks through every trench.
+export function MapControlPanel({
+  allFeatures = [],
+  visibleIds,
+  filter,
+  onFilterChange,
+  layerNames = [],
+  zones = [],
+  zoneFilter,
+  onZoneFilter,
+  colorByStatus,
+  onColorByStatusChange,
+  activeStage,
+  showBehind,
+  onFound
+}) {
+  const [open, setOpen] = useState(true)
+  const [query, setQuery] = useState('')
+  const [picked, setPicked] = useState(null)
+  const results = useMemo(() => searchTrenches(allFeatures, query), [allFeatures, query])
+  const filtered = filter.statuses.length + filter.layers.length + (zoneFilter ? 1 : 0)
+
+  const pick = (result) => {
+    setPicked(result)
+    onFound(result)
+  }
+  const hidden = picked && !picked.features.some(f => visibleIds.has(f.properties.id))
+
+  return (
+    <div style={styles.panel}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <button onClick={() => setOpen(v => !v)} style={{ ...styles.button, flex: 1, textAlign: 'left' }}>
+          {open ? '▾' : '▸'} Map {filtered > 0 && <span style={{ color: '#c084fc' }}>· {filtered} filter{filtered > 1 ? 's' : ''}</span>}
+        </button>
+        {filtered > 0 && (
+          <button
+            onClick={() => {
+              onFilterChange({ statuses: [], layers: [] })
+              onZoneFilter(null)
+            }}
+            style={styles.button}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+            <input
+              type="search"
+              value={query}
+              placeholder="Run, segment or handle"
+              onChange={(e) => {
+                setQuery(e.target.value)
+                setPicked(null)
+                onFound(null)
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && results.length) pick(results[0])
+              }}
+              style={styles.input}
+            />
+            {query.trim() && !results.length && <span style={styles.note}>No trench matches.</span>}
+            {results.map(r => (
+              <button
+                key={r.key}
+                onClick={() => pick(r)}
+                style={{ ...styles.result, borderColor: picked?.key === r.key ? '#f472b6' : 'transparent' }}
+              >
+                <span style={{ opacity: 0.6, width: 56 }}>{r.kind}</span>
+                <span style={{ flex: 1, fontWeight: 600, wordBreak: 'break-all' }}>{r.label}</span>
+                <span style={{ opacity: 0.6 }}>{r.detail}</span>
+              </button>
+            ))}
+            {hidden && <span style={{ ...styles.note, color: '#fbbf24' }}>Hidden by the current filters.</span>}
+          </div>
+
+          <div style={styles.group}>
+            <span style={styles.heading}>Status{activeStage ? ` · ${activeStage.name}` : ''}</span>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+              {Object.entries(STATUS_INFO).map(([status, info]) => (
+                <button
+                  key={status}
+                  onClick={() => onFilterChange({ ...filter, statuses: toggleIn(filter.statuses, status) })}
+                  style={{ ...styles.chip, ...(filter.statuses.includes(status) ? styles.chipOn : null) }}
+                >
+                  <span style={{ ...styles.swatch, background: info.color }} />
+                  {info.name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {layerNames.length > 1 && (
+            <div style={styles.group}>
+              <span style={styles.heading}>Layer</span>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                {layerNames.map(layer => (
+                  <button
+                    key={layer}
+                    onClick={() => onFilterChange({ ...filter, layers: toggleIn(filter.layers, layer) })}
+                    title={layer}
+                    style={{ ...styles.chip, ...(filter.layers.includes(layer) ? styles.chipOn : null), maxWidth: '100%', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                  >
+                    {layer}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {zones.length > 0 && (
+            <label style={styles.group}>
+              <span style={styles.heading}>Zone</span>
+              <select value={zoneFilter || ''} onChange={(e) => onZoneFilter(e.target.value || null)} style={styles.input}>
+                <option value="">All zones</option>
+                {zones.map(z => <option key={z.id} value={z.id}>{z.name}</option>)}
+              </select>
+            </label>
+          )}
+
+          <div style={styles.group}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input type="checkbox" checked={colorByStatus} onChange={(e) => onColorByStatusChange(e.target.checked)} />
+              Colour trenches by status
+            </label>
+            <span style={styles.heading}>Legend</span>
+            {colorByStatus
+              ? Object.values(STATUS_INFO).map(info => (
+                <span key={info.name} style={styles.legend}><span style={{ ...styles.line, background: info.color }} />{info.name}</span>
+              ))
+              : <span style={styles.legend}><span style={{ ...styles.line, background: STATUS_INFO.pending.color }} />Trench</span>}
+            {activeStage && (
+              <span style={styles.legend}><span style={{ ...styles.line, height: 4, background: activeStage.color }} />{activeStage.name} recorded</span>
+            )}
+            {showBehind && (
+              <span style={styles.legend}><span style={{ ...styles.line, background: BEHIND_COLOR }} />Behind plan</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// The trenches picked in the search, outlined and zoomed to once per pick
+export function FoundLayer({ found }) {
+  const map = useMap()
+  const geojson = useMemo(
+    () => (found ? { type: 'FeatureCollection', features: found.features } : null),
+    [found]
+  )
+
+  const fittedRef = useRef(null)
+  useEffect(() => {
+    if (!found || fittedRef.current === found) return
+    fittedRef.current = found
+    try {
+      const [minX, minY, maxX, maxY] = turfBbox(geojson)
+      map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [80, 80], maxZoom: 20 })
+    } catch (err) {
+      console.error(err)
+    }
+  }, [found, geojson, map])
+
+  if (!geojson) return null
+  return (
+    <Pane name="found" style={{ zIndex: 402 }}>
+      <GeoJSON key={found.key} data={geojson} style={{ color: '#f472b6', weight: 6, opacity: 0.7 }} interactive={false} />
+    </Pane>
+  )
+}
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    top: 64,
+    left: 12,
+    zIndex: 1000,
+    width: 250,
+    maxHeight: 'calc(100% - 160px)',
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 10,
+    padding: 10,
+    borderRadius: 10,
+    background: 'rgba(8,17,34,0.95)',
+    border: '1px solid #1d2a46',
+    color: '#e5e7eb',
+    fontSize: 13
+  },
+  group: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4
+  },
+  heading: {
+    fontSize: 11,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    color: '#9ca3af'
+  },
+  note: {
+    fontSize: 12,
+    opacity: 0.7
+  },
+  input: {
+    padding: '5px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  result: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    padding: '4px 6px',
+    borderRadius: 6,
+    border: '1px solid transparent',
+    background: '#0b1220',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12,
+    textAlign: 'left'
+  },
+  chip: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4,
+    padding: '2px 8px',
+    borderRadius: 999,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    fontSize: 11,
+    whiteSpace: 'nowrap'
+  },
+  chipOn: {
+    background: '#1e293b',
+    borderColor: '#c084fc',
+    color: '#e5e7eb'
+  },
+  swatch: {
+    width: 8,
+    height: 8,
+    borderRadius: 4
+  },
+  legend: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    fontSize: 12
+  },
+  line: {
+    display: 'inline-block',
+    width: 22,
+    height: 2,
+    borderRadius: 1
+  },
+  button: {
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  }
+}
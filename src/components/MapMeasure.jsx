@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from 'react'
+import { CircleMarker, GeoJSON, Pane, useMap, useMapEvent } from 'react-leaflet'
+import { along as turfAlong } from '@turf/turf'
+import { PIXEL_TOLERANCE, chainageFraction, pickNearestFeature } from './mapUtils.js'
+import { sliceRange } from './slices.js'
+
+const geomLength = (f) => f?.properties.geomMeters || f?.properties.meters || 0
+
+const pointAt = (f, meters) => {
+  const [lng, lat] = turfAlong(f, meters / 1000, { units: 'kilometers' }).geometry.coordinates
+  return [lat, lng]
+}
+
+// First click picks the segment and start chainage, second click the end.
+// Clicking another segment starts over from there.
+export function MeasureTool({ features, spatialIndex, measure, onChange, onHover }) {
+  const map = useMap()
+
+  useMapEvent('click', (e) => {
+    const { feature, dpx } = pickNearestFeature(map, e.latlng, features, spatialIndex)
+    if (!feature || dpx > PIXEL_TOLERANCE) return
+    const meters = chainageFraction(feature, e.latlng).fraction * geomLength(feature)
+    const id = feature.properties.id
+    if (!measure || measure.end != null || measure.segmentId !== id) {
+      onChange({ segmentId: id, start: meters, end: null })
+    } else {
+      onChange({ ...measure, end: meters })
+    }
+  })
+
+  useMapEvent('mousemove', (e) => {
+    const { feature, dpx } = pickNearestFeature(map, e.latlng, features, spatialIndex)
+    if (!feature || dpx > PIXEL_TOLERANCE) {
+      onHover(null)
+      return
+    }
+    const meters = chainageFraction(feature, e.latlng).fraction * geomLength(feature)
+    onHover({ lineId: feature.properties.lineId, segmentId: feature.properties.id, meters })
+  })
+
+  return null
+}
+
+export function MeasureLayer({ feature, measure }) {
+  const span = useMemo(() => {
+    if (!feature || measure?.end == null) return null
+    const len = geomLength(feature)
+    const a = Math.min(measure.start, measure.end) / len
+    const b = Math.max(measure.start, measure.end) / len
+    return sliceRange(feature, a, b)
+  }, [feature, measure])
+
+  if (!feature || !measure) return null
+  const len = geomLength(feature)
+  const clamp = (m) => Math.max(0, Math.min(len, m))
+
+  return (
+    <Pane name="measure" style={{ zIndex: 403 }}>
+      {span && (
+        <GeoJSON
+          key={`${measure.segmentId}-${measure.start}-${measure.end}`}
+          data={span}
+          style={{ color: '#f472b6', weight: 4, opacity: 0.9, lineCap: 'butt' }}
+          interactive={false}
+        />
+      )}
+      <CircleMarker center={pointAt(feature, clamp(measure.start))} radius={5} pathOptions={{ color: '#f472b6', fillOpacity: 1 }} interactive={false} />
+      {measure.end != null && (
+        <CircleMarker center={pointAt(feature, clamp(measure.end))} radius={5} pathOptions={{ color: '#f472b6', fillOpacity: 1 }} interactive={false} />
+      )}
+    </Pane>
+  )
+}
+
+export function MeasurePanel({ feature, measure, hover, stageName, onChange, onApply, onCancel }) {
+  const [error, setError] = useState('')
+  const len = geomLength(feature)
+  const fmt = (v) => (v == null ? '—' : `${v.toFixed(2)} m`)
+
+  if (!measure) {
+    return (
+      <div style={styles.panel}>
+        <strong>Measure</strong>
+        <span style={{ opacity: 0.75 }}>Click the start of the stretch on a trench</span>
+        {hover && <span>{hover.lineId} · {hover.segmentId} @ {fmt(hover.meters)}</span>}
+      </div>
+    )
+  }
+
+  const setValue = (key, raw) => {
+    const value = Number(raw)
+    if (!Number.isFinite(value)) return
+    setError(value < 0 || value > len ? `Chainage must be between 0 and ${len.toFixed(2)} m` : '')
+    onChange({ ...measure, [key]: value })
+  }
+
+  const ready = measure.end != null && !error && Math.abs(measure.end - measure.start) > 0.01
+  const span = measure.end != null ? Math.abs(measure.end - measure.start) : null
+
+  const commit = (op) => {
+    if (!ready) return
+    const a = Math.max(0, Math.min(measure.start, measure.end)) / len
+    const b = Math.min(len, Math.max(measure.start, measure.end)) / len
+    onApply(op, [[a, b]])
+  }
+
+  return (
+    <div style={styles.panel}>
+      <strong>{feature?.properties.lineId} · {measure.segmentId}</strong>
+      <span style={{ opacity: 0.75 }}>Length along geometry {fmt(len)}</span>
+      <label style={styles.label}>
+        Start chainage (m)
+        <input
+          type="number"
+          step="0.1"
+          value={Number(measure.start.toFixed(2))}
+          onChange={(e) => setValue('start', e.target.value)}
+          style={styles.input}
+        />
+      </label>
+      <label style={styles.label}>
+        End chainage (m)
+        <input
+          type="number"
+          step="0.1"
+          value={measure.end == null ? '' : Number(measure.end.toFixed(2))}
+          placeholder="Click the end point"
+          onChange={(e) => setValue('end', e.target.value)}
+          style={styles.input}
+        />
+      </label>
+      <span>Span: <strong>{fmt(span)}</strong></span>
+      {error && <span style={{ color: '#fca5a5' }}>{error}</span>}
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button onClick={() => commit('add')} disabled={!ready} style={{ ...styles.button, ...styles.primary, opacity: ready ? 1 : 0.5 }}>
+          Mark {stageName}
+        </button>
+        <button onClick={() => commit('erase')} disabled={!ready} style={{ ...styles.button, color: '#fca5a5', opacity: ready ? 1 : 0.5 }}>
+          Erase
+        </button>
+        <button onClick={onCancel} style={styles.button}>Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    left: 12,
+    bottom: 18,
+    zIndex: 1000,
+    width: 260,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: 'rgba(8,17,34,0.95)',
+    border: '1px solid #1d2a46',
+    color: '#e5e7eb',
+    fontSize: 13
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '6px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  button: {
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer'
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  }
+}
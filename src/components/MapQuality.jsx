@@ -0,0 +1,53 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { CircleMarker, GeoJSON, Pane, useMap } from 'react-leaflet'
+import { bbox as turfBbox } from '@turf/turf'
+import { ISSUE_TYPES } from './quality.js'
+
+// The segments behind the picked data-check issue, zoomed to each time one is picked
+export function QualityLayer({ features, issue }) {
+  const map = useMap()
+  const geojson = useMemo(() => {
+    if (!issue) return null
+    const ids = new Set(issue.ids)
+    return { type: 'FeatureCollection', features: (features || []).filter(f => ids.has(f.properties.id)) }
+  }, [features, issue])
+
+  const fittedRef = useRef(null)
+  useEffect(() => {
+    if (!issue || fittedRef.current === issue) return
+    fittedRef.current = issue
+    try {
+      if (geojson?.features.length) {
+        const [minX, minY, maxX, maxY] = turfBbox(geojson)
+        map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [80, 80], maxZoom: 21 })
+      } else if (issue.point) {
+        map.setView([issue.point[1], issue.point[0]], 20)
+      }
+    } catch (err) {
+      console.error(err)
+    }
+  }, [geojson, issue, map])
+
+  if (!issue) return null
+  const color = ISSUE_TYPES[issue.type]?.color || '#f472b6'
+  return (
+    <Pane name="quality" style={{ zIndex: 403 }}>
+      {geojson?.features.length > 0 && (
+        <GeoJSON
+          key={issue.id}
+          data={geojson}
+          style={(f) => ({ color, weight: f.properties.id === issue.ids[0] ? 7 : 4, opacity: 0.85, dashArray: f.properties.id === issue.ids[0] ? null : '6 4' })}
+          interactive={false}
+        />
+      )}
+      {issue.point && (
+        <CircleMarker
+          center={[issue.point[1], issue.point[0]]}
+          radius={9}
+          pathOptions={{ color, weight: 2, fillOpacity: 0.15 }}
+          interactive={false}
+        />
+      )}
+    </Pane>
+  )
+}
@@ -0,0 +1,43 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { GeoJSON, Pane, useMap } from 'react-leaflet'
+import { bbox as turfBbox } from '@turf/turf'
+import { REVISION_COLORS } from './revision.js'
+
+const collection = (features) => ({ type: 'FeatureCollection', features })
+
+// What a design revision adds, removes and moves, drawn over the current
+// trenches until it is applied. Zooms to `focused` each time one is picked.
+export function RevisionLayer({ revision, focused }) {
+  const map = useMap()
+  const layers = useMemo(() => {
+    if (!revision) return null
+    return {
+      before: collection(revision.changed.map(c => c.before)),
+      changed: collection(revision.changed.map(c => c.after)),
+      added: collection(revision.added),
+      removed: collection(revision.removed)
+    }
+  }, [revision])
+
+  const fittedRef = useRef(null)
+  useEffect(() => {
+    if (!focused || fittedRef.current === focused) return
+    fittedRef.current = focused
+    try {
+      const [minX, minY, maxX, maxY] = turfBbox(collection(focused.features))
+      map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [80, 80], maxZoom: 21 })
+    } catch (err) {
+      console.error(err)
+    }
+  }, [focused, map])
+
+  if (!layers) return null
+  return (
+    <Pane name="revision" style={{ zIndex: 403 }}>
+      <GeoJSON data={layers.before} style={{ color: REVISION_COLORS.before, weight: 3, opacity: 0.8, dashArray: '6 4' }} interactive={false} />
+      <GeoJSON data={layers.removed} style={{ color: REVISION_COLORS.removed, weight: 4, opacity: 0.85, dashArray: '6 4' }} interactive={false} />
+      <GeoJSON data={layers.changed} style={{ color: REVISION_COLORS.changed, weight: 4, opacity: 0.9 }} interactive={false} />
+      <GeoJSON data={layers.added} style={{ color: REVISION_COLORS.added, weight: 4, opacity: 0.9 }} interactive={false} />
+    </Pane>
+  )
+}
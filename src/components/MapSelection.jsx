@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { GeoJSON, Pane, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { along as turfAlong, booleanPointInPolygon } from '@turf/turf'
+import { PIXEL_TOLERANCE, chainageFraction, pickNearestFeature } from './mapUtils.js'
+
+const LASSO_STEP_PX = 4
+
+// A line counts as inside the shape when the midpoint along its length is,
+// so trenches crossing the edge go with whichever side holds most of them
+function midpointOf(f) {
+  const len = f.properties.geomMeters || f.properties.meters || 0
+  return turfAlong(f, len / 2000, { units: 'kilometers' })
+}
+
+function featuresInPolygon(ring, spatialIndex) {
+  if (!spatialIndex || ring.length < 3) return []
+  const xs = ring.map(c => c[0])
+  const ys = ring.map(c => c[1])
+  const hits = spatialIndex.search({
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys)
+  })
+  const polygon = { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+  return hits
+    .map(h => h.feature)
+    .filter(f => {
+      try {
+        return booleanPointInPolygon(midpointOf(f), polygon)
+      } catch {
+        return false
+      }
+    })
+}
+
+// Shift-drag draws a rectangle from any tool; the lasso tool draws freehand
+export function SelectionTool({ tool, spatialIndex, onSelect }) {
+  const map = useMap()
+  const stateRef = useRef(null)
+
+  useEffect(() => {
+    const el = map.getContainer()
+
+    const toLatLng = (e) => map.mouseEventToLatLng(e)
+
+    const onMouseDown = (e) => {
+      if (e.button !== 0) return
+      const mode = tool === 'lasso' ? 'lasso' : (e.shiftKey || tool === 'select') ? 'rect' : null
+      if (!mode) return
+      e.preventDefault(); e.stopPropagation()
+      const start = toLatLng(e)
+      const preview = mode === 'rect'
+        ? L.rectangle(L.latLngBounds(start, start), { color: '#fbbf24', weight: 1.2, dashArray: '4 4', fillOpacity: 0.08, interactive: false })
+        : L.polygon([start], { color: '#fbbf24', weight: 1.2, dashArray: '4 4', fillOpacity: 0.08, interactive: false })
+      preview.addTo(map)
+      map.dragging.disable()
+      stateRef.current = {
+        mode,
+        start,
+        points: [start],
+        lastPx: map.mouseEventToContainerPoint(e),
+        preview,
+        additive: e.ctrlKey || e.metaKey
+      }
+    }
+
+    const onMouseMove = (e) => {
+      const state = stateRef.current
+      if (!state) return
+      e.preventDefault(); e.stopPropagation()
+      const current = toLatLng(e)
+      if (state.mode === 'rect') {
+        state.preview.setBounds(L.latLngBounds(state.start, current))
+        state.points = [state.start, current]
+        return
+      }
+      const px = map.mouseEventToContainerPoint(e)
+      if (px.distanceTo(state.lastPx) < LASSO_STEP_PX) return
+      state.lastPx = px
+      state.points.push(current)
+      state.preview.setLatLngs(state.points)
+    }
+
+    const onMouseUp = () => {
+      const state = stateRef.current
+      if (!state) return
+      stateRef.current = null
+      state.preview.remove()
+      map.dragging.enable()
+
+      let ring = []
+      if (state.mode === 'rect' && state.points.length === 2) {
+        const b = L.latLngBounds(state.points[0], state.points[1])
+        ring = [
+          [b.getWest(), b.getSouth()],
+          [b.getEast(), b.getSouth()],
+          [b.getEast(), b.getNorth()],
+          [b.getWest(), b.getNorth()]
+        ]
+      } else if (state.mode === 'lasso') {
+        ring = state.points.map(ll => [ll.lng, ll.lat])
+      }
+      const ids = featuresInPolygon(ring, spatialIndex).map(f => f.properties.id)
+      onSelect?.(ids, state.additive)
+    }
+
+    el.addEventListener('mousedown', onMouseDown, true)
+    window.addEventListener('mousemove', onMouseMove, true)
+    window.addEventListener('mouseup', onMouseUp, true)
+    return () => {
+      el.removeEventListener('mousedown', onMouseDown, true)
+      window.removeEventListener('mousemove', onMouseMove, true)
+      window.removeEventListener('mouseup', onMouseUp, true)
+      if (stateRef.current) {
+        stateRef.current.preview.remove()
+        stateRef.current = null
+        map.dragging.enable()
+      }
+    }
+  }, [map, tool, spatialIndex, onSelect])
+
+  return null
+}
+
+// Collects the two clicks for "fill between points", snapped to the selection
+export function FillPointPicker({ features, spatialIndex, onPick }) {
+  const map = useMap()
+  const markersRef = useRef([])
+
+  useEffect(() => {
+    const el = map.getContainer()
+    el.style.cursor = 'crosshair'
+    const markers = markersRef.current
+
+    const onMouseDown = (e) => {
+      if (e.button !== 0) return
+      e.preventDefault(); e.stopPropagation()
+      const latlng = map.mouseEventToLatLng(e)
+      const { feature, dpx } = pickNearestFeature(map, latlng, features, spatialIndex)
+      const point = feature && dpx <= PIXEL_TOLERANCE
+        ? L.latLng(chainageFraction(feature, latlng).snapped.geometry.coordinates.slice(0, 2).reverse())
+        : latlng
+      markers.push(L.circleMarker(point, { radius: 5, color: '#fbbf24', weight: 2, fillOpacity: 0.9, interactive: false }).addTo(map))
+      onPick?.(point)
+    }
+
+    el.addEventListener('mousedown', onMouseDown, true)
+    return () => {
+      el.removeEventListener('mousedown', onMouseDown, true)
+      el.style.cursor = ''
+      markers.forEach(m => m.remove())
+      markers.length = 0
+    }
+  }, [map, features, spatialIndex, onPick])
+
+  return null
+}
+
+export function SelectionLayer({ features, selectedIds }) {
+  const ref = useRef(null)
+  const geojson = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: (features || []).filter(f => selectedIds.has(f.properties.id))
+  }), [features, selectedIds])
+
+  useEffect(() => {
+    if (!ref.current) return
+    ref.current.clearLayers()
+    ref.current.addData(geojson)
+  }, [geojson])
+
+  return (
+    <Pane name="selection" style={{ zIndex: 402 }}>
+      <GeoJSON
+        ref={ref}
+        data={null}
+        style={{ color: '#fbbf24', weight: 2.4, opacity: 0.9, dashArray: '2 5', lineCap: 'butt' }}
+        interactive={false}
+      />
+    </Pane>
+  )
+}
+
+export function SelectionActions({ count, stageName, picking, onMarkDone, onClear, onFillBetween, onDeselect }) {
+  if (!count) return null
+  return (
+    <div style={styles.bar}>
+      <span style={{ color: '#fbbf24', fontWeight: 600 }}>{count} selected</span>
+      <span style={{ opacity: 0.6 }}>{stageName}</span>
+      <button onClick={onMarkDone} style={styles.button}>Mark done</button>
+      <button onClick={onClear} style={{ ...styles.button, color: '#fca5a5' }}>Clear</button>
+      <button onClick={onFillBetween} style={{ ...styles.button, borderColor: picking ? '#fbbf24' : '#1d2640' }}>
+        {picking ? 'Click two points…' : 'Fill between points'}
+      </button>
+      <button onClick={onDeselect} style={styles.button}>✕</button>
+    </div>
+  )
+}
+
+const styles = {
+  bar: {
+    position: 'absolute',
+    bottom: 18,
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: 1000,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    padding: '8px 12px',
+    borderRadius: 10,
+    background: 'rgba(8,17,34,0.95)',
+    border: '1px solid #1d2a46',
+    color: '#e5e7eb',
+    fontSize: 13
+  },
+  button: {
+    padding: '6px 12px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer'
+  }
+}
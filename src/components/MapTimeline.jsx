@@ -0,0 +1,130 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { dayRange } from './plan.js'
+
+const SPEEDS = [
+  { label: '1×', ms: 600 },
+  { label: '2×', ms: 300 },
+  { label: '4×', ms: 150 },
+  { label: '8×', ms: 75 }
+]
+
+// Scrubs the done layers back to any submitted work date and plays the
+// build-out forward day by day. `asOf` null means the live state.
+export function TimelineControl({ dates, asOf, onChange, stageName, doneMeters }) {
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(SPEEDS[1].ms)
+
+  const days = useMemo(
+    () => (dates.length ? dayRange(dates[0], dates[dates.length - 1]) : []),
+    [dates]
+  )
+  const index = asOf ? Math.max(0, days.indexOf(asOf)) : days.length - 1
+
+  useEffect(() => {
+    if (!playing) return
+    const id = setInterval(() => {
+      const next = days.indexOf(asOf) + 1
+      if (next >= days.length) {
+        setPlaying(false)
+        return
+      }
+      onChange(days[next])
+    }, speed)
+    return () => clearInterval(id)
+  }, [playing, speed, days, asOf, onChange])
+
+  if (!asOf) {
+    return (
+      <button
+        onClick={() => onChange(days[days.length - 1])}
+        disabled={!days.length}
+        title={days.length ? 'Show progress as of a past date' : 'Submit daily work to build up a history'}
+        style={{ ...styles.panel, ...styles.button, opacity: days.length ? 1 : 0.5 }}
+      >
+        Timeline
+      </button>
+    )
+  }
+
+  const play = () => {
+    if (index >= days.length - 1) onChange(days[0])
+    setPlaying(true)
+  }
+
+  const close = () => {
+    setPlaying(false)
+    onChange(null)
+  }
+
+  return (
+    <div style={{ ...styles.panel, width: 340 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>As of {asOf}</strong>
+        <span style={{ opacity: 0.75 }}>{stageName}: {doneMeters.toFixed(1)} m</span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={Math.max(0, days.length - 1)}
+        value={index}
+        onChange={(e) => {
+          setPlaying(false)
+          onChange(days[Number(e.target.value)])
+        }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, opacity: 0.6 }}>
+        <span>{days[0]}</span>
+        <span>{days[days.length - 1]}</span>
+      </div>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        <button onClick={playing ? () => setPlaying(false) : play} style={{ ...styles.button, ...styles.primary }}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={styles.select}>
+          {SPEEDS.map(s => <option key={s.ms} value={s.ms}>{s.label}</option>)}
+        </select>
+        <span style={{ flex: 1 }} />
+        <button onClick={close} style={styles.button}>Back to live</button>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    right: 12,
+    bottom: 18,
+    zIndex: 1000,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: 'rgba(8,17,34,0.95)',
+    border: '1px solid #1d2a46',
+    color: '#e5e7eb',
+    fontSize: 13
+  },
+  button: {
+    padding: '6px 12px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer'
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  select: {
+    padding: '5px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  }
+}
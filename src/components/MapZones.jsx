@@ -0,0 +1,124 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { CircleMarker, GeoJSON, Pane, Polygon, Polyline, useMap, useMapEvent } from 'react-leaflet'
+import { bbox as turfBbox } from '@turf/turf'
+import { zoneFeature } from './zones.js'
+
+const CLOSE_PX = 10
+
+// Zone outlines; the filtered zone is drawn stronger and zoomed to once
+export function ZonesLayer({ zones, activeZoneId }) {
+  const map = useMap()
+  const geojson = useMemo(() => ({ type: 'FeatureCollection', features: (zones || []).map(zoneFeature) }), [zones])
+
+  // Zoom when the filter changes, not when zones are edited
+  const fittedRef = useRef(null)
+  useEffect(() => {
+    if (fittedRef.current === activeZoneId) return
+    fittedRef.current = activeZoneId
+    const active = (zones || []).find(z => z.id === activeZoneId)
+    if (!active) return
+    try {
+      const [minX, minY, maxX, maxY] = turfBbox(zoneFeature(active))
+      map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [40, 40] })
+    } catch (err) {
+      console.error(err)
+    }
+  }, [zones, activeZoneId, map])
+
+  if (!geojson.features.length) return null
+  return (
+    <Pane name="zones" style={{ zIndex: 395 }}>
+      <GeoJSON
+        key={`${zones.map(z => z.id).join('|')}:${activeZoneId || ''}`}
+        data={geojson}
+        style={(f) => {
+          const isActive = f.properties.id === activeZoneId
+          return {
+            color: isActive ? '#c084fc' : '#818cf8',
+            weight: isActive ? 2.2 : 1.2,
+            opacity: activeZoneId && !isActive ? 0.35 : 0.8,
+            dashArray: isActive ? null : '6 4',
+            fillColor: '#818cf8',
+            fillOpacity: isActive ? 0.08 : 0.03
+          }
+        }}
+        interactive={false}
+      />
+    </Pane>
+  )
+}
+
+// Click to add corners; click the first corner, double-click or press Enter to
+// close the shape. Backspace drops the last corner, Escape gives up.
+export function ZoneDrawTool({ onFinish, onCancel }) {
+  const map = useMap()
+  const [points, setPoints] = useState([])
+  const [hover, setHover] = useState(null)
+  const pointsRef = useRef(points)
+
+  useEffect(() => {
+    pointsRef.current = points
+  }, [points])
+
+  useEffect(() => {
+    map.doubleClickZoom.disable()
+    map.getContainer().style.cursor = 'crosshair'
+    return () => {
+      map.doubleClickZoom.enable()
+      map.getContainer().style.cursor = ''
+    }
+  }, [map])
+
+  const finish = React.useCallback(() => {
+    // A double-click also lands two clicks on the same spot
+    const pts = pointsRef.current.filter((p, i, all) => (
+      i === 0 || map.latLngToContainerPoint(p).distanceTo(map.latLngToContainerPoint(all[i - 1])) > 2
+    ))
+    if (pts.length < 3) return
+    const ring = pts.map(p => [p.lng, p.lat])
+    onFinish({ type: 'Polygon', coordinates: [[...ring, ring[0]]] })
+    setPoints([])
+  }, [map, onFinish])
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return
+      if (e.key === 'Escape') onCancel()
+      else if (e.key === 'Enter') finish()
+      else if (e.key === 'Backspace') setPoints(prev => prev.slice(0, -1))
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [finish, onCancel])
+
+  useMapEvent('click', (e) => {
+    const first = points[0]
+    if (first && points.length >= 3 && map.latLngToContainerPoint(first).distanceTo(e.containerPoint) <= CLOSE_PX) {
+      finish()
+      return
+    }
+    setPoints(prev => [...prev, e.latlng])
+  })
+  useMapEvent('dblclick', finish)
+  useMapEvent('mousemove', (e) => setHover(e.latlng))
+
+  return (
+    <Pane name="zone-draw" style={{ zIndex: 404 }}>
+      {points.length >= 2 && (
+        <Polygon positions={points} pathOptions={{ color: '#c084fc', weight: 1.5, fillOpacity: 0.1 }} interactive={false} />
+      )}
+      {points.length >= 1 && hover && (
+        <Polyline positions={[points[points.length - 1], hover]} pathOptions={{ color: '#c084fc', weight: 1, dashArray: '4 4' }} interactive={false} />
+      )}
+      {points.map((p, i) => (
+        <CircleMarker
+          key={i}
+          center={p}
+          radius={i === 0 ? 6 : 4}
+          pathOptions={{ color: '#c084fc', fillColor: '#0b1220', fillOpacity: 1, weight: 2 }}
+          interactive={false}
+        />
+      ))}
+    </Pane>
+  )
+}
@@ -1,89 +1,44 @@
-import React, { useMemo, useRef, useCallback } from 'react'
-import { MapContainer, GeoJSON, useMap, useMapEvent, Pane } from 'react-leaflet'
+import React, { useMemo, useRef, useCallback, useEffect, useState } from 'react'
+import { MapContainer, GeoJSON, TileLayer, useMap, useMapEvent, Pane } from 'react-leaflet'
 import 'leaflet/dist/leaflet.css'
-import { bbox as turfBbox, point as turfPoint, nearestPointOnLine, lineSlice, length as turfLength } from '@turf/turf'
+import { bbox as turfBbox } from '@turf/turf'
 import RBush from 'rbush'
-import { along as turfAlong } from '@turf/turf'
-import L from 'leaflet'
-
-const PIXEL_TOLERANCE = 15
-
-function distPointToSegment(p, a, b) {
-  const vx = b.x - a.x, vy = b.y - a.y
-  const wx = p.x - a.x, wy = p.y - a.y
-  const len2 = vx * vx + vy * vy
-  if (len2 === 0) return Math.hypot(p.x - a.x, p.y - a.y)
-  let t = (wx * vx + wy * vy) / len2
-  t = Math.max(0, Math.min(1, t))
-  const projx = a.x + t * vx, projy = a.y + t * vy
-  return Math.hypot(p.x - projx, p.y - projy)
+import { editStage } from './stages.js'
+import { can } from './permissions.js'
+import { buildStageSlices, sliceRange } from './slices.js'
+import { recordSegments } from './approval.js'
+import { PIXEL_TOLERANCE, chainageFraction, pickNearestFeature, spanBetween, toleranceFor } from './mapUtils.js'
+import { FillPointPicker, SelectionActions, SelectionLayer, SelectionTool } from './MapSelection.jsx'
+import { MeasureLayer, MeasurePanel, MeasureTool } from './MapMeasure.jsx'
+import { TimelineControl } from './MapTimeline.jsx'
+import { ZoneDrawTool, ZonesLayer } from './MapZones.jsx'
+import { QualityLayer } from './MapQuality.jsx'
+import { RevisionLayer } from './MapRevision.jsx'
+import { FoundLayer, MapControlPanel } from './MapControls.jsx'
+import { STATUS_INFO } from './progress.js'
+import { DEFAULT_NATIVE_ZOOM, MAX_MAP_ZOOM } from './basemap.js'
+import { rangesAsOf, rangesLength, workDateOf } from './rangeUtils.js'
+
+// GeoJSON layers only read `data` when they mount, so layers whose data is
+// replaced are keyed to it and rebuilt for new data
+const dataKeys = new WeakMap()
+let lastDataKey = 0
+function dataKey(data) {
+  if (!dataKeys.has(data)) dataKeys.set(data, ++lastDataKey)
+  return dataKeys.get(data)
 }
 
-function toXY(map, lat, lng) {
-  const pt = map.latLngToContainerPoint({ lat, lng })
-  return { x: pt.x, y: pt.y }
-}
-
-function pixelDistancePointToFeature(map, latlng, feature) {
-  const p = toXY(map, latlng.lat, latlng.lng)
-  const geom = feature.geometry
-  let minD = Infinity
-
-  if (geom?.type === 'LineString') {
-    const c = geom.coordinates || []
-    for (let i = 0; i < c.length - 1; i++) {
-      const a = toXY(map, c[i][1], c[i][0])
-      const b = toXY(map, c[i + 1][1], c[i + 1][0])
-      const d = distPointToSegment(p, a, b)
-      if (d < minD) minD = d
-      if (d <= PIXEL_TOLERANCE) return d
-    }
-  } else if (geom?.type === 'MultiLineString') {
-    for (const part of (geom.coordinates || [])) {
-      for (let i = 0; i < part.length - 1; i++) {
-        const a = toXY(map, part[i][1], part[i][0])
-        const b = toXY(map, part[i + 1][1], part[i + 1][0])
-        const d = distPointToSegment(p, a, b)
-        if (d < minD) minD = d
-        if (d <= PIXEL_TOLERANCE) return d
-      }
-    }
+// The trench layer is rebuilt when its lines or their ids change, e.g. after
+// an import, a filter or a revision. Brush strokes only change stages, which
+// the style picks up in place.
+function linesKey(features) {
+  let hash = features.length
+  const mix = (n) => { hash = (Math.imul(hash, 31) + n) | 0 }
+  for (const f of features) {
+    mix(dataKey(f.geometry))
+    for (const ch of `${f.properties.id}|${f.properties.lineId}`) mix(ch.charCodeAt(0))
   }
-  return minD
-}
-
-function pxToMeters(map, latlng, px = PIXEL_TOLERANCE) {
-  const p = map.latLngToContainerPoint(latlng)
-  const p2 = { x: p.x + px, y: p.y }
-  const ll2 = map.containerPointToLatLng(p2)
-  return map.distance(latlng, ll2)
-}
-
-function metersToDegreeBox(centerLat, radiusM, inflate = 2.2) {
-  const latDeg = (radiusM / 110540) * inflate
-  const lonDeg = (radiusM / (111320 * Math.max(Math.cos(centerLat * Math.PI / 180), 0.01))) * inflate
-  return { latDeg, lonDeg }
-}
-
-function pickNearestFeature(map, latlng, allFeatures, spatialIndex) {
-  let candidates = []
-  if (spatialIndex) {
-    const radiusM = pxToMeters(map, latlng, PIXEL_TOLERANCE)
-    const { latDeg, lonDeg } = metersToDegreeBox(latlng.lat, radiusM, 2.2)
-    const minX = latlng.lng - lonDeg, maxX = latlng.lng + lonDeg
-    const minY = latlng.lat - latDeg, maxY = latlng.lat + latDeg
-    const hits = spatialIndex.search({ minX, minY, maxX, maxY })
-    candidates = hits?.length ? hits.map(h => h.feature) : (allFeatures || [])
-  } else {
-    candidates = allFeatures || []
-  }
-
-  let best = null, bestD = Infinity
-  for (const f of candidates) {
-    const dpx = pixelDistancePointToFeature(map, latlng, f)
-    if (dpx < bestD) { bestD = dpx; best = f }
-  }
-  return { feature: best, dpx: bestD }
+  return hash
 }
 
 function FitToDataOnce({ geojson }) {
@@ -186,209 +141,495 @@ function MapHoverProximity({ setHoverId, features, spatialIndex }) {
   return null
 }
 
-function MapBrushUnified({ setProgressForLine, features, spatialIndex, beginUndoableAction }) {
+// A finger waits this long (or until it moves) before painting, so the
+// first finger of a two-finger pan/pinch doesn't leave a dab behind
+const TOUCH_START_DELAY_MS = 120
+const TOUCH_START_MOVE_PX = 6
+// Contacts wider than this are a resting hand, not a fingertip
+const PALM_CONTACT_PX = 40
+const BRUSH_STEP_PX = 5
+
+// Pointer-event brush for mouse, pen and touch. Mouse: left button uses the
+// brush mode, right button erases. Pen: the eraser end erases, and once a pen
+// has been seen fingers only pan and zoom. Touch: one finger paints, two
+// fingers are left to Leaflet for pan and pinch zoom.
+function MapBrushUnified({ editSegmentStage, features, spatialIndex, beginUndoableAction, endUndoableAction, brushMeters = 2, mode = 'paint' }) {
   const map = useMap()
-  const isDownRef = useRef(false)
-  const downButtonRef = useRef(0)
-  const lastDragLatLngRef = useRef(null)
-  const actionStartedRef = useRef(false)
-
-  const mergeRanges = (ranges) => {
-    if (!ranges || ranges.length === 0) return []
-    const sorted = [...ranges].sort((a, b) => a[0] - b[0])
-    const merged = []
-    let current = sorted[0]
-    for (let i = 1; i < sorted.length; i++) {
-      const next = sorted[i]
-      if (next[0] <= current[1] + 0.001) {
-        current[1] = Math.max(current[1], next[1])
-      } else {
-        merged.push(current)
-        current = next
+  const latestRef = useRef(null)
+  const strokeRef = useRef(null)
+  const touchesRef = useRef(new Set())
+  const penSeenRef = useRef(false)
+
+  useEffect(() => {
+    latestRef.current = { editSegmentStage, features, spatialIndex, beginUndoableAction, endUndoableAction, brushMeters, mode }
+  })
+
+  useEffect(() => {
+    const el = map.getContainer()
+    const prevTouchAction = el.style.touchAction
+    el.style.touchAction = 'none'
+
+    const processPoint = (latlng, stroke) => {
+      const { features, spatialIndex, brushMeters, editSegmentStage } = latestRef.current
+      const { feature, dpx } = pickNearestFeature(map, latlng, features, spatialIndex, stroke.tolerance)
+      if (!feature || dpx > stroke.tolerance) return
+      const total = feature.properties.geomMeters || feature.properties.meters || 1
+      const { fraction } = chainageFraction(feature, latlng)
+      const half = brushMeters / total / 2
+      editSegmentStage(feature.properties.id, stroke.op, [[Math.max(0, fraction - half), Math.min(1, fraction + half)]])
+    }
+
+    const startStroke = (stroke) => {
+      clearTimeout(stroke.timer)
+      if (stroke.started) return
+      stroke.started = true
+      latestRef.current.beginUndoableAction?.()
+      processPoint(stroke.last, stroke)
+    }
+
+    const paintTo = (stroke, latlng) => {
+      const p1 = map.latLngToContainerPoint(stroke.last)
+      const p2 = map.latLngToContainerPoint(latlng)
+      const steps = Math.ceil(p1.distanceTo(p2) / BRUSH_STEP_PX)
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps
+        processPoint(map.containerPointToLatLng([p1.x + (p2.x - p1.x) * t, p1.y + (p2.y - p1.y) * t]), stroke)
       }
+      stroke.last = latlng
     }
-    merged.push(current)
-    return merged
-  }
 
-  const processPoint = (latlng, btn) => {
-    const { feature, dpx } = pickNearestFeature(map, latlng, features, spatialIndex)
-    if (feature && dpx <= PIXEL_TOLERANCE) {
-      const pt = turfPoint([latlng.lng, latlng.lat])
-      const snapped = nearestPointOnLine(feature, pt)
-      const start = turfPoint(feature.geometry.coordinates[0])
-      const slice = lineSlice(start, snapped, feature)
-      const dist = turfLength(slice, { units: 'meters' })
-      const total = feature.properties.meters || 1
-
-      let pointProg = dist / total
-      if (pointProg > 1) pointProg = 1
-      if (pointProg < 0) pointProg = 0
-
-      const brushMeters = 2
-      const brushProg = brushMeters / total
-      const startP = Math.max(0, pointProg - brushProg / 2)
-      const endP = Math.min(1, pointProg + brushProg / 2)
-
-      if (btn === 0) {
-        const currentRanges = feature.properties.ranges || []
-        const combined = [...currentRanges, [startP, endP]]
-        setProgressForLine(feature.properties.lineId, mergeRanges(combined))
-      } else if (btn === 2) {
-        const currentRanges = feature.properties.ranges || []
-        const newRanges = []
-        for (const r of currentRanges) {
-          if (r[1] < startP || r[0] > endP) {
-            newRanges.push(r)
-            continue
-          }
-          if (r[0] < startP) newRanges.push([r[0], startP])
-          if (r[1] > endP) newRanges.push([endP, r[1]])
-        }
-        setProgressForLine(feature.properties.lineId, newRanges)
+    const finishStroke = () => {
+      const stroke = strokeRef.current
+      if (!stroke) return
+      strokeRef.current = null
+      clearTimeout(stroke.timer)
+      map.dragging.enable()
+      if (stroke.started) latestRef.current.endUndoableAction?.(stroke.op === 'erase' ? 'Erase' : 'Brush')
+    }
+
+    const opFor = (e) => {
+      const { mode } = latestRef.current
+      const brushOp = mode === 'pan' ? null : mode === 'erase' ? 'erase' : 'add'
+      if (e.pointerType === 'mouse') {
+        if (e.shiftKey || e.button === 1) return null
+        return e.button === 2 ? 'erase' : brushOp
+      }
+      if (e.pointerType === 'pen') {
+        penSeenRef.current = true
+        return e.button === 5 || (e.buttons & 32) ? 'erase' : brushOp
       }
+      const palm = Math.max(e.width || 0, e.height || 0) > PALM_CONTACT_PX
+      return penSeenRef.current || palm ? null : brushOp
     }
-  }
 
-  useMapEvent('mousedown', (e) => {
-    const ev = e.originalEvent
-    if (!ev) return
-    const btn = ev.button ?? 0
-    const { feature, dpx } = pickNearestFeature(map, e.latlng, features, spatialIndex)
-    if (btn === 0 && feature && dpx <= PIXEL_TOLERANCE) {
-      isDownRef.current = true
-      downButtonRef.current = 0
-      lastDragLatLngRef.current = e.latlng
+    const onPointerDown = (e) => {
+      if (e.pointerType === 'touch') {
+        touchesRef.current.add(e.pointerId)
+        if (touchesRef.current.size > 1) {
+          // Second finger: hand the gesture over to Leaflet
+          finishStroke()
+          return
+        }
+      }
+      if (strokeRef.current) return
+      const op = opFor(e)
+      if (!op) return
+      const { features, spatialIndex } = latestRef.current
+      const latlng = map.mouseEventToLatLng(e)
+      const tolerance = toleranceFor(e.pointerType)
+      const { feature, dpx } = pickNearestFeature(map, latlng, features, spatialIndex, tolerance)
+      if (!feature || dpx > tolerance) return
+
+      e.preventDefault(); e.stopPropagation()
       map.dragging.disable()
-      if (!actionStartedRef.current) {
-        beginUndoableAction?.()
-        actionStartedRef.current = true
+      const stroke = {
+        pointerId: e.pointerId,
+        touch: e.pointerType === 'touch',
+        op,
+        tolerance,
+        last: latlng,
+        downPx: map.mouseEventToContainerPoint(e),
+        started: false,
+        timer: null
       }
-      processPoint(e.latlng, 0)
-      L.DomEvent.stop(ev)
-      return
+      strokeRef.current = stroke
+      if (stroke.touch) stroke.timer = setTimeout(() => startStroke(stroke), TOUCH_START_DELAY_MS)
+      else startStroke(stroke)
     }
-    if (btn === 2 && feature && dpx <= PIXEL_TOLERANCE) {
-      isDownRef.current = true
-      downButtonRef.current = 2
-      lastDragLatLngRef.current = e.latlng
-      map.dragging.disable()
-      if (!actionStartedRef.current) {
-        beginUndoableAction?.()
-        actionStartedRef.current = true
+
+    const onPointerMove = (e) => {
+      const stroke = strokeRef.current
+      if (!stroke || e.pointerId !== stroke.pointerId) return
+      e.preventDefault(); e.stopPropagation()
+      if (!stroke.started) {
+        if (map.mouseEventToContainerPoint(e).distanceTo(stroke.downPx) < TOUCH_START_MOVE_PX) return
+        startStroke(stroke)
       }
-      processPoint(e.latlng, 2)
-      L.DomEvent.stop(ev)
+      paintTo(stroke, map.mouseEventToLatLng(e))
     }
-  })
 
-  useMapEvent('mousemove', (e) => {
-    if (!isDownRef.current) return
-    const btn = downButtonRef.current
-    const currentLatLng = e.latlng
-    const lastLatLng = lastDragLatLngRef.current || currentLatLng
-    const p1 = map.latLngToContainerPoint(lastLatLng)
-    const p2 = map.latLngToContainerPoint(currentLatLng)
-    const dist = p1.distanceTo(p2)
-    const stepSize = 5
-    const steps = Math.ceil(dist / stepSize)
-    for (let i = 1; i <= steps; i++) {
-      const t = i / steps
-      const x = p1.x + (p2.x - p1.x) * t
-      const y = p1.y + (p2.y - p1.y) * t
-      const latlng = map.containerPointToLatLng([x, y])
-      processPoint(latlng, btn)
+    const onPointerUp = (e) => {
+      touchesRef.current.delete(e.pointerId)
+      const stroke = strokeRef.current
+      if (!stroke || e.pointerId !== stroke.pointerId) return
+      // A quick tap still leaves a dab, like a mouse click
+      if (e.type === 'pointerup') startStroke(stroke)
+      finishStroke()
     }
-    lastDragLatLngRef.current = currentLatLng
-  })
 
-  useMapEvent('mouseup', () => {
-    if (isDownRef.current) {
-      isDownRef.current = false
-      downButtonRef.current = 0
-      lastDragLatLngRef.current = null
-      map.dragging.enable()
-      actionStartedRef.current = false
+    el.addEventListener('pointerdown', onPointerDown, true)
+    window.addEventListener('pointermove', onPointerMove, true)
+    window.addEventListener('pointerup', onPointerUp, true)
+    window.addEventListener('pointercancel', onPointerUp, true)
+    return () => {
+      el.removeEventListener('pointerdown', onPointerDown, true)
+      window.removeEventListener('pointermove', onPointerMove, true)
+      window.removeEventListener('pointerup', onPointerUp, true)
+      window.removeEventListener('pointercancel', onPointerUp, true)
+      finishStroke()
+      el.style.touchAction = prevTouchAction
     }
-  })
+  }, [map])
 
   return null
 }
 
-const bgStyleFn = () => ({
-  color: '#4c566a',
+const drawingStyle = ({ color, opacity }) => ({
+  color,
+  fillColor: color,
   weight: 0.9,
-  opacity: 0.35,
+  opacity,
+  fillOpacity: opacity * 0.15,
   lineCap: 'butt',
   className: 'bg-line'
 })
 
-function DoneLayer({ features, version }) {
-  const ref1 = React.useRef(null)
-  const ref2 = React.useRef(null)
+function InspectTool({ features, spatialIndex, onInspect }) {
+  const map = useMap()
+  useMapEvent('click', (e) => {
+    const { feature, dpx } = pickNearestFeature(map, e.latlng, features, spatialIndex)
+    onInspect?.(feature && dpx <= PIXEL_TOLERANCE ? feature.properties.lineId : null)
+  })
+  return null
+}
 
-  const doneGeoJSON = useMemo(() => {
-    if (!features) return null
+function InspectLayer({ features, lineId }) {
+  const geojson = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: (features || []).filter(f => f.properties.lineId === lineId)
+  }), [features, lineId])
+
+  if (!lineId || !geojson.features.length) return null
+  return (
+    <Pane name="inspect" style={{ zIndex: 401 }}>
+      <GeoJSON
+        key={lineId}
+        data={geojson}
+        style={{ color: '#c084fc', weight: 9, opacity: 0.45, lineCap: 'round', lineJoin: 'round' }}
+        interactive={false}
+      />
+    </Pane>
+  )
+}
+
+// What a daily submission under review added (green) and removed (red)
+function ReviewLayer({ features, record }) {
+  const map = useMap()
+  const geojson = useMemo(() => {
+    if (!record) return null
+    const byId = new Map((features || []).map(f => [f.properties.id, f]))
     const slices = []
-    for (const f of features) {
-      const ranges = f.properties.ranges || []
-      if (ranges.length === 0) continue
-      const len = f.properties.meters
-      if (!len) continue
-      for (const [startP, endP] of ranges) {
-        if (endP - startP <= 0.0001) continue
-        try {
-          const startPt = turfAlong(f, (len * startP) / 1000, { units: 'kilometers' })
-          const endPt = turfAlong(f, (len * endP) / 1000, { units: 'kilometers' })
-          const slice = lineSlice(startPt, endPt, f)
-          slices.push(slice)
-        } catch (e) { }
+    for (const [segId, changes] of Object.entries(recordSegments(record))) {
+      const f = byId.get(segId)
+      if (!f) continue
+      for (const change of changes) {
+        for (const [kind, ranges] of [['added', change.added], ['removed', change.removed]]) {
+          for (const [a, b] of (ranges || [])) {
+            const slice = sliceRange(f, a, b)
+            if (slice) slices.push({ ...slice, properties: { kind } })
+          }
+        }
       }
     }
     return { type: 'FeatureCollection', features: slices }
-  }, [features, version])
+  }, [features, record])
+
+  // Zoom once per picked record, not on every edit while it stays open
+  const recordId = record?.id
+  const fittedRef = useRef(null)
+  useEffect(() => {
+    if (!recordId) fittedRef.current = null
+    if (!geojson?.features.length || fittedRef.current === recordId) return
+    fittedRef.current = recordId
+    try {
+      const [minX, minY, maxX, maxY] = turfBbox(geojson)
+      map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [80, 80], maxZoom: 20 })
+    } catch (err) {
+      console.error(err)
+    }
+  }, [geojson, recordId, map])
+
+  if (!geojson?.features.length) return null
+  return (
+    <Pane name="review" style={{ zIndex: 402 }}>
+      <GeoJSON
+        key={recordId}
+        data={geojson}
+        style={(f) => (f.properties.kind === 'added'
+          ? { color: '#22c55e', weight: 8, opacity: 0.8, lineCap: 'butt' }
+          : { color: '#ef4444', weight: 8, opacity: 0.8, lineCap: 'butt', dashArray: '6 6' })}
+        interactive={false}
+      />
+    </Pane>
+  )
+}
+
+function StageDoneLayer({ geojson, color, weight, active }) {
+  const casingRef = React.useRef(null)
+  const lineRef = React.useRef(null)
 
   React.useEffect(() => {
-    if (ref1.current) {
-      ref1.current.clearLayers()
-      if (doneGeoJSON) ref1.current.addData(doneGeoJSON)
-    }
-    if (ref2.current) {
-      ref2.current.clearLayers()
-      if (doneGeoJSON) ref2.current.addData(doneGeoJSON)
+    for (const ref of [casingRef, lineRef]) {
+      if (!ref.current) continue
+      ref.current.clearLayers()
+      if (geojson) ref.current.addData(geojson)
     }
-  }, [doneGeoJSON])
+  }, [geojson])
 
   return (
-    <Pane name="done" style={{ zIndex: 401 }}>
+    <>
       <GeoJSON
-        ref={ref1}
+        ref={casingRef}
         data={null}
         style={{
-          color: '#064e3b',
-          weight: 5,
+          color: '#0b1220',
+          weight: weight + 1.8,
           opacity: 0.85,
           lineCap: 'butt'
         }}
         interactive={false}
       />
       <GeoJSON
-        ref={ref2}
+        ref={lineRef}
         data={null}
         style={{
-          color: '#34d399',
-          weight: 3.2,
+          color,
+          weight,
           opacity: 1,
-          dashArray: '6 8',
+          dashArray: active ? '6 8' : null,
           lineCap: 'butt'
         }}
         interactive={false}
       />
+    </>
+  )
+}
+
+function DoneLayer({ features, stages, activeStageId, version, asOf }) {
+  const stageGeoJSON = useMemo(() => {
+    if (!features) return {}
+    return Object.fromEntries(stages.map(s => [s.id, buildStageSlices(features, s.id, asOf)]))
+  }, [features, stages, version, asOf])
+
+  // Earlier stages are drawn wider underneath so every stage stays visible
+  return (
+    <Pane name="done" style={{ zIndex: 401 }}>
+      {stages.map((stage, idx) => (
+        <StageDoneLayer
+          key={stage.id}
+          geojson={stageGeoJSON[stage.id]}
+          color={stage.color}
+          weight={3.2 + (stages.length - 1 - idx) * 2.4}
+          active={stage.id === activeStageId}
+        />
+      ))}
     </Pane>
   )
 }
 
-export default function PanelMap({ features, setFeatures, bgData, beginUndoableAction, dataVersion }) {
+function StageSelector({ stages, activeStage, onStageChange, onEditStages }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 12,
+      left: 12,
+      zIndex: 1000,
+      display: 'flex',
+      gap: 6,
+      padding: 6,
+      borderRadius: 10,
+      background: 'rgba(8,17,34,0.92)',
+      border: '1px solid #1d2a46'
+    }}>
+      {stages.map(stage => {
+        const active = stage.id === activeStage?.id
+        return (
+          <button
+            key={stage.id}
+            onClick={() => onStageChange?.(stage.id)}
+            style={{
+              padding: '6px 12px',
+              borderRadius: 8,
+              border: `1px solid ${active ? stage.color : '#1d2640'}`,
+              background: active ? '#162037' : 'transparent',
+              color: active ? stage.color : '#cbd5f5',
+              fontWeight: active ? 600 : 500,
+              cursor: 'pointer'
+            }}
+          >
+            <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: 4, background: stage.color, marginRight: 6 }} />
+            {stage.name}
+          </button>
+        )
+      })}
+      {onEditStages && (
+        <button
+          onClick={onEditStages}
+          title="Configure stages"
+          style={{
+            padding: '6px 10px',
+            borderRadius: 8,
+            border: '1px solid #1d2640',
+            background: 'transparent',
+            color: '#9ca3af',
+            cursor: 'pointer'
+          }}
+        >
+          ⚙
+        </button>
+      )}
+    </div>
+  )
+}
+
+const TOOLS = [
+  { id: 'brush', label: 'Brush', title: 'Paint progress (Shift-drag selects)' },
+  { id: 'select', label: 'Box', title: 'Select lines with a rectangle' },
+  { id: 'lasso', label: 'Lasso', title: 'Select lines with a freehand shape' },
+  { id: 'measure', label: 'Measure', title: 'Enter an exact range by chainage' },
+  { id: 'inspect', label: 'Inspect', title: 'Click a trench to open its details' }
+]
+
+const BRUSH_MODES = [
+  { id: 'paint', label: 'Paint', title: 'Mark progress (left click, pen or one finger)' },
+  { id: 'erase', label: 'Erase', title: 'Remove progress (right click or pen eraser work in any mode)' },
+  { id: 'pan', label: 'Pan', title: 'Only move the map' }
+]
+
+function MapToolbar({ tool, tools = TOOLS, onToolChange, brushMeters, onBrushMetersChange, brushMode, onBrushModeChange, readOnly }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 12,
+      right: 12,
+      zIndex: 1000,
+      display: 'flex',
+      gap: 6,
+      padding: 6,
+      borderRadius: 10,
+      background: 'rgba(8,17,34,0.92)',
+      border: '1px solid #1d2a46'
+    }}>
+      {readOnly && (
+        <span style={{ alignSelf: 'center', padding: '0 8px', color: '#9ca3af', fontSize: 13 }} title="Your role can view progress but not change it">
+          Read-only
+        </span>
+      )}
+      {tools.map(t => {
+        const active = t.id === tool
+        return (
+          <button
+            key={t.id}
+            onClick={() => onToolChange(t.id)}
+            title={t.title}
+            style={{
+              padding: '6px 12px',
+              borderRadius: 8,
+              border: `1px solid ${active ? '#fbbf24' : '#1d2640'}`,
+              background: active ? '#162037' : 'transparent',
+              color: active ? '#fbbf24' : '#cbd5f5',
+              fontWeight: active ? 600 : 500,
+              cursor: 'pointer'
+            }}
+          >
+            {t.label}
+          </button>
+        )
+      })}
+      {tool === 'brush' && (
+        <div style={{ display: 'flex', gap: 2, padding: 2, borderRadius: 8, background: '#0b1220' }}>
+          {BRUSH_MODES.map(m => {
+            const active = m.id === brushMode
+            return (
+              <button
+                key={m.id}
+                onClick={() => onBrushModeChange(m.id)}
+                title={m.title}
+                style={{
+                  padding: '4px 10px',
+                  borderRadius: 6,
+                  border: 'none',
+                  background: active ? (m.id === 'erase' ? '#7f1d1d' : '#1e3a8a') : 'transparent',
+                  color: active ? '#fff' : '#9ca3af',
+                  cursor: 'pointer'
+                }}
+              >
+                {m.label}
+              </button>
+            )
+          })}
+        </div>
+      )}
+      {tool === 'brush' && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '0 6px', color: '#cbd5f5', fontSize: 13 }}>
+          <input
+            type="range"
+            min={0.5}
+            max={10}
+            step={0.5}
+            value={brushMeters}
+            onChange={(e) => onBrushMetersChange(Number(e.target.value))}
+          />
+          <span style={{ minWidth: 42 }}>{brushMeters} m</span>
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default function PanelMap({
+  features,
+  setFeatures,
+  bgData,
+  mapRef,
+  stages,
+  activeStage,
+  onStageChange,
+  onEditStages,
+  beginUndoableAction,
+  endUndoableAction,
+  dataVersion,
+  inspectedLineId,
+  onInspect,
+  user,
+  reviewRecord,
+  behindIds,
+  zones,
+  zoneFilter,
+  drawingZone,
+  onZoneDrawn,
+  onCancelZoneDraw,
+  qualityIssue,
+  revision,
+  revisionFocus,
+  allFeatures,
+  lineStatus,
+  mapFilter,
+  onMapFilterChange,
+  layerNames,
+  onZoneFilter,
+  basemap
+}) {
   const hoverIdRef = React.useRef(null)
   const [, forceRender] = React.useState(0)
   const setHoverId = (id) => {
@@ -400,6 +641,7 @@ export default function PanelMap({ features, setFeatures, bgData, beginUndoableA
     type: 'FeatureCollection',
     features
   }), [features])
+  const todoKey = useMemo(() => linesKey(features || []), [features])
 
   const spatialIndex = useMemo(() => {
     if (!features?.length) return null
@@ -415,70 +657,288 @@ export default function PanelMap({ features, setFeatures, bgData, beginUndoableA
     return tree
   }, [features])
 
-  const setProgressForLine = useCallback((lineId, ranges) => {
+  const editSegmentStage = useCallback((segmentId, op, ranges) => {
+    if (!activeStage) return
     setFeatures(prev => prev.map(f => {
-      if (f.properties.lineId !== lineId) return f
-      const normalized = (ranges || []).map(r => [...r])
-      let coverage = normalized.reduce((sum, [a, b]) => sum + (b - a), 0)
-      coverage = Math.max(0, Math.min(1, coverage))
-      let status = 'pending'
-      if (coverage >= 0.99) status = 'done'
-      else if (coverage > 0) status = 'in_progress'
-      return { ...f, properties: { ...f.properties, ranges: normalized, status } }
+      if (f.properties.id !== segmentId) return f
+      const properties = editStage(f.properties, stages, activeStage.id, op, ranges, user)
+      return properties === f.properties ? f : { ...f, properties }
     }))
-  }, [setFeatures])
+  }, [setFeatures, stages, activeStage, user])
+
+  const readOnly = !can(user, 'edit')
+  const [toolChoice, setTool] = useState('brush')
+  const tool = readOnly ? 'inspect' : toolChoice
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [fillPoints, setFillPoints] = useState(null)
+  const [brushMeters, setBrushMeters] = useState(2)
+  const [brushMode, setBrushMode] = useState('paint')
+  const [measure, setMeasure] = useState(null)
+  const [measureHover, setMeasureHover] = useState(null)
+  const [asOf, setAsOf] = useState(null)
+  const [colorByStatus, setColorByStatus] = useState(true)
+  const [found, setFound] = useState(null)
+  // Restyling a big drawing is slow, so styles only change with the settings
+  const bgStyle = useMemo(() => drawingStyle(basemap.background), [basemap.background])
+  const overlayStyles = useMemo(() => new Map(basemap.overlays.map(o => [o.id, drawingStyle(o)])), [basemap.overlays])
+  const visibleIds = useMemo(() => new Set(features.map(f => f.properties.id)), [features])
+  const editable = !asOf && !readOnly && !drawingZone
+
+  const workDates = useMemo(() => {
+    const dates = new Set()
+    for (const f of features) {
+      for (const ranges of Object.values(f.properties.stages || {})) {
+        for (const r of (ranges || [])) {
+          if (workDateOf(r)) dates.add(workDateOf(r))
+        }
+      }
+    }
+    return [...dates].sort()
+  }, [features])
 
-  return (
-    <MapContainer
-      center={[52.6, -1.7]}
-      zoom={17}
-      zoomControl={false}
-      style={{ height: '100%', width: '100%', background: '#0f172a' }}
-    >
-      <KillBrowserDefaults />
-      <MiddleMousePan />
-
-      {bgData && (
-        <Pane name="bg" style={{ zIndex: 390 }}>
-          <GeoJSON data={bgData} style={bgStyleFn} interactive={false} />
-        </Pane>
-      )}
+  const doneAsOf = useMemo(() => {
+    if (!asOf || !activeStage) return 0
+    return features.reduce((sum, f) => (
+      sum + rangesLength(rangesAsOf(f.properties.stages?.[activeStage.id], asOf)) * (f.properties.meters || 0)
+    ), 0)
+  }, [features, activeStage, asOf])
 
-      {features?.length > 0 && (
-        <Pane name="todo" style={{ zIndex: 400 }}>
-          <GeoJSON
-            data={featureCollection}
-            style={(f) => {
-              const isHover = hoverIdRef.current && f.properties.id === hoverIdRef.current
-              return {
-                color: isHover ? '#ffffff' : '#f5f5f5',
-                weight: isHover ? 1.6 : 1.05,
-                opacity: isHover ? 1 : 0.88,
-                lineCap: 'butt',
-                lineJoin: 'round'
-              }
-            }}
-            interactive={false}
-          />
-        </Pane>
-      )}
+  const measureFeature = useMemo(
+    () => (measure ? features.find(f => f.properties.id === measure.segmentId) : null),
+    [features, measure]
+  )
 
-      <DoneLayer features={features} version={dataVersion} />
+  const handleToolChange = useCallback((next) => {
+    setTool(next)
+    setMeasure(null)
+    setMeasureHover(null)
+  }, [])
+
+  const applyMeasure = useCallback((op, ranges) => {
+    if (!measure) return
+    beginUndoableAction?.()
+    editSegmentStage(measure.segmentId, op, ranges)
+    endUndoableAction?.(op === 'add' ? 'Measure' : 'Measure erase')
+    setMeasure(null)
+  }, [measure, beginUndoableAction, endUndoableAction, editSegmentStage])
+
+  const selectedFeatures = useMemo(
+    () => features.filter(f => selectedIds.has(f.properties.id)),
+    [features, selectedIds]
+  )
 
-      {features?.length > 0 && (
-        <>
-          <MapHoverProximity setHoverId={setHoverId} features={features} spatialIndex={spatialIndex} />
-          <MapBrushUnified
-            setProgressForLine={setProgressForLine}
-            features={features}
-            spatialIndex={spatialIndex}
-            beginUndoableAction={beginUndoableAction}
-          />
-        </>
+  const handleSelect = useCallback((ids, additive) => {
+    setFillPoints(null)
+    setSelectedIds(prev => new Set(additive ? [...prev, ...ids] : ids))
+  }, [])
+
+  const clearSelection = useCallback(() => {
+    setFillPoints(null)
+    setSelectedIds(new Set())
+  }, [])
+
+  // One undo step for the whole batch
+  const applyToSelection = useCallback((op, rangesFor, label) => {
+    if (!activeStage || !selectedIds.size) return
+    beginUndoableAction?.()
+    setFeatures(prev => prev.map(f => {
+      if (!selectedIds.has(f.properties.id)) return f
+      const properties = editStage(f.properties, stages, activeStage.id, op, rangesFor(f), user)
+      return properties === f.properties ? f : { ...f, properties }
+    }))
+    endUndoableAction?.(label)
+  }, [activeStage, selectedIds, beginUndoableAction, endUndoableAction, setFeatures, stages, user])
+
+  const handleFillPick = useCallback((point) => {
+    setFillPoints(prev => [...(prev || []), point])
+  }, [])
+
+  useEffect(() => {
+    if (fillPoints?.length !== 2) return
+    const [a, b] = fillPoints
+    applyToSelection('add', f => [spanBetween(f, a, b)], 'Fill between')
+    setFillPoints(null)
+  }, [fillPoints, applyToSelection])
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') clearSelection()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [clearSelection])
+
+  return (
+    <div style={{ position: 'relative', flex: 1, minWidth: 0 }}>
+      <StageSelector
+        stages={stages}
+        activeStage={activeStage}
+        onStageChange={onStageChange}
+        onEditStages={can(user, 'stages') ? onEditStages : null}
+      />
+      <MapToolbar
+        tool={tool}
+        tools={readOnly ? TOOLS.filter(t => t.id === 'inspect') : TOOLS}
+        readOnly={readOnly}
+        onToolChange={handleToolChange}
+        brushMeters={brushMeters}
+        onBrushMetersChange={setBrushMeters}
+        brushMode={brushMode}
+        onBrushModeChange={setBrushMode}
+      />
+      {editable && tool === 'measure' && (
+        <MeasurePanel
+          feature={measureFeature}
+          measure={measureFeature ? measure : null}
+          hover={measureHover}
+          stageName={activeStage?.name}
+          onChange={setMeasure}
+          onApply={applyMeasure}
+          onCancel={() => setMeasure(null)}
+        />
+      )}
+      {mapFilter && (
+        <MapControlPanel
+          allFeatures={allFeatures}
+          visibleIds={visibleIds}
+          filter={mapFilter}
+          onFilterChange={onMapFilterChange}
+          layerNames={layerNames}
+          zones={zones}
+          zoneFilter={zoneFilter}
+          onZoneFilter={onZoneFilter}
+          colorByStatus={colorByStatus}
+          onColorByStatusChange={setColorByStatus}
+          activeStage={activeStage}
+          showBehind={behindIds?.size > 0}
+          onFound={setFound}
+        />
       )}
+      <TimelineControl
+        dates={workDates}
+        asOf={asOf}
+        onChange={setAsOf}
+        stageName={activeStage?.name}
+        doneMeters={doneAsOf}
+      />
+      <SelectionActions
+        count={editable ? selectedIds.size : 0}
+        stageName={activeStage?.name}
+        picking={!!fillPoints}
+        onMarkDone={() => applyToSelection('add', () => [[0, 1]], 'Mark done')}
+        onClear={() => applyToSelection('erase', () => [[0, 1]], 'Clear')}
+        onFillBetween={() => setFillPoints(prev => (prev ? null : []))}
+        onDeselect={clearSelection}
+      />
+      <MapContainer
+        ref={mapRef}
+        center={[52.6, -1.7]}
+        zoom={17}
+        zoomControl={false}
+        boxZoom={false}
+        style={{ height: '100%', width: '100%', background: '#0f172a' }}
+      >
+        <KillBrowserDefaults />
+        <MiddleMousePan />
+
+        {basemap.tiles.filter(t => t.visible).map(t => (
+          <TileLayer
+            key={t.id}
+            url={t.url}
+            opacity={t.opacity}
+            maxZoom={MAX_MAP_ZOOM}
+            maxNativeZoom={t.maxNativeZoom || DEFAULT_NATIVE_ZOOM}
+          />
+        ))}
+
+        <Pane name="bg" style={{ zIndex: 390 }}>
+          {bgData && basemap.background.visible && (
+            <GeoJSON key={dataKey(bgData)} data={bgData} style={bgStyle} interactive={false} />
+          )}
+          {basemap.overlays.filter(o => o.visible).map(o => (
+            <GeoJSON key={o.id} data={o.data} style={overlayStyles.get(o.id)} interactive={false} />
+          ))}
+        </Pane>
 
-      <FitToDataOnce geojson={featureCollection} />
-    </MapContainer>
+        {features?.length > 0 && (
+          <Pane name="todo" style={{ zIndex: 400 }}>
+            <GeoJSON
+              key={todoKey}
+              data={featureCollection}
+              style={(f) => {
+                const isHover = hoverIdRef.current && f.properties.id === hoverIdRef.current
+                const behind = behindIds?.has(f.properties.id)
+                const status = colorByStatus ? lineStatus?.get(f.properties.lineId) : null
+                return {
+                  color: isHover ? '#ffffff' : behind ? '#fb923c' : STATUS_INFO[status || 'pending'].color,
+                  weight: isHover ? 1.6 : 1.05,
+                  opacity: isHover ? 1 : 0.88,
+                  lineCap: 'butt',
+                  lineJoin: 'round'
+                }
+              }}
+              interactive={false}
+            />
+          </Pane>
+        )}
+
+        <ZonesLayer zones={zones} activeZoneId={zoneFilter} />
+        {drawingZone && <ZoneDrawTool onFinish={onZoneDrawn} onCancel={onCancelZoneDraw} />}
+
+        <DoneLayer
+          features={features}
+          stages={stages}
+          activeStageId={activeStage?.id}
+          version={dataVersion}
+          asOf={asOf}
+        />
+
+        {features?.length > 0 && (
+          <>
+            <MapHoverProximity setHoverId={setHoverId} features={features} spatialIndex={spatialIndex} />
+            <InspectLayer features={features} lineId={inspectedLineId} />
+            <ReviewLayer features={features} record={reviewRecord} />
+            <QualityLayer features={features} issue={qualityIssue} />
+            <RevisionLayer revision={revision} focused={revisionFocus} />
+            <FoundLayer found={found} />
+            <SelectionLayer features={features} selectedIds={selectedIds} />
+            {editable && (fillPoints ? (
+              <FillPointPicker features={selectedFeatures} onPick={handleFillPick} />
+            ) : (
+              <SelectionTool tool={tool} spatialIndex={spatialIndex} onSelect={handleSelect} />
+            ))}
+            {editable && tool === 'brush' && !fillPoints && (
+              <MapBrushUnified
+                editSegmentStage={editSegmentStage}
+                features={features}
+                spatialIndex={spatialIndex}
+                beginUndoableAction={beginUndoableAction}
+                endUndoableAction={endUndoableAction}
+                brushMeters={brushMeters}
+                mode={brushMode}
+              />
+            )}
+            {editable && tool === 'measure' && !fillPoints && (
+              <>
+                <MeasureTool
+                  features={features}
+                  spatialIndex={spatialIndex}
+                  measure={measureFeature ? measure : null}
+                  onChange={setMeasure}
+                  onHover={setMeasureHover}
+                />
+                <MeasureLayer feature={measureFeature} measure={measure} />
+              </>
+            )}
+            {tool === 'inspect' && !fillPoints && !drawingZone && (
+              <InspectTool features={features} spatialIndex={spatialIndex} onInspect={onInspect} />
+            )}
+          </>
+        )}
+
+        <FitToDataOnce geojson={featureCollection} />
+      </MapContainer>
+    </div>
   )
 }
 
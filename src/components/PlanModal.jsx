@@ -0,0 +1,240 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { hasPlan, planWeeks } from './plan.js'
+import { planArea } from './schedule.js'
+import { summarize } from './progress.js'
+
+const WHOLE = ''
+
+// Baseline plan: start and target finish, the stage it tracks, and planned
+// meters per week for the whole project or separately per area (layer)
+export default function PlanModal({ isOpen, onClose, onSave, plan, stages = [], features = [] }) {
+  const [draft, setDraft] = useState({})
+  const [area, setArea] = useState(WHOLE)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setDraft({ stageId: stages[0]?.id, weekly: {}, areas: {}, ...(plan || {}) })
+    setArea(WHOLE)
+  }, [isOpen, plan, stages])
+
+  const stageId = draft.stageId || stages[0]?.id
+  const areaTotals = useMemo(() => {
+    const byArea = new Map()
+    for (const f of features) {
+      const name = planArea(f)
+      if (!byArea.has(name)) byArea.set(name, [])
+      byArea.get(name).push(f)
+    }
+    return [...byArea.entries()]
+      .map(([name, list]) => ({ name, total: summarize(list, stageId).total }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }, [features, stageId])
+
+  if (!isOpen) return null
+
+  const weeks = planWeeks(draft)
+  const invalid = draft.start && draft.finish && draft.finish <= draft.start
+  const total = area === WHOLE
+    ? summarize(features, stageId).total
+    : areaTotals.find(a => a.name === area)?.total || 0
+  const values = (area === WHOLE ? draft.weekly : draft.areas?.[area]) || {}
+  const cumulative = []
+  weeks.forEach((w, i) => cumulative.push((cumulative[i - 1] || 0) + (Number(values[w]) || 0)))
+  const entered = cumulative[cumulative.length - 1] || 0
+
+  const setValues = (next) => {
+    setDraft(prev => (area === WHOLE
+      ? { ...prev, weekly: next }
+      : { ...prev, areas: { ...(prev.areas || {}), [area]: next } }))
+  }
+
+  const spreadEvenly = () => {
+    if (!weeks.length) return
+    const each = Number((total / weeks.length).toFixed(1))
+    setValues(Object.fromEntries(weeks.map(w => [w, each])))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (invalid) return
+    // Drop weeks that fell outside the dates and areas left empty
+    const keep = (map) => Object.fromEntries(Object.entries(map || {}).filter(([w, m]) => weeks.includes(w) && Number(m) > 0))
+    const areas = Object.fromEntries(Object.entries(draft.areas || {})
+      .map(([name, map]) => [name, keep(map)])
+      .filter(([, map]) => Object.keys(map).length))
+    onSave({ ...draft, stageId, weekly: keep(draft.weekly), areas })
+  }
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Schedule Baseline</h2>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <div style={{ display: 'flex', gap: 10 }}>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Planned start
+              <input type="date" value={draft.start || ''} onChange={(e) => setDraft(prev => ({ ...prev, start: e.target.value }))} style={styles.input} />
+            </label>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Target completion
+              <input type="date" value={draft.finish || ''} onChange={(e) => setDraft(prev => ({ ...prev, finish: e.target.value }))} style={styles.input} />
+            </label>
+          </div>
+          {invalid && <div style={styles.error}>Completion must be after the start date.</div>}
+          <div style={{ display: 'flex', gap: 10 }}>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Tracked stage
+              <select value={stageId} onChange={(e) => setDraft(prev => ({ ...prev, stageId: e.target.value }))} style={styles.input}>
+                {stages.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </label>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Plan for
+              <select value={area} onChange={(e) => setArea(e.target.value)} style={styles.input}>
+                <option value={WHOLE}>Whole project</option>
+                {areaTotals.map(a => (
+                  <option key={a.name} value={a.name}>
+                    {a.name}{draft.areas?.[a.name] && Object.keys(draft.areas[a.name]).length ? ' ✓' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {hasPlan(draft) ? (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 13 }}>
+                <span style={{ opacity: 0.75 }}>
+                  {entered.toFixed(1)} of {total.toFixed(1)} m planned
+                  {area === WHOLE && !entered ? ' · straight line from start to finish' : ''}
+                </span>
+                <span style={{ display: 'flex', gap: 6 }}>
+                  <button type="button" onClick={spreadEvenly} style={styles.secondary}>Spread evenly</button>
+                  <button type="button" onClick={() => setValues({})} style={styles.secondary}>Clear</button>
+                </span>
+              </div>
+              <div style={styles.table}>
+                {weeks.map((w, i) => (
+                  <div key={w} style={styles.row}>
+                    <span style={{ width: 110 }}>Week of {w.slice(5)}</span>
+                    <input
+                      type="number"
+                      min={0}
+                      step="0.1"
+                      value={values[w] ?? ''}
+                      onChange={(e) => setValues({ ...values, [w]: e.target.value === '' ? '' : Number(e.target.value) })}
+                      style={{ ...styles.input, width: 100, padding: '4px 8px' }}
+                    />
+                    <span style={{ flex: 1, textAlign: 'right', opacity: 0.6 }}>
+                      {cumulative[i].toFixed(1)} m · {total > 0 ? ((cumulative[i] / total) * 100).toFixed(0) : 0}%
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <div style={{ fontSize: 13, opacity: 0.7 }}>Set the start and target completion to plan by week.</div>
+          )}
+
+          <div style={styles.actions}>
+            <button type="button" onClick={onClose} style={styles.secondary}>
+              Cancel
+            </button>
+            <button type="submit" disabled={invalid} style={styles.primary}>
+              Save
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 520,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb'
+  },
+  title: {
+    margin: '0 0 16px',
+    fontSize: 18,
+    fontWeight: 600
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  table: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    maxHeight: 280,
+    overflowY: 'auto',
+    padding: 8,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    fontSize: 13
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 13
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
@@ -1,61 +1,109 @@
 import React from 'react'
 
 export default function ProgressStats({
-  total = 0,
-  completed = 0,
-  remaining = 0,
+  stageSummary = [],
+  activeStageId,
   onUndo,
-  undoDisabled
+  undoDisabled,
+  onRedo,
+  redoDisabled,
+  drawnSummary = [],
+  schedule,
+  planStage
 }) {
   const format = (val) => `${(val || 0).toFixed(2)} m`
+  const percent = (done, total) => (total > 0 ? `${((done / total) * 100).toFixed(0)}%` : '0%')
+  const total = stageSummary[0]?.total || 0
+  const active = stageSummary.find(s => s.stage.id === activeStageId) || stageSummary[0]
 
   return (
     <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
-      <button
-        onClick={onUndo}
-        disabled={undoDisabled}
-        style={{
-          width: 44,
-          height: 44,
-          borderRadius: 12,
-          border: '1px solid #1f2a44',
-          background: '#111a2f',
-          color: undoDisabled ? '#4b5563' : '#38bdf8',
-          fontSize: 18,
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          cursor: undoDisabled ? 'not-allowed' : 'pointer',
-          opacity: undoDisabled ? 0.5 : 1
-        }}
-        title="Undo (Ctrl + Z)"
-      >
-        ↺
-      </button>
+      <div style={{ display: 'flex', gap: 6 }}>
+        <HistoryButton onClick={onUndo} disabled={undoDisabled} title="Undo (Ctrl + Z)" label="↺" />
+        <HistoryButton onClick={onRedo} disabled={redoDisabled} title="Redo (Ctrl + Shift + Z / Ctrl + Y)" label="↻" />
+      </div>
       <StatCard label="Total" value={format(total)} />
-      <StatCard label="Completed" value={format(completed)} highlight />
-      <StatCard label="Remaining" value={format(remaining)} />
+      {stageSummary.map(({ stage, completed }) => {
+        // Drawn or submitted but not approved yet
+        const waiting = (drawnSummary.find(s => s.stage.id === stage.id)?.completed || 0) - completed
+        return (
+          <StatCard
+            key={stage.id}
+            label={stage.name}
+            value={`${format(completed)} · ${percent(completed, total)}`}
+            note={waiting > 0.005 ? `+${format(waiting)} awaiting approval` : null}
+            color={stage.color}
+            active={stage.id === active?.stage.id}
+          />
+        )
+      })}
+      <StatCard label={`Remaining${active ? ` (${active.stage.name})` : ''}`} value={format(active?.remaining)} />
+      {schedule?.planned != null && (
+        <StatCard
+          label={`Plan (${planStage?.name})`}
+          value={`${schedule.variance >= 0 ? '+' : '−'}${format(Math.abs(schedule.variance))} ${schedule.variance >= 0 ? 'ahead' : 'behind'}`}
+          note={`${format(schedule.planned)} planned by today`}
+          color={schedule.behind ? '#fb923c' : '#34d399'}
+        />
+      )}
+      {schedule && (schedule.planned != null || schedule.forecast) && (
+        <StatCard
+          label="Forecast finish"
+          value={schedule.forecast || 'No recent progress'}
+          note={schedule.target
+            ? `Target ${schedule.target}`
+            : `${format(schedule.rate)} / day over 2 weeks`}
+          color={schedule.target && (!schedule.forecast || schedule.forecast > schedule.target) ? '#fb923c' : undefined}
+        />
+      )}
     </div>
   )
 }
 
-function StatCard({ label, value, highlight }) {
+function HistoryButton({ onClick, disabled, title, label }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      style={{
+        width: 44,
+        height: 44,
+        borderRadius: 12,
+        border: '1px solid #1f2a44',
+        background: '#111a2f',
+        color: disabled ? '#4b5563' : '#38bdf8',
+        fontSize: 18,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        opacity: disabled ? 0.5 : 1
+      }}
+      title={title}
+    >
+      {label}
+    </button>
+  )
+}
+
+function StatCard({ label, value, note, color, active }) {
   return (
     <div style={{
       minWidth: 140,
       padding: '10px 14px',
       borderRadius: 10,
       background: '#111a2e',
-      border: '1px solid #1d2a46',
+      border: `1px solid ${active ? color : '#1d2a46'}`,
       fontSize: 14,
       fontWeight: 600,
-      color: highlight ? '#34d399' : '#e5e7eb',
+      color: color || '#e5e7eb',
       display: 'flex',
       flexDirection: 'column',
       gap: 4
     }}>
       <span style={{ opacity: 0.7, color: '#cbd5f5' }}>{label}</span>
       <span>{value}</span>
+      {note && <span style={{ fontSize: 11, fontWeight: 500, opacity: 0.7, color: '#cbd5f5' }}>{note}</span>}
     </div>
   )
 }
@@ -0,0 +1,68 @@
+import React from 'react'
+
+export default function ProjectSwitcher({
+  projects = [],
+  activeId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete
+}) {
+  const active = projects.find(p => p.id === activeId)
+
+  const handleCreate = () => {
+    const name = window.prompt('New project name', `Project ${projects.length + 1}`)
+    if (name?.trim()) onCreate?.(name.trim())
+  }
+
+  const handleRename = () => {
+    if (!active) return
+    const name = window.prompt('Rename project', active.name)
+    if (name?.trim() && name.trim() !== active.name) onRename?.(active.id, name.trim())
+  }
+
+  const handleDelete = () => {
+    if (!active) return
+    const confirmed = window.confirm(`Delete project "${active.name}" with all its progress and daily log?`)
+    if (confirmed) onDelete?.(active.id)
+  }
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+      <select
+        value={activeId || ''}
+        onChange={(e) => onSwitch?.(e.target.value)}
+        style={styles.select}
+        title="Active project"
+      >
+        {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      {onCreate && <button onClick={handleCreate} style={styles.iconButton} title="New project">＋</button>}
+      {onRename && <button onClick={handleRename} disabled={!active} style={styles.iconButton} title="Rename project">✎</button>}
+      {onDuplicate && <button onClick={() => active && onDuplicate(active.id)} disabled={!active} style={styles.iconButton} title="Duplicate project">⧉</button>}
+      {onDelete && <button onClick={handleDelete} disabled={!active} style={{ ...styles.iconButton, color: '#fca5a5' }} title="Delete project">✕</button>}
+    </div>
+  )
+}
+
+const styles = {
+  select: {
+    maxWidth: 200,
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    fontWeight: 500
+  },
+  iconButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#cbd5f5',
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,190 @@
+import React, { useState } from 'react'
+import { ISSUE_TYPES } from './quality.js'
+
+// Fixes safe to apply to every issue of a type at once
+const BULK = {
+  duplicate: { label: 'Merge all', kind: 'merge' },
+  short: { label: 'Exclude all', kind: 'exclude' }
+}
+
+// Data check after an import: what looks wrong in the drawing, where it is,
+// and the fixes to apply before anyone starts recording progress on it
+export default function QualityPanel({
+  isOpen,
+  issues = [],
+  options,
+  onOptionsChange,
+  focusedId,
+  onFocus,
+  onFix,
+  canFix,
+  locked,
+  onClose
+}) {
+  const [type, setType] = useState(null)
+
+  if (!isOpen) return null
+
+  const counts = issues.reduce((acc, i) => ({ ...acc, [i.type]: (acc[i.type] || 0) + 1 }), {})
+  const shown = type ? issues.filter(i => i.type === type) : issues
+  const editable = canFix && !locked
+  const bulk = editable && BULK[type] && shown.length > 1 ? BULK[type] : null
+
+  const setOption = (key, value) => {
+    const n = Number(value)
+    if (Number.isFinite(n) && n >= 0) onOptionsChange({ ...options, [key]: n })
+  }
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>Data check</h2>
+        <button onClick={onClose} style={styles.iconButton} title="Close">✕</button>
+      </div>
+
+      <section style={styles.section}>
+        <div style={{ display: 'flex', gap: 10 }}>
+          <label style={styles.label}>
+            Shorter than (m)
+            <input type="number" min={0} step="0.1" value={options.minLength} onChange={(e) => setOption('minLength', e.target.value)} style={styles.input} />
+          </label>
+          <label style={styles.label}>
+            Ends within (m)
+            <input type="number" min={0} step="0.5" value={options.nearMiss} onChange={(e) => setOption('nearMiss', e.target.value)} style={styles.input} />
+          </label>
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+          <button onClick={() => setType(null)} style={{ ...styles.chip, ...(type ? null : styles.chipOn) }}>All {issues.length}</button>
+          {Object.entries(ISSUE_TYPES).filter(([key]) => counts[key]).map(([key, info]) => (
+            <button key={key} onClick={() => setType(key)} style={{ ...styles.chip, ...(type === key ? styles.chipOn : null), color: info.color }}>
+              {info.name} {counts[key]}
+            </button>
+          ))}
+        </div>
+        {locked && <span style={styles.hint}>Progress has been recorded, so the drawing can no longer be changed here.</span>}
+        {bulk && (
+          <button
+            onClick={() => onFix(shown.map(i => i.fixes.find(f => f.fix.kind === bulk.kind)?.fix).filter(Boolean))}
+            style={{ ...styles.button, ...styles.primary }}
+          >
+            {bulk.label} {shown.length}
+          </button>
+        )}
+      </section>
+
+      <section style={{ ...styles.section, gap: 6 }}>
+        {!issues.length && <span style={{ fontSize: 13, opacity: 0.7 }}>No problems found.</span>}
+        {shown.map(issue => (
+          <div
+            key={issue.id}
+            style={{ ...styles.issue, borderColor: issue.id === focusedId ? ISSUE_TYPES[issue.type].color : '#16213a' }}
+          >
+            <span style={{ fontSize: 11, fontWeight: 600, color: ISSUE_TYPES[issue.type].color }}>{ISSUE_TYPES[issue.type].name}</span>
+            <span style={{ fontSize: 12 }}>{issue.message}</span>
+            <span style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {issue.type !== 'crs' && (
+                <button onClick={() => onFocus(issue)} style={styles.button}>Zoom to</button>
+              )}
+              {editable && issue.fixes.map(({ label, fix }) => (
+                <button key={label} onClick={() => onFix([fix])} style={styles.button}>{label}</button>
+              ))}
+            </span>
+          </div>
+        ))}
+      </section>
+    </aside>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    flex: 1,
+    fontSize: 12,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '5px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  hint: {
+    fontSize: 12,
+    color: '#fbbf24'
+  },
+  issue: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    padding: 8,
+    borderRadius: 8,
+    border: '1px solid #16213a',
+    background: '#0b1220'
+  },
+  chip: {
+    padding: '2px 8px',
+    borderRadius: 999,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  chipOn: {
+    background: '#1e293b',
+    borderColor: '#475569'
+  },
+  button: {
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  }
+}
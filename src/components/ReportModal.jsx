@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react'
+
+export default function ReportModal({ isOpen, onClose, onExport, plan }) {
+  const [start, setStart] = useState('')
+  const [finish, setFinish] = useState('')
+  const [includeMap, setIncludeMap] = useState(true)
+
+  useEffect(() => {
+    if (isOpen) {
+      setStart(plan?.start || '')
+      setFinish(plan?.finish || '')
+    }
+  }, [isOpen, plan])
+
+  if (!isOpen) return null
+
+  const invalid = start && finish && finish <= start
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (invalid) return
+    onExport({ plan: { ...(plan || {}), start, finish }, includeMap })
+  }
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Progress Report</h2>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <label style={styles.label}>
+            Planned start
+            <input type="date" value={start} onChange={(e) => setStart(e.target.value)} style={styles.input} />
+          </label>
+          <label style={styles.label}>
+            Planned completion
+            <input type="date" value={finish} onChange={(e) => setFinish(e.target.value)} style={styles.input} />
+          </label>
+          {invalid && <div style={styles.error}>Completion must be after the start date.</div>}
+          <label style={{ ...styles.label, flexDirection: 'row', alignItems: 'center' }}>
+            <input type="checkbox" checked={includeMap} onChange={(e) => setIncludeMap(e.target.checked)} />
+            Include snapshot of the current map view
+          </label>
+          <div style={styles.actions}>
+            <button type="button" onClick={onClose} style={styles.secondary}>
+              Cancel
+            </button>
+            <button type="submit" disabled={invalid} style={styles.primary}>
+              Export
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 360,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb'
+  },
+  title: {
+    margin: '0 0 16px',
+    fontSize: 18,
+    fontWeight: 600
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 13
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,302 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { RECORD_STATUSES, recordStatus, statusInfo } from './approval.js'
+import { can } from './permissions.js'
+import { crewsOf, delayName, weatherName } from './dailyReport.js'
+
+const FILTERS = [
+  { id: 'open', label: 'To review', match: (s) => s === 'pending' || s === 'changes_requested' },
+  { id: 'all', label: 'All', match: () => true }
+]
+
+const fmt = (v) => `${Number(v || 0).toFixed(2)} m`
+
+function StatusBadge({ status }) {
+  const info = statusInfo(status)
+  return (
+    <span style={{ ...styles.badge, color: info.color, borderColor: info.color }}>{info.name}</span>
+  )
+}
+
+// Lists submitted daily work for review. The selected record is highlighted
+// on the map by the parent; a site manager approves, rejects or sends it back
+// with a comment, and the submitter can resubmit after making changes.
+export default function ReviewPanel({
+  isOpen,
+  records = [],
+  stages = [],
+  selectedId,
+  onSelect,
+  user,
+  onReview,
+  onClose
+}) {
+  const [filter, setFilter] = useState('open')
+  const [comment, setComment] = useState('')
+
+  useEffect(() => {
+    setComment('')
+  }, [selectedId])
+
+  const rows = useMemo(() => {
+    const match = FILTERS.find(f => f.id === filter).match
+    return records
+      .filter(r => r.id && match(recordStatus(r)))
+      .sort((a, b) => (b.submitted_at || b.date || '').localeCompare(a.submitted_at || a.date || ''))
+  }, [records, filter])
+
+  if (!isOpen) return null
+
+  const selected = records.find(r => r.id === selectedId) || null
+  const status = recordStatus(selected)
+  const canReview = can(user, 'approve') && selected && (status === 'pending' || status === 'changes_requested')
+  const canResubmit = selected && status === 'changes_requested' && selected.submitted_by_id === user?.id
+
+  const review = (next) => {
+    if (next !== 'approved' && !comment.trim()) {
+      window.alert('Add a comment so the foreman knows what to change.')
+      return
+    }
+    onReview(selected.id, next, comment.trim())
+    setComment('')
+  }
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>Review</h2>
+        <button onClick={onClose} style={styles.iconButton} title="Close">✕</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 4 }}>
+        {FILTERS.map(f => (
+          <button
+            key={f.id}
+            onClick={() => setFilter(f.id)}
+            style={{ ...styles.button, borderColor: f.id === filter ? '#38bdf8' : '#1d2640' }}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
+
+      <section style={styles.section}>
+        {!rows.length && <span style={{ opacity: 0.6, fontSize: 13 }}>Nothing here.</span>}
+        {rows.map(r => (
+          <button
+            key={r.id}
+            onClick={() => onSelect(r.id === selectedId ? null : r.id)}
+            style={{ ...styles.row, borderColor: r.id === selectedId ? '#38bdf8' : 'transparent' }}
+          >
+            <span style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+              <strong>{r.date}</strong>
+              <StatusBadge status={recordStatus(r)} />
+            </span>
+            <span style={{ opacity: 0.7, fontSize: 12 }}>
+              {r.submitted_by || 'Unknown'} · {fmt(r.work_amount)} net · {(r.lines || []).length} lines
+            </span>
+          </button>
+        ))}
+      </section>
+
+      {selected && (
+        <section style={styles.section}>
+          <h3 style={styles.h3}>Submission {selected.date}</h3>
+          <div style={{ display: 'flex', gap: 12, fontSize: 12 }}>
+            <span style={{ color: '#34d399' }}>■ added {fmt(selected.added_m)}</span>
+            <span style={{ color: '#f87171' }}>■ removed {fmt(selected.removed_m)}</span>
+          </div>
+          {stages.map(stage => {
+            const d = selected.stages?.[stage.id]
+            if (!d || (!d.added_m && !d.removed_m)) return null
+            return (
+              <div key={stage.id} style={styles.line}>
+                <span style={{ color: stage.color }}>{stage.name}</span>
+                <span>+{fmt(d.added_m)} / −{fmt(d.removed_m)}</span>
+              </div>
+            )
+          })}
+          <div style={{ fontSize: 12, opacity: 0.7 }}>
+            {(selected.lines || []).map(l => l.lineId).join(', ') || 'No lines'}
+          </div>
+          {crewsOf(selected).map((crew, idx) => (
+            <div key={idx} style={styles.line}>
+              <span>{crew.subcontractor || 'Crew'}{crew.lines?.length ? ` · ${crew.lines.join(', ')}` : ''}</span>
+              <span>{crew.headcount} ppl{crew.hours != null ? ` × ${crew.hours} h` : ''}</span>
+            </div>
+          ))}
+          {(selected.equipment || []).map((item, idx) => (
+            <div key={idx} style={styles.line}>
+              <span>{item.type}{item.label ? ` (${item.label})` : ''}</span>
+              <span>{item.hours} h</span>
+            </div>
+          ))}
+          {selected.weather?.condition && (
+            <div style={styles.line}>
+              <span>Weather</span>
+              <span>{weatherName(selected.weather.condition)}{selected.weather.temp_c != null ? `, ${selected.weather.temp_c} °C` : ''}</span>
+            </div>
+          )}
+          {(selected.delays || []).map((delay, idx) => (
+            <div key={idx} style={{ ...styles.line, color: '#fbbf24' }}>
+              <span>{delayName(delay.code)}{delay.description ? ` — ${delay.description}` : ''}</span>
+              <span>{delay.hours} h lost</span>
+            </div>
+          ))}
+          {selected.remarks && <div style={{ fontSize: 12, whiteSpace: 'pre-wrap', opacity: 0.85 }}>{selected.remarks}</div>}
+
+          {(selected.reviews || []).map((rv, idx) => (
+            <div key={idx} style={styles.note}>
+              <span style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, opacity: 0.7 }}>
+                <span>{rv.byName || 'Unknown'} · {new Date(rv.at).toLocaleString()}</span>
+                <StatusBadge status={rv.status} />
+              </span>
+              {rv.comment && <span style={{ whiteSpace: 'pre-wrap' }}>{rv.comment}</span>}
+            </div>
+          ))}
+
+          {canReview && (
+            <>
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                rows={3}
+                placeholder="Comment (required to reject or request changes)"
+                style={styles.input}
+              />
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                <button onClick={() => review('approved')} style={{ ...styles.button, ...styles.primary }}>Approve</button>
+                <button onClick={() => review('changes_requested')} style={styles.button}>Request changes</button>
+                <button onClick={() => review('rejected')} style={{ ...styles.button, color: '#fca5a5' }}>Reject</button>
+              </div>
+            </>
+          )}
+          {canResubmit && (
+            <>
+              <span style={{ fontSize: 12, opacity: 0.7 }}>
+                Work drawn since the last submission is added to this one, dated {selected.date}, and its meters are counted again.
+              </span>
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                rows={2}
+                placeholder="What was changed"
+                style={styles.input}
+              />
+              <button onClick={() => onReview(selected.id, 'pending', comment.trim())} style={{ ...styles.button, alignSelf: 'flex-start' }}>
+                Resubmit for review
+              </button>
+            </>
+          )}
+        </section>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, fontSize: 11, opacity: 0.7 }}>
+        {RECORD_STATUSES.map(s => (
+          <span key={s.id}>
+            {s.name}: {records.filter(r => recordStatus(r) === s.id).length}
+          </span>
+        ))}
+      </div>
+    </aside>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  h3: {
+    margin: 0,
+    fontSize: 14,
+    fontWeight: 600,
+    color: '#cbd5f5'
+  },
+  row: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4,
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid transparent',
+    background: '#111a2e',
+    color: '#e5e7eb',
+    textAlign: 'left',
+    cursor: 'pointer',
+    fontSize: 13
+  },
+  line: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: 12
+  },
+  badge: {
+    padding: '1px 6px',
+    borderRadius: 6,
+    border: '1px solid',
+    fontSize: 11,
+    fontWeight: 600
+  },
+  note: {
+    padding: 8,
+    borderRadius: 8,
+    background: '#111a2e',
+    fontSize: 13,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 4
+  },
+  input: {
+    padding: '6px 8px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb',
+    fontFamily: 'inherit'
+  },
+  button: {
+    padding: '5px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from 'react'
+import { REVISION_COLORS } from './revision.js'
+
+const TABS = [
+  { key: 'changed', name: 'Changed' },
+  { key: 'added', name: 'Added' },
+  { key: 'removed', name: 'Removed' }
+]
+
+const metersOf = (f) => `${(f.properties.meters || 0).toFixed(1)} m`
+
+// A design revision waiting to be applied: what it adds, removes and changes,
+// and how much recorded work survives the move, stage by stage
+export default function RevisionPanel({ revision, fileName, pendingCount = 0, focusedKey, onFocus, onApply, onCancel }) {
+  const [tab, setTab] = useState('changed')
+
+  const items = useMemo(() => {
+    if (!revision) return {}
+    const lost = new Set(revision.lost.map(f => f.properties.id))
+    return {
+      changed: revision.changed.map(({ before, after }) => ({
+        key: `changed:${after.properties.id}`,
+        id: after.properties.id,
+        detail: `${metersOf(before)} → ${metersOf(after)}`,
+        features: [before, after]
+      })),
+      added: revision.added.map(f => ({
+        key: `added:${f.properties.id}`,
+        id: f.properties.id,
+        detail: metersOf(f),
+        features: [f]
+      })),
+      removed: revision.removed.map(f => ({
+        key: `removed:${f.properties.id}`,
+        id: f.properties.id,
+        detail: metersOf(f),
+        warning: lost.has(f.properties.id) ? 'Recorded work is dropped' : null,
+        features: [f]
+      }))
+    }
+  }, [revision])
+
+  if (!revision) return null
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>Design revision</h2>
+        <button onClick={onCancel} style={styles.iconButton} title="Cancel">✕</button>
+      </div>
+
+      <section style={styles.section}>
+        {fileName && <span style={{ fontSize: 12, opacity: 0.7, wordBreak: 'break-all' }}>{fileName}</span>}
+        <div style={{ display: 'flex', gap: 12, fontSize: 13 }}>
+          {TABS.map(t => (
+            <span key={t.key} style={{ color: REVISION_COLORS[t.key] }}>{items[t.key].length} {t.name.toLowerCase()}</span>
+          ))}
+        </div>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={{ ...styles.th, textAlign: 'left' }}>Stage</th>
+              <th style={styles.th}>Now</th>
+              <th style={styles.th}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {revision.totals.map(t => (
+              <tr key={t.stageId}>
+                <td style={{ ...styles.td, textAlign: 'left' }}>{t.name}</td>
+                <td style={styles.td}>{t.before.toFixed(1)} m</td>
+                <td style={{ ...styles.td, color: t.after < t.before - 0.5 ? '#fbbf24' : undefined }}>{t.after.toFixed(1)} m</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {revision.lost.length > 0 && (
+          <span style={styles.hint}>
+            {revision.lost.length} removed trench{revision.lost.length > 1 ? 'es have' : ' has'} recorded work that does not carry over.
+          </span>
+        )}
+        {pendingCount > 0 && (
+          <span style={styles.hint}>
+            {pendingCount} submission{pendingCount > 1 ? 's are' : ' is'} still waiting for review. Reviewing them after the revision may no longer line up with the map.
+          </span>
+        )}
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button onClick={onCancel} style={{ ...styles.button, flex: 1 }}>Cancel</button>
+          <button onClick={onApply} style={{ ...styles.button, ...styles.primary, flex: 1 }}>Apply revision</button>
+        </div>
+      </section>
+
+      <section style={{ ...styles.section, gap: 6 }}>
+        <div style={{ display: 'flex', gap: 4 }}>
+          {TABS.map(t => (
+            <button key={t.key} onClick={() => setTab(t.key)} style={{ ...styles.chip, ...(tab === t.key ? styles.chipOn : null), color: REVISION_COLORS[t.key] }}>
+              {t.name} {items[t.key].length}
+            </button>
+          ))}
+        </div>
+        {!items[tab].length && <span style={{ fontSize: 13, opacity: 0.7 }}>Nothing {TABS.find(t => t.key === tab).name.toLowerCase()}.</span>}
+        {items[tab].map(item => (
+          <div key={item.key} style={{ ...styles.item, borderColor: item.key === focusedKey ? REVISION_COLORS[tab] : '#16213a' }}>
+            <span style={{ display: 'flex', flexDirection: 'column', gap: 2, minWidth: 0 }}>
+              <span style={{ fontSize: 13, fontWeight: 600, wordBreak: 'break-all' }}>{item.id}</span>
+              <span style={{ fontSize: 12, opacity: 0.75 }}>{item.detail}</span>
+              {item.warning && <span style={{ fontSize: 12, color: '#fbbf24' }}>{item.warning}</span>}
+            </span>
+            <button onClick={() => onFocus(item)} style={styles.button}>Zoom to</button>
+          </div>
+        ))}
+      </section>
+    </aside>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 12
+  },
+  th: {
+    padding: '4px 6px',
+    color: '#cbd5f5',
+    fontWeight: 600,
+    textAlign: 'right'
+  },
+  td: {
+    padding: '4px 6px',
+    borderTop: '1px solid #1e2b4a',
+    textAlign: 'right'
+  },
+  hint: {
+    fontSize: 12,
+    color: '#fbbf24'
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+    padding: 8,
+    borderRadius: 8,
+    border: '1px solid #16213a',
+    background: '#0b1220'
+  },
+  chip: {
+    padding: '2px 8px',
+    borderRadius: 999,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  chipOn: {
+    background: '#1e293b',
+    borderColor: '#475569'
+  },
+  button: {
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  }
+}
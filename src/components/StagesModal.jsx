@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from 'react'
+import { newStageId } from './stages.js'
+
+function hasOrderingCycle(stages) {
+  const byId = new Map(stages.map(s => [s.id, s]))
+  return stages.some(start => {
+    const seen = new Set()
+    let current = start
+    while (current?.after) {
+      if (seen.has(current.id)) return true
+      seen.add(current.id)
+      current = byId.get(current.after)
+    }
+    return false
+  })
+}
+
+export default function StagesModal({ isOpen, onClose, onSave, stages = [] }) {
+  const [draft, setDraft] = useState([])
+
+  useEffect(() => {
+    if (isOpen) setDraft(stages.map(s => ({ ...s })))
+  }, [isOpen, stages])
+
+  if (!isOpen) return null
+
+  const update = (idx, patch) => {
+    setDraft(prev => prev.map((s, i) => (i === idx ? { ...s, ...patch } : s)))
+  }
+
+  const move = (idx, dir) => {
+    setDraft(prev => {
+      const next = [...prev]
+      const target = idx + dir
+      if (target < 0 || target >= next.length) return prev
+      ;[next[idx], next[target]] = [next[target], next[idx]]
+      return next
+    })
+  }
+
+  const remove = (idx) => {
+    setDraft(prev => {
+      const removed = prev[idx]
+      return prev
+        .filter((_, i) => i !== idx)
+        .map(s => (s.after === removed.id ? { ...s, after: removed.after || null } : s))
+    })
+  }
+
+  const add = () => {
+    const last = draft[draft.length - 1]
+    setDraft(prev => [...prev, { id: newStageId(), name: 'New Stage', color: '#a78bfa', after: last?.id || null }])
+  }
+
+  const cyclic = hasOrderingCycle(draft)
+  const valid = draft.length > 0 && draft.every(s => s.name.trim()) && !cyclic
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!valid) return
+    onSave(draft.map(s => ({ ...s, name: s.name.trim() })))
+  }
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Activity Stages</h2>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          {draft.map((stage, idx) => (
+            <div key={stage.id} style={styles.row}>
+              <input
+                type="color"
+                value={stage.color}
+                onChange={(e) => update(idx, { color: e.target.value })}
+                style={styles.color}
+                title="Map colour"
+              />
+              <input
+                type="text"
+                value={stage.name}
+                onChange={(e) => update(idx, { name: e.target.value })}
+                required
+                style={{ ...styles.input, flex: 1 }}
+              />
+              <select
+                value={stage.after || ''}
+                onChange={(e) => update(idx, { after: e.target.value || null })}
+                style={styles.input}
+                title="Can't get ahead of"
+              >
+                <option value="">No ordering rule</option>
+                {draft.filter(s => s.id !== stage.id).map(s => (
+                  <option key={s.id} value={s.id}>After {s.name}</option>
+                ))}
+              </select>
+              <button type="button" onClick={() => move(idx, -1)} disabled={idx === 0} style={styles.icon}>↑</button>
+              <button type="button" onClick={() => move(idx, 1)} disabled={idx === draft.length - 1} style={styles.icon}>↓</button>
+              <button type="button" onClick={() => remove(idx)} disabled={draft.length === 1} style={{ ...styles.icon, color: '#fca5a5' }}>✕</button>
+            </div>
+          ))}
+          {cyclic && <div style={styles.error}>Ordering rules can't form a loop.</div>}
+          <button type="button" onClick={add} style={styles.secondary}>
+            + Add Stage
+          </button>
+          <div style={styles.actions}>
+            <button type="button" onClick={onClose} style={styles.secondary}>
+              Cancel
+            </button>
+            <button type="submit" disabled={!valid} style={{ ...styles.primary, opacity: valid ? 1 : 0.5 }}>
+              Save
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 620,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb'
+  },
+  title: {
+    margin: '0 0 16px',
+    fontSize: 18,
+    fontWeight: 600
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  color: {
+    width: 36,
+    height: 34,
+    padding: 2,
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220'
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 13
+  },
+  icon: {
+    width: 30,
+    height: 30,
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#cbd5f5',
+    cursor: 'pointer'
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
@@ -1,71 +1,303 @@
 import React, { useState, useEffect } from 'react'
+import {
+  DELAY_CODES,
+  EQUIPMENT_TYPES,
+  WEATHER_CONDITIONS,
+  cleanReport,
+  crewsOf,
+  emptyCrew,
+  emptyDelay,
+  emptyEquipment,
+  validateReport
+} from './dailyReport.js'
+import { localToday } from './plan.js'
 
-export default function SubmitModal({ isOpen, onClose, onSubmit, dailyInstalled }) {
-  const [date, setDate] = useState('')
-  const [subcontractor, setSubcontractor] = useState('')
-  const [workers, setWorkers] = useState('')
+const blankReport = () => ({
+  date: localToday(),
+  crews: [emptyCrew()],
+  equipment: [],
+  weather: { condition: '', temp_c: '' },
+  delays: [],
+  remarks: ''
+})
+
+// Daily report: crews with the lines they worked, plant, weather and delays.
+// `previous` is the user's last record, offered as a starting point for crews.
+export default function SubmitModal({ isOpen, onClose, onSubmit, delta, stages = [], subcontractors = [], previous = null }) {
+  const [report, setReport] = useState(blankReport)
+  const [tried, setTried] = useState(false)
 
   useEffect(() => {
     if (isOpen) {
-      setDate(new Date().toISOString().slice(0, 10))
+      setReport(blankReport())
+      setTried(false)
     }
   }, [isOpen])
 
   if (!isOpen) return null
 
+  const format = (val) => Number(val || 0).toFixed(2)
+  const lineIds = (delta?.lines || []).map(l => l.lineId)
+  const errors = validateReport(report, localToday())
+  const errorOf = (key) => (tried ? errors[key] : null)
+  const field = (key, extra) => ({ ...styles.input, ...extra, ...(errorOf(key) ? styles.invalid : null) })
+
+  const set = (key, value) => setReport(prev => ({ ...prev, [key]: value }))
+  const setRow = (key, index, patch) => setReport(prev => ({
+    ...prev,
+    [key]: prev[key].map((row, i) => (i === index ? { ...row, ...patch } : row))
+  }))
+  const addRow = (key, row) => setReport(prev => ({ ...prev, [key]: [...prev[key], row] }))
+  const removeRow = (key, index) => setReport(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }))
+
+  const toggleLine = (index, lineId) => {
+    const lines = report.crews[index].lines
+    setRow('crews', index, { lines: lines.includes(lineId) ? lines.filter(l => l !== lineId) : [...lines, lineId] })
+  }
+
+  const copyPrevious = () => {
+    const crews = crewsOf(previous).map(c => ({
+      subcontractor: c.subcontractor || '',
+      headcount: c.headcount ? String(c.headcount) : '',
+      hours: c.hours != null ? String(c.hours) : '8',
+      lines: []
+    }))
+    const equipment = (previous.equipment || []).map(e => ({ type: e.type, label: e.label || '', hours: String(e.hours ?? '') }))
+    setReport(prev => ({ ...prev, crews: crews.length ? crews : prev.crews, equipment }))
+  }
+
   const handleSubmit = (e) => {
     e.preventDefault()
-    onSubmit({
-      date,
-      installed_panels: dailyInstalled,
-      subcontractor,
-      workers
-    })
-    setSubcontractor('')
-    setWorkers('')
+    setTried(true)
+    if (Object.keys(errors).length) return
+    onSubmit(cleanReport(report))
     onClose?.()
   }
 
+  const fieldError = (key) => (errorOf(key) ? <div style={styles.error}>{errorOf(key)}</div> : null)
+
   return (
     <div style={styles.backdrop}>
       <div style={styles.modal}>
         <h2 style={styles.title}>Submit Daily Work</h2>
-        <form onSubmit={handleSubmit} style={styles.form}>
-          <label style={styles.label}>
-            Date
-            <input
-              type="date"
-              value={date}
-              onChange={(e) => setDate(e.target.value)}
-              required
-              style={styles.input}
-            />
-          </label>
-          <label style={styles.label}>
-            Subcontractor
-            <input
-              type="text"
-              value={subcontractor}
-              onChange={(e) => setSubcontractor(e.target.value)}
-              placeholder="Company name"
-              required
-              style={styles.input}
-            />
-          </label>
+        <form onSubmit={handleSubmit} style={styles.form} noValidate>
+          <div style={{ display: 'flex', gap: 10 }}>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Date
+              <input
+                type="date"
+                value={report.date}
+                max={localToday()}
+                onChange={(e) => set('date', e.target.value)}
+                style={field('date')}
+              />
+              {fieldError('date')}
+            </label>
+            <label style={{ ...styles.label, flex: 1 }}>
+              Weather
+              <select
+                value={report.weather.condition}
+                onChange={(e) => set('weather', { ...report.weather, condition: e.target.value })}
+                style={field('weather.condition')}
+              >
+                <option value="">Choose…</option>
+                {WEATHER_CONDITIONS.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+              </select>
+              {fieldError('weather.condition')}
+            </label>
+            <label style={{ ...styles.label, width: 90 }}>
+              Temp (°C)
+              <input
+                type="number"
+                value={report.weather.temp_c}
+                onChange={(e) => set('weather', { ...report.weather, temp_c: e.target.value })}
+                style={field('weather.temp_c')}
+              />
+              {fieldError('weather.temp_c')}
+            </label>
+          </div>
+
+          <section style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h3 style={styles.h3}>Crews</h3>
+              <span style={{ display: 'flex', gap: 6 }}>
+                {previous && crewsOf(previous).length > 0 && (
+                  <button type="button" onClick={copyPrevious} style={styles.small}>Same as {previous.date}</button>
+                )}
+                <button type="button" onClick={() => addRow('crews', emptyCrew())} style={styles.small}>+ Crew</button>
+              </span>
+            </div>
+            {report.crews.map((crew, i) => (
+              <div key={i} style={styles.card}>
+                <div style={styles.row}>
+                  <input
+                    list="submit-subcontractors"
+                    value={crew.subcontractor}
+                    onChange={(e) => setRow('crews', i, { subcontractor: e.target.value })}
+                    placeholder="Subcontractor"
+                    style={field(`crews.${i}.subcontractor`, { flex: 1 })}
+                  />
+                  <input
+                    type="number"
+                    min={1}
+                    value={crew.headcount}
+                    onChange={(e) => setRow('crews', i, { headcount: e.target.value })}
+                    placeholder="People"
+                    title="Headcount"
+                    style={field(`crews.${i}.headcount`, { width: 80 })}
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    max={24}
+                    step="0.5"
+                    value={crew.hours}
+                    onChange={(e) => setRow('crews', i, { hours: e.target.value })}
+                    placeholder="Hours"
+                    title="Hours on site"
+                    style={field(`crews.${i}.hours`, { width: 80 })}
+                  />
+                  <button type="button" onClick={() => removeRow('crews', i)} style={styles.remove} title="Remove crew">✕</button>
+                </div>
+                {fieldError(`crews.${i}.subcontractor`)}
+                {fieldError(`crews.${i}.headcount`)}
+                {fieldError(`crews.${i}.hours`)}
+                {lineIds.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center', fontSize: 12 }}>
+                    <span style={{ opacity: 0.6 }}>Lines:</span>
+                    {lineIds.map(lineId => {
+                      const on = crew.lines.includes(lineId)
+                      return (
+                        <button
+                          type="button"
+                          key={lineId}
+                          onClick={() => toggleLine(i, lineId)}
+                          style={{ ...styles.chip, ...(on ? styles.chipOn : null) }}
+                        >
+                          {lineId}
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
+              </div>
+            ))}
+            {errorOf('crews') && <div style={styles.error}>{errorOf('crews')}</div>}
+            {lineIds.length > 0 && report.crews.length > 1 && (
+              <div style={{ fontSize: 11, opacity: 0.55 }}>Lines no crew picked are shared by the crews that picked none.</div>
+            )}
+            <datalist id="submit-subcontractors">
+              {subcontractors.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </section>
+
+          <section style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h3 style={styles.h3}>Equipment</h3>
+              <button type="button" onClick={() => addRow('equipment', emptyEquipment())} style={styles.small}>+ Equipment</button>
+            </div>
+            {!report.equipment.length && <span style={styles.empty}>No plant on site.</span>}
+            {report.equipment.map((item, i) => (
+              <div key={i}>
+                <div style={styles.row}>
+                  <select value={item.type} onChange={(e) => setRow('equipment', i, { type: e.target.value })} style={field(`equipment.${i}.type`, { width: 140 })}>
+                    {EQUIPMENT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                  <input
+                    value={item.label}
+                    onChange={(e) => setRow('equipment', i, { label: e.target.value })}
+                    placeholder="Unit / plate (optional)"
+                    style={{ ...styles.input, flex: 1 }}
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    max={24}
+                    step="0.5"
+                    value={item.hours}
+                    onChange={(e) => setRow('equipment', i, { hours: e.target.value })}
+                    placeholder="Hours"
+                    style={field(`equipment.${i}.hours`, { width: 80 })}
+                  />
+                  <button type="button" onClick={() => removeRow('equipment', i)} style={styles.remove} title="Remove">✕</button>
+                </div>
+                {fieldError(`equipment.${i}.hours`)}
+              </div>
+            ))}
+          </section>
+
+          <section style={styles.section}>
+            <div style={styles.sectionHeader}>
+              <h3 style={styles.h3}>Delays</h3>
+              <button type="button" onClick={() => addRow('delays', emptyDelay())} style={styles.small}>+ Delay</button>
+            </div>
+            {!report.delays.length && <span style={styles.empty}>No delays.</span>}
+            {report.delays.map((delay, i) => (
+              <div key={i}>
+                <div style={styles.row}>
+                  <select value={delay.code} onChange={(e) => setRow('delays', i, { code: e.target.value })} style={field(`delays.${i}.code`, { width: 170 })}>
+                    {DELAY_CODES.map(d => <option key={d.id} value={d.id}>{d.id} · {d.name}</option>)}
+                  </select>
+                  <input
+                    value={delay.description}
+                    onChange={(e) => setRow('delays', i, { description: e.target.value })}
+                    placeholder="What happened"
+                    style={field(`delays.${i}.description`, { flex: 1 })}
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    max={24}
+                    step="0.25"
+                    value={delay.hours}
+                    onChange={(e) => setRow('delays', i, { hours: e.target.value })}
+                    placeholder="Hours lost"
+                    style={field(`delays.${i}.hours`, { width: 80 })}
+                  />
+                  <button type="button" onClick={() => removeRow('delays', i)} style={styles.remove} title="Remove">✕</button>
+                </div>
+                {fieldError(`delays.${i}.description`)}
+                {fieldError(`delays.${i}.hours`)}
+              </div>
+            ))}
+          </section>
+
           <label style={styles.label}>
-            Number of Workers
-            <input
-              type="number"
-              value={workers}
-              onChange={(e) => setWorkers(e.target.value)}
-              placeholder="e.g. 5"
-              style={styles.input}
+            Remarks
+            <textarea
+              value={report.remarks}
+              onChange={(e) => set('remarks', e.target.value)}
+              rows={2}
+              placeholder="Anything the site manager should know"
+              style={{ ...styles.input, resize: 'vertical' }}
             />
           </label>
+
+          <div style={styles.summary}>
+            <span>Added</span>
+            <strong style={{ color: '#34d399' }}>+{format(delta?.added)} m</strong>
+          </div>
           <div style={styles.summary}>
-            <span>Work Amount</span>
-            <strong>{dailyInstalled ? Number(dailyInstalled).toFixed(2) : '0.00'} m</strong>
+            <span>Removed</span>
+            <strong style={{ color: '#fca5a5' }}>-{format(delta?.removed)} m</strong>
           </div>
+          {stages.map(stage => {
+            const d = delta?.stages?.[stage.id]
+            if (!d || (!d.added_m && !d.removed_m)) return null
+            return (
+              <div key={stage.id} style={{ ...styles.summary, padding: '6px 12px', fontSize: 13 }}>
+                <span style={{ color: stage.color }}>{stage.name}</span>
+                <span>{format(d.added_m - d.removed_m)} m</span>
+              </div>
+            )
+          })}
+          <div style={styles.summary}>
+            <span>Work Amount ({delta?.lines?.length || 0} lines)</span>
+            <strong>{format(delta?.net)} m</strong>
+          </div>
+          {tried && Object.keys(errors).length > 0 && (
+            <div style={styles.error}>Fix the highlighted fields to submit.</div>
+          )}
           <div style={styles.actions}>
             <button type="button" onClick={onClose} style={styles.secondary}>
               Cancel
@@ -91,7 +323,9 @@ const styles = {
     zIndex: 9999
   },
   modal: {
-    width: 360,
+    width: 600,
+    maxHeight: '92vh',
+    overflowY: 'auto',
     background: '#101828',
     border: '1px solid #1f2a44',
     borderRadius: 12,
@@ -121,8 +355,82 @@ const styles = {
     borderRadius: 8,
     border: '1px solid #273451',
     background: '#0b1220',
+    color: '#e5e7eb',
+    minWidth: 0
+  },
+  invalid: {
+    borderColor: '#f87171'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  sectionHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  },
+  h3: {
+    margin: 0,
+    fontSize: 14,
+    fontWeight: 600,
+    color: '#cbd5f5'
+  },
+  card: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    paddingBottom: 8,
+    borderBottom: '1px solid #16213a'
+  },
+  row: {
+    display: 'flex',
+    gap: 6,
+    alignItems: 'center'
+  },
+  empty: {
+    fontSize: 12,
+    opacity: 0.55
+  },
+  chip: {
+    padding: '2px 8px',
+    borderRadius: 999,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  chipOn: {
+    background: '#1e3a8a',
+    borderColor: '#3b82f6',
     color: '#e5e7eb'
   },
+  small: {
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  remove: {
+    border: 'none',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    padding: '0 4px'
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 12
+  },
   summary: {
     display: 'flex',
     justifyContent: 'space-between',
@@ -156,4 +464,3 @@ const styles = {
     cursor: 'pointer'
   }
 }
-
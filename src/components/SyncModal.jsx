@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react'
+import { DEFAULT_SERVER, SERVER_KEY, listRemoteProjects } from './syncClient.js'
+
+export default function SyncModal({ isOpen, onClose, sync, projectName, onShare, onOpenRemote, onStop }) {
+  const [server, setServer] = useState('')
+  const [remote, setRemote] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isOpen) return
+    setServer(sync?.server || localStorage.getItem(SERVER_KEY) || DEFAULT_SERVER)
+    setRemote(null)
+    setError('')
+  }, [isOpen, sync])
+
+  if (!isOpen) return null
+
+  const run = async (fn) => {
+    setBusy(true)
+    setError('')
+    try {
+      localStorage.setItem(SERVER_KEY, server)
+      await fn()
+    } catch (err) {
+      setError(err.message === 'Failed to fetch' ? 'Could not reach the sync server.' : err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const browse = () => run(async () => setRemote(await listRemoteProjects(server)))
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>Shared Sync</h2>
+        <div style={styles.form}>
+          <label style={styles.label}>
+            Sync server
+            <input
+              type="url"
+              value={server}
+              onChange={(e) => setServer(e.target.value)}
+              disabled={!!sync}
+              style={styles.input}
+            />
+          </label>
+
+          {sync ? (
+            <div style={styles.box}>
+              <span>“{projectName}” is shared on this server.</span>
+              <span style={{ opacity: 0.7 }}>
+                {sync.queue.length ? `${sync.queue.length} edits waiting to be sent` : 'All edits sent'}
+              </span>
+              <button type="button" onClick={onStop} style={{ ...styles.secondary, color: '#fca5a5', alignSelf: 'flex-start' }}>
+                Stop syncing on this device
+              </button>
+            </div>
+          ) : (
+            <>
+              {onShare && (
+                <button
+                  type="button"
+                  disabled={busy || !server}
+                  onClick={() => run(() => onShare(server))}
+                  style={{ ...styles.primary, opacity: busy ? 0.6 : 1 }}
+                >
+                  Share “{projectName}” on the server
+                </button>
+              )}
+              <button type="button" disabled={busy || !server} onClick={browse} style={styles.secondary}>
+                Browse shared projects
+              </button>
+            </>
+          )}
+
+          {remote && (
+            <div style={styles.list}>
+              {!remote.length && <span style={{ opacity: 0.6 }}>No shared projects yet.</span>}
+              {remote.map(p => (
+                <div key={p.id} style={styles.row}>
+                  <span style={{ flex: 1 }}>{p.name}</span>
+                  <span style={{ opacity: 0.6, fontSize: 12 }}>{new Date(p.updatedAt).toLocaleString()}</span>
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => run(() => onOpenRemote(server, p))}
+                    style={styles.secondary}
+                  >
+                    Open
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && <div style={styles.error}>{error}</div>}
+          <div style={styles.actions}>
+            <button type="button" onClick={onClose} style={styles.secondary}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 460,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb'
+  },
+  title: {
+    margin: '0 0 16px',
+    fontSize: 18,
+    fontWeight: 600
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  box: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a',
+    fontSize: 14
+  },
+  list: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    maxHeight: 240,
+    overflowY: 'auto'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    padding: '6px 10px',
+    borderRadius: 8,
+    background: '#0f172a',
+    fontSize: 14
+  },
+  error: {
+    color: '#fca5a5',
+    fontSize: 13
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react'
+import { ROLES, can, roleName } from './permissions.js'
+
+// Picks the profile that edits are attributed to. Anyone can add a viewer or
+// foreman; higher roles are handed out by an admin. The first profile on a
+// device is the admin so there is always someone who can.
+export default function UserModal({
+  isOpen,
+  users = [],
+  currentUser,
+  lastUserId,
+  onSelect,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onClose
+}) {
+  const [name, setName] = useState('')
+  const [role, setRole] = useState('foreman')
+  const [adding, setAdding] = useState(false)
+
+  const isAdmin = can(currentUser, 'users')
+  const firstUser = !users.length
+  const roles = firstUser ? ROLES.filter(r => r.id === 'admin') : isAdmin ? ROLES : ROLES.slice(0, 2)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setName('')
+    setRole(firstUser ? 'admin' : 'foreman')
+    setAdding(firstUser)
+  }, [isOpen, firstUser])
+
+  if (!isOpen) return null
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    if (users.some(u => u.name.toLowerCase() === name.trim().toLowerCase())) {
+      window.alert(`There is already a profile called “${name.trim()}”.`)
+      return
+    }
+    onAdd(name, role)
+  }
+
+  const handleRemove = (user) => {
+    if (!window.confirm(`Remove the profile “${user.name}”? Work already attributed to them is kept.`)) return
+    onRemove(user.id)
+  }
+
+  const ordered = [...users].sort((a, b) => (a.id === lastUserId ? -1 : b.id === lastUserId ? 1 : a.name.localeCompare(b.name)))
+
+  return (
+    <div style={styles.backdrop}>
+      <div style={styles.modal}>
+        <h2 style={styles.title}>{currentUser ? 'Switch User' : 'Who is working?'}</h2>
+        <div style={styles.list}>
+          {ordered.map(u => (
+            <div key={u.id} style={styles.row}>
+              <button
+                type="button"
+                onClick={() => onSelect(u.id)}
+                style={{
+                  ...styles.user,
+                  borderColor: u.id === (currentUser?.id || lastUserId) ? '#2563eb' : '#1e2b4a'
+                }}
+              >
+                <span style={{ fontWeight: 600 }}>{u.name}</span>
+                <span style={{ opacity: 0.65, fontSize: 12 }}>{roleName(u.role)}</span>
+              </button>
+              {isAdmin && u.id !== currentUser?.id && (
+                <>
+                  <select
+                    value={u.role}
+                    onChange={(e) => onUpdate(u.id, { role: e.target.value })}
+                    style={styles.input}
+                    title="Role"
+                  >
+                    {ROLES.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                  </select>
+                  <button type="button" onClick={() => handleRemove(u)} style={{ ...styles.secondary, color: '#fca5a5' }} title="Remove profile">
+                    ✕
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {adding ? (
+          <form onSubmit={handleAdd} style={styles.form}>
+            <label style={styles.label}>
+              Name
+              <input
+                autoFocus
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Ahmed K."
+                style={styles.input}
+              />
+            </label>
+            <label style={styles.label}>
+              Role
+              <select value={role} onChange={(e) => setRole(e.target.value)} style={styles.input}>
+                {roles.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+            </label>
+            <div style={styles.actions}>
+              {!firstUser && (
+                <button type="button" onClick={() => setAdding(false)} style={styles.secondary}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" disabled={!name.trim()} style={{ ...styles.primary, opacity: name.trim() ? 1 : 0.5 }}>
+                Add profile
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div style={styles.actions}>
+            <button type="button" onClick={() => setAdding(true)} style={styles.secondary}>
+              New profile
+            </button>
+            {currentUser && (
+              <button type="button" onClick={onClose} style={styles.secondary}>
+                Close
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.55)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9999
+  },
+  modal: {
+    width: 420,
+    background: '#101828',
+    border: '1px solid #1f2a44',
+    borderRadius: 12,
+    padding: 20,
+    boxShadow: '0 25px 60px rgba(0,0,0,0.45)',
+    color: '#e5e7eb',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 14
+  },
+  title: {
+    margin: 0,
+    fontSize: 18,
+    fontWeight: 600
+  },
+  list: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    maxHeight: 300,
+    overflowY: 'auto'
+  },
+  row: {
+    display: 'flex',
+    gap: 6,
+    alignItems: 'stretch'
+  },
+  user: {
+    flex: 1,
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '10px 12px',
+    borderRadius: 8,
+    border: '1px solid #1e2b4a',
+    background: '#0f172a',
+    color: '#e5e7eb',
+    cursor: 'pointer',
+    textAlign: 'left'
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 12
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 13,
+    color: '#cbd5f5'
+  },
+  input: {
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: '#0b1220',
+    color: '#e5e7eb'
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 10
+  },
+  secondary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: '1px solid #273451',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  primary: {
+    padding: '8px 14px',
+    borderRadius: 8,
+    border: 'none',
+    background: '#2563eb',
+    color: '#fff',
+    fontWeight: 600,
+    cursor: 'pointer'
+  }
+}
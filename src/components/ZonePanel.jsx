@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react'
+import { polygonLayers, zonesFromGeoJSON } from './zones.js'
+
+const pct = (done, total) => (total > 0 ? `${Math.round((done / total) * 100)}%` : '—')
+
+// Per-zone progress with the map filter, plus adding zones from the
+// background drawing, a polygon file or by drawing on the map
+export default function ZonePanel({
+  isOpen,
+  rows = [],
+  stages = [],
+  activeZoneId,
+  onFilter,
+  canEdit,
+  drawing,
+  onDraw,
+  onAddZones,
+  onRename,
+  onDelete,
+  bgData,
+  onClose
+}) {
+  const [source, setSource] = useState(null)
+  const [picked, setPicked] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isOpen) setSource(null)
+  }, [isOpen])
+
+  if (!isOpen) return null
+
+  const openSource = (name, geojson) => {
+    const layers = polygonLayers(geojson)
+    if (!layers.length) {
+      setError(`${name} has no polygons or closed polylines.`)
+      return
+    }
+    setError('')
+    setSource({ name, geojson, layers })
+    setPicked(layers.length === 1 ? [layers[0].layer] : [])
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      openSource(file.name, JSON.parse(await file.text()))
+    } catch {
+      setError(`${file.name} is not valid GeoJSON.`)
+    }
+  }
+
+  const addPicked = () => {
+    const zones = zonesFromGeoJSON(source.geojson, picked, source.name === 'Background' ? 'background' : 'import')
+    onAddZones(zones)
+    setSource(null)
+  }
+
+  const handleRename = (row) => {
+    const name = window.prompt('Zone name', row.name)
+    if (name?.trim() && name.trim() !== row.name) onRename(row.id, name.trim())
+  }
+
+  const handleDelete = (row) => {
+    if (window.confirm(`Delete zone “${row.name}”? Trenches and progress are not affected.`)) onDelete(row.id)
+  }
+
+  return (
+    <aside style={styles.panel}>
+      <div style={styles.header}>
+        <h2 style={{ margin: 0, fontSize: 18 }}>Zones</h2>
+        <button onClick={onClose} style={styles.iconButton} title="Close">✕</button>
+      </div>
+
+      {canEdit && (
+        <section style={styles.section}>
+          <h3 style={styles.h3}>Add zones</h3>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+            <button onClick={onDraw} style={{ ...styles.button, borderColor: drawing ? '#c084fc' : '#1d2640' }}>
+              {drawing ? 'Drawing… (Esc to stop)' : 'Draw on map'}
+            </button>
+            <button onClick={() => openSource('Background', bgData)} disabled={!bgData?.features?.length} style={styles.button}>
+              From background
+            </button>
+            <label style={{ ...styles.button, display: 'inline-flex' }}>
+              Import file
+              <input type="file" accept=".geojson,.json,application/geo+json" onChange={handleFile} style={{ display: 'none' }} />
+            </label>
+          </div>
+          {source && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 6, fontSize: 13 }}>
+              <span style={{ opacity: 0.7 }}>Polygon layers in {source.name}:</span>
+              {source.layers.map(l => (
+                <label key={l.layer} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <input
+                    type="checkbox"
+                    checked={picked.includes(l.layer)}
+                    onChange={(e) => setPicked(prev => (e.target.checked ? [...prev, l.layer] : prev.filter(x => x !== l.layer)))}
+                  />
+                  <span style={{ flex: 1, wordBreak: 'break-all' }}>{l.layer}</span>
+                  <span style={{ opacity: 0.6 }}>{l.count}</span>
+                </label>
+              ))}
+              <div style={{ display: 'flex', gap: 6 }}>
+                <button onClick={addPicked} disabled={!picked.length} style={{ ...styles.button, ...styles.primary, opacity: picked.length ? 1 : 0.5 }}>
+                  Add {source.layers.filter(l => picked.includes(l.layer)).reduce((sum, l) => sum + l.count, 0)} zones
+                </button>
+                <button onClick={() => setSource(null)} style={styles.button}>Cancel</button>
+              </div>
+            </div>
+          )}
+          {error && <span style={{ color: '#fca5a5', fontSize: 12 }}>{error}</span>}
+        </section>
+      )}
+
+      <section style={styles.section}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h3 style={styles.h3}>Progress by zone</h3>
+          {activeZoneId && <button onClick={() => onFilter(null)} style={styles.button}>Show all</button>}
+        </div>
+        {!rows.length && <span style={{ opacity: 0.6, fontSize: 13 }}>No zones yet.</span>}
+        {rows.length > 0 && (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Zone</th>
+                <th style={styles.th}>Length</th>
+                {stages.map(s => <th key={s.id} style={{ ...styles.th, color: s.color }} title={s.name}>{s.name.slice(0, 4)}</th>)}
+                {canEdit && <th style={styles.th} />}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr
+                  key={row.id || 'none'}
+                  onClick={() => row.id && onFilter(row.id === activeZoneId ? null : row.id)}
+                  style={{ cursor: row.id ? 'pointer' : 'default', background: row.id && row.id === activeZoneId ? '#1e1b4b' : 'transparent' }}
+                  title={row.id ? 'Show only this zone on the map' : undefined}
+                >
+                  <td style={styles.td}>{row.name}</td>
+                  <td style={styles.td}>{row.total.toFixed(0)} m</td>
+                  {stages.map(s => <td key={s.id} style={styles.td}>{pct(row.stages[s.id], row.total)}</td>)}
+                  {canEdit && (
+                    <td style={{ ...styles.td, whiteSpace: 'nowrap' }} onClick={(e) => e.stopPropagation()}>
+                      {row.id && (
+                        <>
+                          <button onClick={() => handleRename(row)} style={styles.linkButton} title="Rename">✎</button>
+                          <button onClick={() => handleDelete(row)} style={{ ...styles.linkButton, color: '#fca5a5' }} title="Delete">✕</button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </aside>
+  )
+}
+
+const styles = {
+  panel: {
+    width: 360,
+    flexShrink: 0,
+    overflowY: 'auto',
+    background: '#081122',
+    borderLeft: '1px solid #111b2f',
+    padding: 16,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 16
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  section: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    background: '#0f172a',
+    border: '1px solid #1e2b4a'
+  },
+  h3: {
+    margin: 0,
+    fontSize: 14,
+    fontWeight: 600,
+    color: '#cbd5f5'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 12
+  },
+  th: {
+    textAlign: 'left',
+    padding: '4px 6px',
+    borderBottom: '1px solid #1e2b4a',
+    fontWeight: 600,
+    color: '#9ca3af'
+  },
+  td: {
+    padding: '5px 6px',
+    borderBottom: '1px solid #16213a'
+  },
+  button: {
+    padding: '5px 10px',
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: '#111a2f',
+    color: '#e3e9ff',
+    cursor: 'pointer',
+    fontSize: 12
+  },
+  primary: {
+    background: '#2563eb',
+    border: 'none',
+    color: '#fff',
+    fontWeight: 600
+  },
+  iconButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    border: '1px solid #1d2640',
+    background: 'transparent',
+    color: '#9ca3af',
+    cursor: 'pointer'
+  },
+  linkButton: {
+    border: 'none',
+    background: 'transparent',
+    color: '#9ca3af',
+    padding: '0 4px',
+    cursor: 'pointer'
+  }
+}
@@ -0,0 +1,109 @@
+import { mergeRanges, recordOf, workDateOf } from './rangeUtils.js'
+import { editStage, overallStatus } from './stages.js'
+import { computeDelta } from './useDailyLog.js'
+
+export const RECORD_STATUSES = [
+  { id: 'pending', name: 'Pending', color: '#fbbf24' },
+  { id: 'changes_requested', name: 'Changes requested', color: '#fb923c' },
+  { id: 'approved', name: 'Approved', color: '#34d399' },
+  { id: 'rejected', name: 'Rejected', color: '#f87171' }
+]
+
+export const newRecordId = () => `rec_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+
+// Records from before the review step have no status and were final
+export const recordStatus = (record) => record?.status || 'approved'
+
+export const statusInfo = (status) => RECORD_STATUSES.find(s => s.id === status) || RECORD_STATUSES[0]
+
+export const approvedRecords = (dailyLog) => (dailyLog || []).filter(r => recordStatus(r) === 'approved')
+
+// Features cut down to the pieces that count: submitted and, if they belong
+// to a record, approved
+export function approvedFeatures(features, dailyLog) {
+  const approved = new Set(approvedRecords(dailyLog).map(r => r.id).filter(Boolean))
+  const counts = (r) => workDateOf(r) && (!recordOf(r) || approved.has(recordOf(r)))
+  return (features || []).map(f => {
+    const stages = f.properties.stages || {}
+    const next = {}
+    let changed = false
+    for (const [stageId, ranges] of Object.entries(stages)) {
+      next[stageId] = (ranges || []).filter(counts)
+      if (next[stageId].length !== (ranges || []).length) changed = true
+    }
+    return changed ? { ...f, properties: { ...f.properties, stages: next } } : f
+  })
+}
+
+// The segments a record touched: { [segId]: [{ stage, added, removed }] }
+export function recordSegments(record) {
+  const bySegment = {}
+  for (const line of (record?.lines || [])) {
+    for (const seg of (line.segments || [])) {
+      if (!bySegment[seg.id]) bySegment[seg.id] = []
+      bySegment[seg.id].push(seg)
+    }
+  }
+  return bySegment
+}
+
+// Takes a rejected record's pieces off one segment (with whatever later
+// stages were built on them) and puts back what it erased
+function rollbackStages(stagesMap, changes, recordId, stages) {
+  let properties = { stages: stagesMap }
+  for (const stage of stages) {
+    const own = (properties.stages[stage.id] || []).filter(r => recordOf(r) === recordId)
+    if (own.length) properties = editStage(properties, stages, stage.id, 'erase', own.map(r => [r[0], r[1]]))
+  }
+  const order = (id) => stages.findIndex(s => s.id === id)
+  for (const change of [...(changes || [])].sort((a, b) => order(a.stage) - order(b.stage))) {
+    if (change.removed?.length) properties = editStage(properties, stages, change.stage, 'add', change.removed)
+  }
+  return properties.stages
+}
+
+const touches = (stagesMap, changes, recordId) => !!changes ||
+  Object.values(stagesMap || {}).some(ranges => ranges?.some(r => recordOf(r) === recordId))
+
+export function rollbackRecord(features, record, stages) {
+  const segments = recordSegments(record)
+  return (features || []).map(f => {
+    const stagesMap = f.properties.stages || {}
+    const changes = segments[f.properties.id]
+    if (!touches(stagesMap, changes, record.id)) return f
+    const next = rollbackStages(stagesMap, changes, record.id, stages)
+    return { ...f, properties: { ...f.properties, stages: next, status: overallStatus(next, stages) } }
+  })
+}
+
+// The same rollback on a snapshotRanges() baseline, so the undone work
+// doesn't show up as removed in the next submission
+export function rollbackSnapshot(snapshot, record, stages) {
+  const segments = recordSegments(record)
+  const next = { ...snapshot }
+  for (const [segId, stagesMap] of Object.entries(snapshot || {})) {
+    if (touches(stagesMap, segments[segId], record.id)) {
+      next[segId] = rollbackStages(stagesMap, segments[segId], record.id, stages)
+    }
+  }
+  return next
+}
+
+// A resubmitted record's delta, taken again against the baseline it was first
+// submitted on: the current one with the record rolled back. Work from other
+// records stays in that baseline, so only the record's own pieces and erases
+// count. `features` already carry the corrections stamped with the record id.
+export function resubmittedDelta(features, baseline, record, stages) {
+  const before = rollbackSnapshot(baseline, record, stages)
+  const reference = {}
+  for (const f of (features || [])) {
+    const id = f.properties.id
+    const next = { ...(before[id] || {}) }
+    for (const [stageId, ranges] of Object.entries(f.properties.stages || {})) {
+      const others = (ranges || []).filter(r => recordOf(r) !== record.id)
+      if (others.length) next[stageId] = mergeRanges([...(next[stageId] || []), ...others])
+    }
+    reference[id] = next
+  }
+  return computeDelta(features, reference, stages)
+}
@@ -0,0 +1,28 @@
+// Map layers kept in the project settings as `basemap`:
+// tiles: raster tile layers, e.g. a drone orthophoto, drawn under everything
+//   [{ id, name, url, opacity, visible, maxNativeZoom }]
+// overlays: extra GeoJSON drawings over the tiles [{ id, name, data, color, opacity, visible }]
+// background: style of the built-in background drawing
+
+export const DEFAULT_BACKGROUND = { color: '#4c566a', opacity: 0.35, visible: true }
+
+export const OVERLAY_COLORS = ['#94a3b8', '#f472b6', '#facc15', '#22d3ee', '#a3e635', '#fb7185']
+
+// How far the map zooms in with tiles on; beyond a set's deepest level its
+// tiles are stretched
+export const MAX_MAP_ZOOM = 24
+export const DEFAULT_NATIVE_ZOOM = 21
+
+export function getBasemap(settings) {
+  const basemap = settings?.basemap || {}
+  return {
+    tiles: basemap.tiles || [],
+    overlays: basemap.overlays || [],
+    background: { ...DEFAULT_BACKGROUND, ...basemap.background }
+  }
+}
+
+export const newLayerId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+
+// XYZ templates need all three placeholders; {s} subdomains are not used for local tiles
+export const isTileTemplate = (url) => ['{z}', '{x}', '{y}'].every(p => url.includes(p))
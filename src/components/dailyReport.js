@@ -0,0 +1,135 @@
+// Vocabulary and checks for the daily report that goes with each submission.
+// A record carries { crews, equipment, weather, delays, remarks } next to the
+// measured ranges; `subcontractor` and `workers` are kept as totals so older
+// readers of the log still work.
+
+export const EQUIPMENT_TYPES = ['Excavator', 'Mini excavator', 'Trencher', 'Compactor', 'Dumper', 'Cable trailer', 'Other']
+
+export const WEATHER_CONDITIONS = [
+  { id: 'clear', name: 'Clear' },
+  { id: 'cloudy', name: 'Cloudy' },
+  { id: 'rain', name: 'Rain' },
+  { id: 'heavy_rain', name: 'Heavy rain' },
+  { id: 'wind', name: 'High wind' },
+  { id: 'snow', name: 'Snow / frost' },
+  { id: 'heat', name: 'Extreme heat' }
+]
+
+export const DELAY_CODES = [
+  { id: 'WX', name: 'Weather' },
+  { id: 'MAT', name: 'Material shortage' },
+  { id: 'EQP', name: 'Equipment breakdown' },
+  { id: 'ACC', name: 'Site access' },
+  { id: 'DES', name: 'Design / drawing issue' },
+  { id: 'PER', name: 'Permit / authority' },
+  { id: 'HSE', name: 'Health & safety stop' },
+  { id: 'UTL', name: 'Utility strike / clash' },
+  { id: 'OTH', name: 'Other' }
+]
+
+export const MAX_SHIFT_HOURS = 24
+
+export const emptyCrew = () => ({ subcontractor: '', headcount: '', hours: '8', lines: [] })
+export const emptyEquipment = () => ({ type: EQUIPMENT_TYPES[0], label: '', hours: '' })
+export const emptyDelay = () => ({ code: DELAY_CODES[0].id, hours: '', description: '' })
+
+export const delayName = (code) => DELAY_CODES.find(d => d.id === code)?.name || code
+export const weatherName = (id) => WEATHER_CONDITIONS.find(w => w.id === id)?.name || id || ''
+
+// Records from before crews were entered had one subcontractor and a count
+export function crewsOf(record) {
+  if (record?.crews?.length) return record.crews
+  if (!record?.subcontractor && !record?.workers) return []
+  return [{ subcontractor: record.subcontractor || '', headcount: Number(record.workers) || 0, hours: null, lines: [] }]
+}
+
+export function reportTotals(record) {
+  const crews = crewsOf(record)
+  const sum = (list, fn) => list.reduce((acc, x) => acc + (Number(fn(x)) || 0), 0)
+  return {
+    headcount: sum(crews, c => c.headcount),
+    manHours: sum(crews, c => (Number(c.headcount) || 0) * (Number(c.hours) || 0)),
+    equipmentHours: sum(record?.equipment || [], e => e.hours),
+    delayHours: sum(record?.delays || [], d => d.hours)
+  }
+}
+
+// Net meters per crew: each crew gets the lines it listed (shared lines are
+// split by headcount), crews that listed none share whatever is left over
+export function crewMeters(record) {
+  const crews = crewsOf(record)
+  const result = crews.map(() => 0)
+  if (!crews.length) return { crews: result, unassigned: 0 }
+  const unlisted = crews.map((c, i) => (c.lines?.length ? null : i)).filter(i => i != null)
+  let unassigned = 0
+  for (const line of (record.lines || [])) {
+    const net = Number(line.added_m || 0) - Number(line.removed_m || 0)
+    let takers = crews.map((c, i) => (c.lines?.includes(line.lineId) ? i : null)).filter(i => i != null)
+    if (!takers.length) takers = unlisted
+    if (!takers.length) {
+      unassigned += net
+      continue
+    }
+    const heads = takers.reduce((sum, i) => sum + (Number(crews[i].headcount) || 0), 0)
+    for (const i of takers) {
+      result[i] += heads > 0 ? net * (Number(crews[i].headcount) || 0) / heads : net / takers.length
+    }
+  }
+  return { crews: result, unassigned }
+}
+
+const isWholeNumber = (v) => /^\d+$/.test(String(v).trim())
+const inHours = (v) => v !== '' && Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= MAX_SHIFT_HOURS
+
+// Problems with a filled-in form, as messages keyed by field path
+export function validateReport(report, today) {
+  const errors = {}
+  if (!report.date) errors.date = 'Pick the work date.'
+  else if (today && report.date > today) errors.date = 'The work date cannot be in the future.'
+
+  if (!report.crews?.length) errors.crews = 'Add at least one crew.'
+  ;(report.crews || []).forEach((c, i) => {
+    if (!c.subcontractor?.trim()) errors[`crews.${i}.subcontractor`] = 'Subcontractor is required.'
+    if (!isWholeNumber(c.headcount) || Number(c.headcount) < 1) errors[`crews.${i}.headcount`] = 'Headcount must be a whole number of at least 1.'
+    if (!inHours(c.hours)) errors[`crews.${i}.hours`] = `Hours must be between 0 and ${MAX_SHIFT_HOURS}.`
+  })
+
+  ;(report.equipment || []).forEach((e, i) => {
+    if (!e.type) errors[`equipment.${i}.type`] = 'Pick the equipment type.'
+    if (!inHours(e.hours)) errors[`equipment.${i}.hours`] = `Hours must be between 0 and ${MAX_SHIFT_HOURS}.`
+  })
+
+  if (!report.weather?.condition) errors['weather.condition'] = 'Pick the weather.'
+  const temp = report.weather?.temp_c
+  if (temp !== '' && temp != null && (!Number.isFinite(Number(temp)) || Number(temp) < -40 || Number(temp) > 60)) {
+    errors['weather.temp_c'] = 'Temperature looks wrong.'
+  }
+
+  ;(report.delays || []).forEach((d, i) => {
+    if (!d.code) errors[`delays.${i}.code`] = 'Pick a reason code.'
+    if (!inHours(d.hours) || Number(d.hours) <= 0) errors[`delays.${i}.hours`] = `Delay hours must be above 0 and at most ${MAX_SHIFT_HOURS}.`
+    if (d.code === 'OTH' && !d.description?.trim()) errors[`delays.${i}.description`] = 'Describe the delay.'
+  })
+  return errors
+}
+
+// The form's strings as stored numbers
+export function cleanReport(report) {
+  const num = (v) => (v === '' || v == null ? null : Number(v))
+  const crews = report.crews.map(c => ({
+    subcontractor: c.subcontractor.trim(),
+    headcount: Number(c.headcount),
+    hours: Number(c.hours),
+    lines: c.lines || []
+  }))
+  return {
+    date: report.date,
+    crews,
+    equipment: report.equipment.map(e => ({ type: e.type, label: e.label.trim(), hours: Number(e.hours) })),
+    weather: { condition: report.weather.condition, temp_c: num(report.weather.temp_c) },
+    delays: report.delays.map(d => ({ code: d.code, hours: Number(d.hours), description: d.description.trim() })),
+    remarks: report.remarks.trim(),
+    subcontractor: [...new Set(crews.map(c => c.subcontractor))].join(', '),
+    workers: crews.reduce((sum, c) => sum + c.headcount, 0)
+  }
+}
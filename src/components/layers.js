@@ -0,0 +1,55 @@
+import { length as turfLength } from '@turf/turf'
+
+export const CATEGORIES = ['LV', 'DC', 'MV']
+
+// What the app tracked before layers became configurable
+export const DEFAULT_LAYER_CONFIG = { trenches: 'LV' }
+
+const LINE_TYPES = new Set(['LineString', 'MultiLineString'])
+
+export const isLineFeature = (f) => LINE_TYPES.has(f?.geometry?.type) && f.geometry.coordinates?.length > 0
+
+export const layerOf = (f) => String(f?.properties?.layer ?? '(no layer)')
+
+export function guessCategory(layer) {
+  const name = layer.toUpperCase()
+  if (/\bMV\b|MEDIA|_MT|\bMT\b/.test(name)) return 'MV'
+  if (/\bDC\b|_DC|STRING|CC\b/.test(name)) return 'DC'
+  return 'LV'
+}
+
+export function summarizeLayers(geojson) {
+  const byLayer = new Map()
+  for (const f of (geojson?.features || [])) {
+    if (!isLineFeature(f)) continue
+    const layer = layerOf(f)
+    if (!byLayer.has(layer)) byLayer.set(layer, { layer, count: 0, length: 0 })
+    const entry = byLayer.get(layer)
+    entry.count += 1
+    try {
+      entry.length += turfLength(f, { units: 'meters' })
+    } catch { /* malformed geometry, counted but not measured */ }
+  }
+  return [...byLayer.values()].sort((a, b) => b.length - a.length)
+}
+
+// MultiLineStrings are split so the rest of the app only deals with LineStrings.
+// Each part gets its own id; `sourceId` keeps the id of the drawing's feature.
+const explode = (f) => {
+  if (f.geometry.type !== 'MultiLineString') return [f]
+  const parts = f.geometry.coordinates.filter(part => part.length > 1)
+  const id = f.properties?.id
+  return parts.map((coordinates, k) => ({
+    ...f,
+    properties: parts.length > 1 && id != null ? { ...f.properties, id: `${id}_${k}`, sourceId: id } : f.properties,
+    geometry: { type: 'LineString', coordinates }
+  }))
+}
+
+export function selectLayerFeatures(geojson, layerConfig) {
+  const feats = (geojson?.features || []).filter(isLineFeature).flatMap(explode)
+  if (!layerConfig) return feats
+  return feats
+    .filter(f => layerConfig[layerOf(f)])
+    .map(f => ({ ...f, properties: { ...(f.properties || {}), category: layerConfig[layerOf(f)] } }))
+}
@@ -0,0 +1,68 @@
+import { buildStageSlices } from './slices.js'
+import { localToday } from './plan.js'
+
+function strokeLines(ctx, map, geojson) {
+  for (const f of (geojson?.features || [])) {
+    const coords = f.geometry?.coordinates || []
+    if (coords.length < 2) continue
+    ctx.beginPath()
+    coords.forEach(([lng, lat], i) => {
+      const pt = map.latLngToContainerPoint([lat, lng])
+      if (i === 0) ctx.moveTo(pt.x, pt.y)
+      else ctx.lineTo(pt.x, pt.y)
+    })
+    ctx.stroke()
+  }
+}
+
+// Redraws the trenches of the current view onto a canvas (tiles and DOM
+// overlays are not captured) and returns it as a PNG data URL
+export function renderMapSnapshot(map, features, stages, title = '') {
+  const size = map.getSize()
+  const canvas = document.createElement('canvas')
+  canvas.width = size.x
+  canvas.height = size.y
+  const ctx = canvas.getContext('2d')
+  ctx.lineCap = 'butt'
+  ctx.lineJoin = 'round'
+
+  ctx.fillStyle = '#0f172a'
+  ctx.fillRect(0, 0, size.x, size.y)
+
+  ctx.strokeStyle = 'rgba(245,245,245,0.85)'
+  ctx.lineWidth = 1.1
+  strokeLines(ctx, map, { features })
+
+  stages.forEach((stage, idx) => {
+    const weight = 3.2 + (stages.length - 1 - idx) * 2.4
+    const slices = buildStageSlices(features, stage.id)
+    ctx.strokeStyle = '#0b1220'
+    ctx.lineWidth = weight + 1.8
+    strokeLines(ctx, map, slices)
+    ctx.strokeStyle = stage.color
+    ctx.lineWidth = weight
+    strokeLines(ctx, map, slices)
+  })
+
+  const rows = [title, localToday()].filter(Boolean)
+  const legendHeight = 16 + (rows.length + stages.length) * 18
+  ctx.fillStyle = 'rgba(8,17,34,0.9)'
+  ctx.fillRect(12, 12, 220, legendHeight)
+  ctx.font = '13px sans-serif'
+  ctx.textBaseline = 'middle'
+  let y = 28
+  for (const text of rows) {
+    ctx.fillStyle = '#e5e7eb'
+    ctx.fillText(text, 24, y)
+    y += 18
+  }
+  for (const stage of stages) {
+    ctx.fillStyle = stage.color
+    ctx.fillRect(24, y - 5, 18, 10)
+    ctx.fillStyle = '#cbd5f5'
+    ctx.fillText(stage.name, 50, y)
+    y += 18
+  }
+
+  return { image: canvas.toDataURL('image/png'), size: { width: size.x, height: size.y } }
+}
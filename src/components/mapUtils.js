@@ -0,0 +1,107 @@
+import { point as turfPoint, nearestPointOnLine, lineSlice, length as turfLength } from '@turf/turf'
+
+export const PIXEL_TOLERANCE = 15
+
+// A fingertip covers far more screen than a cursor or a pen nib
+const TOUCH_TOLERANCE_SCALE = 2.2
+
+export const toleranceFor = (pointerType) => (
+  pointerType === 'touch' ? PIXEL_TOLERANCE * TOUCH_TOLERANCE_SCALE : PIXEL_TOLERANCE
+)
+
+function distPointToSegment(p, a, b) {
+  const vx = b.x - a.x, vy = b.y - a.y
+  const wx = p.x - a.x, wy = p.y - a.y
+  const len2 = vx * vx + vy * vy
+  if (len2 === 0) return Math.hypot(p.x - a.x, p.y - a.y)
+  let t = (wx * vx + wy * vy) / len2
+  t = Math.max(0, Math.min(1, t))
+  const projx = a.x + t * vx, projy = a.y + t * vy
+  return Math.hypot(p.x - projx, p.y - projy)
+}
+
+function toXY(map, lat, lng) {
+  const pt = map.latLngToContainerPoint({ lat, lng })
+  return { x: pt.x, y: pt.y }
+}
+
+function pixelDistancePointToFeature(map, latlng, feature) {
+  const p = toXY(map, latlng.lat, latlng.lng)
+  const geom = feature.geometry
+  let minD = Infinity
+
+  if (geom?.type === 'LineString') {
+    const c = geom.coordinates || []
+    for (let i = 0; i < c.length - 1; i++) {
+      const a = toXY(map, c[i][1], c[i][0])
+      const b = toXY(map, c[i + 1][1], c[i + 1][0])
+      const d = distPointToSegment(p, a, b)
+      if (d < minD) minD = d
+      if (d <= PIXEL_TOLERANCE) return d
+    }
+  } else if (geom?.type === 'MultiLineString') {
+    for (const part of (geom.coordinates || [])) {
+      for (let i = 0; i < part.length - 1; i++) {
+        const a = toXY(map, part[i][1], part[i][0])
+        const b = toXY(map, part[i + 1][1], part[i + 1][0])
+        const d = distPointToSegment(p, a, b)
+        if (d < minD) minD = d
+        if (d <= PIXEL_TOLERANCE) return d
+      }
+    }
+  }
+  return minD
+}
+
+export function pxToMeters(map, latlng, px = PIXEL_TOLERANCE) {
+  const p = map.latLngToContainerPoint(latlng)
+  const p2 = { x: p.x + px, y: p.y }
+  const ll2 = map.containerPointToLatLng(p2)
+  return map.distance(latlng, ll2)
+}
+
+function metersToDegreeBox(centerLat, radiusM, inflate = 2.2) {
+  const latDeg = (radiusM / 110540) * inflate
+  const lonDeg = (radiusM / (111320 * Math.max(Math.cos(centerLat * Math.PI / 180), 0.01))) * inflate
+  return { latDeg, lonDeg }
+}
+
+export function pickNearestFeature(map, latlng, allFeatures, spatialIndex, tolerance = PIXEL_TOLERANCE) {
+  let candidates = []
+  if (spatialIndex) {
+    const radiusM = pxToMeters(map, latlng, tolerance)
+    const { latDeg, lonDeg } = metersToDegreeBox(latlng.lat, radiusM, 2.2)
+    const minX = latlng.lng - lonDeg, maxX = latlng.lng + lonDeg
+    const minY = latlng.lat - latDeg, maxY = latlng.lat + latDeg
+    const hits = spatialIndex.search({ minX, minY, maxX, maxY })
+    candidates = hits?.length ? hits.map(h => h.feature) : (allFeatures || [])
+  } else {
+    candidates = allFeatures || []
+  }
+
+  let best = null, bestD = Infinity
+  for (const f of candidates) {
+    const dpx = pixelDistancePointToFeature(map, latlng, f)
+    if (dpx < bestD) { bestD = dpx; best = f }
+  }
+  return { feature: best, dpx: bestD }
+}
+
+// Snaps a map position onto a segment; returns the fraction of the segment's
+// geometry from its start, plus the snapped point
+export function chainageFraction(feature, latlng) {
+  const pt = turfPoint([latlng.lng, latlng.lat])
+  const snapped = nearestPointOnLine(feature, pt)
+  const start = turfPoint(feature.geometry.coordinates[0])
+  const slice = lineSlice(start, snapped, feature)
+  const dist = turfLength(slice, { units: 'meters' })
+  const total = feature.properties.geomMeters || feature.properties.meters || 1
+  return { fraction: Math.max(0, Math.min(1, dist / total)), snapped }
+}
+
+// Fraction of a segment lying between the projections of two points
+export function spanBetween(feature, a, b) {
+  const fa = chainageFraction(feature, a).fraction
+  const fb = chainageFraction(feature, b).fraction
+  return [Math.min(fa, fb), Math.max(fa, fb)]
+}
@@ -0,0 +1,121 @@
+import { length as turfLength } from '@turf/turf'
+import { getStages, overallStatus } from './stages.js'
+import { buildNetwork, moveLineMeta } from './network.js'
+
+export const SCHEMA_VERSION = 5
+
+const clampRanges = (ranges, fromMeters, toMeters) => (ranges || [])
+  .map(([a, b, ...rest]) => [
+    Math.min(a * fromMeters, toMeters) / toMeters,
+    Math.min(b * fromMeters, toMeters) / toMeters,
+    ...rest
+  ])
+  .filter(([a, b]) => b - a > 1e-6)
+
+// v1 stored one set of ranges per lineId, copied onto every segment of the
+// group and scaled by the first segment's length. Re-express them as
+// fractions of each segment's own length, which is what the map drew.
+function toPerSegmentRanges(data) {
+  const features = data.features || []
+  const groupMeters = new Map()
+  for (const f of features) {
+    const lid = f.properties?.lineId
+    if (lid != null && !groupMeters.has(lid)) groupMeters.set(lid, Number(f.properties.meters) || 0)
+  }
+  const baseline = { ...(data.baseline || {}) }
+  const migrated = features.map(f => {
+    const p = f.properties || {}
+    const fromMeters = groupMeters.get(p.lineId) || Number(p.meters) || 0
+    let ownMeters = 0
+    try {
+      ownMeters = turfLength(f, { units: 'meters' })
+    } catch { /* leave ranges untouched below */ }
+    if (!fromMeters || !ownMeters) return f
+    if (baseline[p.id]) baseline[p.id] = clampRanges(baseline[p.id], fromMeters, ownMeters)
+    return { ...f, properties: { ...p, ranges: clampRanges(p.ranges, fromMeters, ownMeters) } }
+  })
+  return { ...data, features: migrated, baseline }
+}
+
+// v2 had a single `ranges` per segment; it becomes the first activity stage
+function toStageRanges(data) {
+  const stages = getStages(data.settings)
+  const first = stages[0].id
+  const features = (data.features || []).map(f => {
+    const { ranges, ...rest } = f.properties || {}
+    const stagesMap = rest.stages || (ranges?.length ? { [first]: ranges } : {})
+    return { ...f, properties: { ...rest, stages: stagesMap, status: overallStatus(stagesMap, stages) } }
+  })
+  const baseline = {}
+  for (const [id, ranges] of Object.entries(data.baseline || {})) {
+    baseline[id] = Array.isArray(ranges) ? { [first]: ranges } : ranges
+  }
+  return { ...data, features, baseline }
+}
+
+// v3 ranges carried no dates. Date each piece by the earliest submitted record
+// that added over it; pieces already in the last submit with no matching
+// record fall back to the first log date, the rest wait for the next submit.
+function toDatedRanges(data) {
+  const log = [...(data.dailyLog || [])].filter(r => r.date).sort((a, b) => (a.date < b.date ? -1 : 1))
+  const added = new Map()
+  for (const record of log) {
+    for (const line of (record.lines || [])) {
+      for (const seg of (line.segments || [])) {
+        const key = `${seg.id}|${seg.stage}`
+        if (!added.has(key)) added.set(key, [])
+        added.get(key).push({ date: record.date, ranges: seg.added || [] })
+      }
+    }
+  }
+  const overlaps = (ranges, a, b) => (ranges || []).some(([r0, r1]) => r0 < b && r1 > a)
+  const firstDate = log[0]?.date || null
+
+  const features = (data.features || []).map(f => {
+    const p = f.properties || {}
+    const stagesMap = {}
+    for (const [stageId, ranges] of Object.entries(p.stages || {})) {
+      stagesMap[stageId] = (ranges || []).map(([a, b, meta]) => {
+        if (meta) return [a, b, meta]
+        const hit = (added.get(`${p.id}|${stageId}`) || []).find(e => overlaps(e.ranges, a, b))
+        const submitted = overlaps(data.baseline?.[p.id]?.[stageId], a, b)
+        const date = hit?.date || (submitted ? firstDate : null)
+        return date ? [a, b, { at: null, date }] : [a, b]
+      })
+    }
+    return { ...f, properties: { ...p, stages: stagesMap } }
+  })
+  return { ...data, features }
+}
+
+// v4 grouped segments whose start points were within 2 m. Rebuild the runs
+// from the network and carry each old line's notes and photos over to the
+// runs its segments ended up in. Submitted records keep the ids they were
+// reported under.
+function toNetworkRuns(data) {
+  const features = data.features || []
+  if (!features.length) return data
+  const network = buildNetwork(features)
+  const migrated = features.map((f, i) => ({
+    ...f,
+    properties: { ...f.properties, lineId: network.lineIds[i], ends: network.ends[i] }
+  }))
+  return { ...data, features: migrated, lineMeta: moveLineMeta(data.lineMeta, features, migrated) }
+}
+
+const STEPS = {
+  1: toPerSegmentRanges,
+  2: toStageRanges,
+  3: toDatedRanges,
+  4: toNetworkRuns
+}
+
+export function migrateProjectData(data) {
+  let next = data
+  let version = data.schemaVersion || 1
+  while (version < SCHEMA_VERSION) {
+    next = STEPS[version] ? STEPS[version](next) : next
+    version += 1
+  }
+  return { ...next, schemaVersion: SCHEMA_VERSION }
+}
@@ -0,0 +1,346 @@
+import RBush from 'rbush'
+
+// Endpoints closer than this are the same node
+export const SNAP_TOLERANCE_M = 2
+// Sharpest bend a run takes through a junction; plain joints only split when
+// the trench doubles back on itself
+export const JUNCTION_BEND_DEG = 35
+export const JOINT_BEND_DEG = 135
+
+// Node kinds: an open end, two segments meeting, three or more meeting, or a
+// segment ending on the side of another one. `branch` is the other side of
+// a tee, seen from the run it lands on.
+export const NODE_KINDS = {
+  end: 'Open end',
+  joint: 'Joint',
+  junction: 'Junction',
+  tee: 'T-joint',
+  branch: 'Branch'
+}
+
+// Site drawings span a few km at most, so a flat projection in meters
+// around the mean latitude is accurate enough for snapping
+export function projector(features) {
+  let lat = 0
+  let n = 0
+  for (const f of features) {
+    const c = f.geometry?.coordinates?.[0]
+    if (c) {
+      lat += c[1]
+      n += 1
+    }
+  }
+  const kx = 111320 * Math.cos(((n ? lat / n : 0) * Math.PI) / 180)
+  const project = (c) => [c[0] * kx, c[1] * 110540]
+  project.unproject = ([x, y]) => [x / kx, y / 110540]
+  return project
+}
+
+function unionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i)
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]]
+      i = parent[i]
+    }
+    return i
+  }
+  const union = (a, b) => {
+    const ra = find(a)
+    const rb = find(b)
+    // The lower index stays the root so numbering follows the source order
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb)
+  }
+  return { find, union }
+}
+
+export const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1])
+
+// Nearest point of a projected path to `p`: { distance, point, chainage }
+export function closestOnPath(p, path) {
+  let best = { distance: Infinity, point: null, chainage: 0 }
+  let walked = 0
+  for (let i = 1; i < path.length; i++) {
+    const [ax, ay] = path[i - 1]
+    const [bx, by] = path[i]
+    const dx = bx - ax
+    const dy = by - ay
+    const len2 = dx * dx + dy * dy
+    const t = len2 ? Math.max(0, Math.min(1, ((p[0] - ax) * dx + (p[1] - ay) * dy) / len2)) : 0
+    const point = [ax + t * dx, ay + t * dy]
+    const d = dist(p, point)
+    if (d < best.distance) best = { distance: d, point, chainage: walked + t * Math.sqrt(len2) }
+    walked += Math.sqrt(len2)
+  }
+  return best
+}
+
+// Point `chainage` meters along a projected path, clamped to its ends
+export function pointAlong(path, chainage) {
+  let walked = 0
+  for (let i = 1; i < path.length; i++) {
+    const len = dist(path[i - 1], path[i])
+    if (walked + len >= chainage && len > 0) {
+      const t = Math.max(0, (chainage - walked) / len)
+      return [path[i - 1][0] + (path[i][0] - path[i - 1][0]) * t, path[i - 1][1] + (path[i][1] - path[i - 1][1]) * t]
+    }
+    walked += len
+  }
+  return path[path.length - 1]
+}
+
+export const pathBox = (path, pad = 0) => {
+  const xs = path.map(c => c[0])
+  const ys = path.map(c => c[1])
+  return { minX: Math.min(...xs) - pad, minY: Math.min(...ys) - pad, maxX: Math.max(...xs) + pad, maxY: Math.max(...ys) + pad }
+}
+
+// Points every `step` meters along a projected path, both ends included
+export function samplePath(path, step) {
+  const out = [path[0]]
+  let carry = 0
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1]
+    const b = path[i]
+    const len = dist(a, b)
+    let t = step - carry
+    while (t < len) {
+      out.push([a[0] + ((b[0] - a[0]) * t) / len, a[1] + ((b[1] - a[1]) * t) / len])
+      t += step
+    }
+    carry = len - (t - step)
+  }
+  out.push(path[path.length - 1])
+  return out
+}
+
+export const pathLength = (path) => path.reduce((sum, p, i) => (i ? sum + dist(path[i - 1], p) : 0), 0)
+
+// Meters of `path` that run within `tolerance` of `other`
+export function sharedLength(path, other, tolerance) {
+  const len = pathLength(path)
+  if (!len) return 0
+  const step = Math.min(1, len / 10)
+  const samples = samplePath(path, step)
+  const near = samples.filter(p => closestOnPath(p, other).distance <= tolerance).length
+  return (len * near) / samples.length
+}
+
+// Unit vector leaving the segment's end, looked at a few meters in so a
+// stray last vertex does not decide the direction
+function heading(path, atEnd) {
+  const pts = atEnd ? [...path].reverse() : path
+  const from = pts[0]
+  let to = pts[pts.length - 1]
+  for (const p of pts) {
+    if (dist(from, p) >= 3) {
+      to = p
+      break
+    }
+  }
+  const len = dist(from, to) || 1
+  return [(to[0] - from[0]) / len, (to[1] - from[1]) / len]
+}
+
+// How far a run turns going in along one end and out along the other, in degrees
+const bend = (h1, h2) => 180 - (Math.acos(Math.max(-1, Math.min(1, h1[0] * h2[0] + h1[1] * h2[1]))) * 180) / Math.PI
+
+// Builds the node/edge graph of the trench segments and chains them into runs.
+// Returns per feature (same order as given) its run id and its two ends, plus
+// `order`: feature indices grouped by run, each run in order along its chain.
+export function buildNetwork(features, { tolerance = SNAP_TOLERANCE_M } = {}) {
+  const project = projector(features)
+  const paths = features.map(f => (f.geometry?.coordinates || []).map(project))
+  const usable = paths.map(p => p.length > 1)
+
+  // Endpoints: 2i is the start of feature i, 2i + 1 its end
+  const endIndex = []
+  paths.forEach((p, i) => {
+    if (usable[i]) endIndex.push(2 * i, 2 * i + 1)
+  })
+  const pointAt = (e) => paths[e >> 1][(e & 1) ? paths[e >> 1].length - 1 : 0]
+
+  const endTree = new RBush()
+  endTree.load(endIndex.map(e => {
+    const [x, y] = pointAt(e)
+    return { minX: x, minY: y, maxX: x, maxY: y, e }
+  }))
+  const ends = unionFind(features.length * 2)
+  for (const e of endIndex) {
+    const [x, y] = pointAt(e)
+    for (const hit of endTree.search({ minX: x - tolerance, minY: y - tolerance, maxX: x + tolerance, maxY: y + tolerance })) {
+      if (hit.e !== e && dist(pointAt(hit.e), [x, y]) <= tolerance) ends.union(e, hit.e)
+    }
+  }
+
+  // Nodes, numbered by the first endpoint that reaches them
+  const nodeOf = new Map()
+  const nodes = []
+  for (const e of endIndex) {
+    const root = ends.find(e)
+    if (!nodeOf.has(root)) {
+      nodeOf.set(root, nodes.length)
+      const f = features[e >> 1]
+      const coords = f.geometry.coordinates
+      nodes.push({ id: `N_${nodes.length + 1}`, coordinates: coords[(e & 1) ? coords.length - 1 : 0], ends: [], on: [] })
+    }
+    nodes[nodeOf.get(root)].ends.push(e)
+  }
+
+  // T-joints: a node lying on the side of a segment that does not end there
+  const segTree = new RBush()
+  segTree.load(paths.flatMap((p, i) => {
+    if (!usable[i]) return []
+    return [{ ...pathBox(p), i }]
+  }))
+  for (const node of nodes) {
+    const at = pointAt(node.ends[0])
+    const here = new Set(node.ends.map(e => e >> 1))
+    const box = { minX: at[0] - tolerance, minY: at[1] - tolerance, maxX: at[0] + tolerance, maxY: at[1] + tolerance }
+    for (const hit of segTree.search(box)) {
+      if (!here.has(hit.i) && closestOnPath(at, paths[hit.i]).distance <= tolerance) node.on.push(hit.i)
+    }
+    node.on.sort((a, b) => a - b)
+    const degree = node.ends.length
+    node.kind = node.on.length
+      ? (degree === 1 ? 'tee' : 'junction')
+      : degree === 1 ? 'end' : degree === 2 ? 'joint' : 'junction'
+  }
+
+  // Chain through each node: a joint continues unless it doubles back, a
+  // junction pairs up its straightest arms
+  const partner = new Map()
+  for (const node of nodes) {
+    if (node.ends.length < 2) continue
+    const headings = new Map(node.ends.map(e => [e, heading(paths[e >> 1], e & 1)]))
+    const limit = node.kind === 'joint' ? JOINT_BEND_DEG : JUNCTION_BEND_DEG
+    const pairs = []
+    for (let a = 0; a < node.ends.length; a++) {
+      for (let b = a + 1; b < node.ends.length; b++) {
+        const ea = node.ends[a]
+        const eb = node.ends[b]
+        if (ea >> 1 === eb >> 1) continue
+        const turn = bend(headings.get(ea), headings.get(eb))
+        if (turn <= limit) pairs.push({ ea, eb, turn })
+      }
+    }
+    pairs.sort((x, y) => x.turn - y.turn || x.ea - y.ea || x.eb - y.eb)
+    for (const { ea, eb } of pairs) {
+      if (partner.has(ea) || partner.has(eb)) continue
+      partner.set(ea, eb)
+      partner.set(eb, ea)
+    }
+  }
+
+  const runs = unionFind(features.length)
+  for (const [ea, eb] of partner) runs.union(ea >> 1, eb >> 1)
+
+  // Walk each run from its lowest-numbered open end (or lowest segment on a loop)
+  const members = new Map()
+  features.forEach((_, i) => {
+    const root = runs.find(i)
+    if (!members.has(root)) members.set(root, [])
+    members.get(root).push(i)
+  })
+  const lineIds = new Array(features.length)
+  const order = []
+  let runNumber = 0
+  for (const list of members.values()) {
+    runNumber += 1
+    const start = list.find(i => !partner.has(2 * i) || !partner.has(2 * i + 1)) ?? list[0]
+    const seen = new Set()
+    let current = start
+    let entry = partner.has(2 * start) && !partner.has(2 * start + 1) ? 2 * start + 1 : 2 * start
+    while (current != null && !seen.has(current)) {
+      seen.add(current)
+      order.push(current)
+      lineIds[current] = `R_${runNumber}`
+      const exit = entry ^ 1
+      const next = partner.get(exit)
+      current = next == null ? null : next >> 1
+      entry = next
+    }
+    // Anything the walk missed (a segment closing on itself) still joins the run
+    for (const i of list) {
+      if (seen.has(i)) continue
+      order.push(i)
+      lineIds[i] = `R_${runNumber}`
+    }
+  }
+
+  const endsOf = features.map((_, i) => {
+    if (!usable[i]) return [null, null]
+    return [2 * i, 2 * i + 1].map(e => {
+      const node = nodes[nodeOf.get(ends.find(e))]
+      const end = { node: node.id, kind: node.kind }
+      if (node.on.length) end.on = node.on.map(j => features[j].properties?.id).filter(id => id != null)
+      return end
+    })
+  })
+
+  return {
+    lineIds,
+    order,
+    ends: endsOf,
+    nodes: nodes.map(n => ({ id: n.id, kind: n.kind, degree: n.ends.length, coordinates: n.coordinates }))
+  }
+}
+
+// Lines meeting the given run at its nodes: [{ node, kind, lineIds }], plus
+// the runs that tee into its side
+export function connectionsOf(lineId, features) {
+  const own = features.filter(f => f.properties.lineId === lineId)
+  const ownIds = new Set(own.map(f => f.properties.id))
+  const byNode = new Map()
+  for (const f of features) {
+    for (const end of (f.properties.ends || [])) {
+      if (!end) continue
+      if (!byNode.has(end.node)) byNode.set(end.node, { node: end.node, kind: end.kind, on: end.on || [], lineIds: new Set() })
+      byNode.get(end.node).lineIds.add(f.properties.lineId)
+    }
+  }
+  const result = []
+  const listed = new Set()
+  for (const f of own) {
+    for (const end of (f.properties.ends || [])) {
+      if (!end || listed.has(end.node)) continue
+      listed.add(end.node)
+      const entry = byNode.get(end.node)
+      const throughLines = features.filter(g => entry.on.includes(g.properties.id)).map(g => g.properties.lineId)
+      const others = [...new Set([...entry.lineIds, ...throughLines])].filter(id => id !== lineId)
+      if (entry.kind === 'end' || (entry.kind === 'joint' && !others.length)) continue
+      result.push({ node: end.node, kind: entry.kind, lineIds: others })
+    }
+  }
+  for (const entry of byNode.values()) {
+    if (listed.has(entry.node) || !entry.on.some(id => ownIds.has(id))) continue
+    result.push({ node: entry.node, kind: 'branch', lineIds: [...entry.lineIds].filter(id => id !== lineId) })
+  }
+  return result
+}
+
+const mergeById = (a = [], b = []) => [...a, ...b.filter(x => !a.some(y => y.id === x.id))]
+
+// Notes and photos kept per run follow the segments when the runs are rebuilt:
+// each old run's entry goes to every run its segments now belong to
+export function moveLineMeta(lineMeta, before, after) {
+  const lineOf = new Map(after.map(f => [f.properties.id, f.properties.lineId]))
+  const moved = new Map()
+  for (const f of before) {
+    const old = f.properties?.lineId
+    const lineId = lineOf.get(f.properties?.id)
+    if (old == null || lineId == null) continue
+    if (!moved.has(old)) moved.set(old, new Set())
+    moved.get(old).add(lineId)
+  }
+  const next = {}
+  for (const [old, meta] of Object.entries(lineMeta || {})) {
+    for (const lineId of (moved.get(old) || [])) {
+      const prev = next[lineId]
+      next[lineId] = prev
+        ? { ...meta, ...prev, notes: mergeById(prev.notes, meta.notes), photos: mergeById(prev.photos, meta.photos) }
+        : meta
+    }
+  }
+  return next
+}
@@ -0,0 +1,34 @@
+export const ROLES = [
+  { id: 'viewer', name: 'Viewer' },
+  { id: 'foreman', name: 'Foreman' },
+  { id: 'manager', name: 'Site Manager' },
+  { id: 'admin', name: 'Admin' }
+]
+
+const RANK = Object.fromEntries(ROLES.map((r, i) => [r.id, i]))
+
+// Lowest role allowed to do each action
+const REQUIRED = {
+  edit: 'foreman',
+  submit: 'foreman',
+  notes: 'foreman',
+  eraseOthers: 'manager',
+  approve: 'manager',
+  reset: 'manager',
+  import: 'manager',
+  stages: 'manager',
+  plan: 'manager',
+  zones: 'manager',
+  layers: 'manager',
+  projects: 'manager',
+  share: 'manager',
+  users: 'admin',
+  deleteProject: 'admin'
+}
+
+export const roleName = (role) => ROLES.find(r => r.id === role)?.name || role
+
+export function can(user, action) {
+  if (!user) return false
+  return (RANK[user.role] ?? -1) >= (RANK[REQUIRED[action]] ?? Infinity)
+}
@@ -0,0 +1,68 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const toDay = (iso) => Date.parse(`${iso}T00:00:00Z`)
+export const fromDay = (ms) => new Date(ms).toISOString().slice(0, 10)
+
+// Today on the user's own calendar; the UTC date is still yesterday or
+// already tomorrow for part of the day
+export function localToday() {
+  const d = new Date()
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+export function dayRange(startIso, endIso) {
+  const out = []
+  const end = toDay(endIso)
+  for (let t = toDay(startIso); t <= end; t += DAY_MS) out.push(fromDay(t))
+  return out
+}
+
+export const hasPlan = (plan) => !!(plan?.start && plan?.finish && toDay(plan.finish) > toDay(plan.start))
+
+const WEEK_MS = 7 * DAY_MS
+
+// Monday of the week `iso` falls in
+export function weekStart(iso) {
+  const t = toDay(iso)
+  const weekday = (new Date(t).getUTCDay() + 6) % 7
+  return fromDay(t - weekday * DAY_MS)
+}
+
+export function planWeeks(plan) {
+  if (!hasPlan(plan)) return []
+  const out = []
+  const last = toDay(weekStart(plan.finish))
+  for (let t = toDay(weekStart(plan.start)); t <= last; t += WEEK_MS) out.push(fromDay(t))
+  return out
+}
+
+// Weekly meters for the whole project or one area; null when none are entered
+export function weeklyPlan(plan, area = null) {
+  const weeks = area ? plan?.areas?.[area] : plan?.weekly
+  return weeks && Object.values(weeks).some(m => Number(m) > 0) ? weeks : null
+}
+
+// Planned meters by `iso`: the weekly figures where they were entered, each
+// spread evenly over its week, else the linear start-to-finish baseline.
+// Per-area planning only has the weekly figures.
+export function plannedToDate(plan, total, iso, area = null) {
+  const weeks = weeklyPlan(plan, area)
+  if (weeks) {
+    const t = toDay(iso)
+    let sum = 0
+    for (const [week, meters] of Object.entries(weeks)) {
+      const done = Math.min(1, Math.max(0, (t - toDay(week)) / WEEK_MS))
+      sum += (Number(meters) || 0) * done
+    }
+    return sum
+  }
+  if (area || !hasPlan(plan)) return null
+  const t = toDay(iso)
+  const start = toDay(plan.start)
+  const finish = toDay(plan.finish)
+  if (t <= start) return 0
+  if (t >= finish) return total
+  return total * ((t - start) / (finish - start))
+}
+
+export const addDays = (iso, days) => fromDay(toDay(iso) + days * DAY_MS)
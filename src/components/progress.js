@@ -0,0 +1,62 @@
+import { rangesLength } from './rangeUtils.js'
+
+export const coverageOf = (ranges) => Math.max(0, Math.min(1, rangesLength(ranges)))
+
+export function statusFor(ranges) {
+  const coverage = coverageOf(ranges)
+  if (coverage >= 0.99) return 'done'
+  if (coverage > 0) return 'in_progress'
+  return 'pending'
+}
+
+export function segmentProgress(f, stageId) {
+  const meters = Number(f.properties?.meters ?? 0)
+  const completed = meters * coverageOf(f.properties?.stages?.[stageId])
+  return { meters, completed }
+}
+
+// Totals per lineId, summed over every physical segment of the line
+export function lineTotals(features, stageId) {
+  const lines = new Map()
+  for (const f of (features || [])) {
+    const lineId = f.properties.lineId
+    if (!lines.has(lineId)) lines.set(lineId, { lineId, total: 0, completed: 0, segments: 0 })
+    const entry = lines.get(lineId)
+    const { meters, completed } = segmentProgress(f, stageId)
+    entry.total += meters
+    entry.completed += completed
+    entry.segments += 1
+  }
+  return [...lines.values()]
+}
+
+export function summarize(features, stageId) {
+  let total = 0, completed = 0
+  for (const f of (features || [])) {
+    const seg = segmentProgress(f, stageId)
+    total += seg.meters
+    completed += seg.completed
+  }
+  return { total, completed, remaining: total - completed }
+}
+
+export function summarizeStages(features, stages) {
+  return stages.map(stage => ({ stage, ...summarize(features, stage.id) }))
+}
+
+// Map colours for a run's status; pending keeps the plain trench colour
+export const STATUS_INFO = {
+  pending: { name: 'Pending', color: '#f5f5f5' },
+  in_progress: { name: 'In progress', color: '#38bdf8' },
+  done: { name: 'Done', color: '#4ade80' }
+}
+
+// Status of each run for one stage, over all of its segments: lineId -> status
+export function lineStatuses(features, stageId) {
+  const out = new Map()
+  for (const { lineId, total, completed } of lineTotals(features, stageId)) {
+    const share = total ? completed / total : 0
+    out.set(lineId, share >= 0.99 ? 'done' : share > 0 ? 'in_progress' : 'pending')
+  }
+  return out
+}
@@ -0,0 +1,93 @@
+const DB_NAME = 'trench-mvp'
+const DB_VERSION = 1
+const PROJECTS = 'projects'
+const PROJECT_DATA = 'projectData'
+const META = 'meta'
+
+let dbPromise = null
+
+function openDB() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      if (!db.objectStoreNames.contains(PROJECTS)) db.createObjectStore(PROJECTS, { keyPath: 'id' })
+      if (!db.objectStoreNames.contains(PROJECT_DATA)) db.createObjectStore(PROJECT_DATA, { keyPath: 'id' })
+      if (!db.objectStoreNames.contains(META)) db.createObjectStore(META)
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => {
+      dbPromise = null
+      reject(req.error)
+    }
+  })
+  return dbPromise
+}
+
+async function run(storeNames, mode, fn) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    let result
+    Promise.resolve(fn(tx)).then(r => { result = r }, reject)
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+export const newProjectId = () => `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+
+export function emptyProjectData(id) {
+  return { id, features: [], layerConfig: null, dailyLog: [], baseline: {}, settings: {}, lineMeta: {} }
+}
+
+export function listProjects() {
+  return run([PROJECTS], 'readonly', tx => request(tx.objectStore(PROJECTS).getAll()))
+    .then(list => list.sort((a, b) => a.createdAt - b.createdAt))
+}
+
+export function getProjectData(id) {
+  return run([PROJECT_DATA], 'readonly', tx => request(tx.objectStore(PROJECT_DATA).get(id)))
+    .then(data => ({ ...emptyProjectData(id), ...(data || {}) }))
+}
+
+export function putProject(project, data) {
+  return run([PROJECTS, PROJECT_DATA], 'readwrite', tx => {
+    tx.objectStore(PROJECTS).put(project)
+    if (data) tx.objectStore(PROJECT_DATA).put({ ...data, id: project.id })
+  })
+}
+
+export function saveProjectData(id, data) {
+  return run([PROJECTS, PROJECT_DATA], 'readwrite', tx => {
+    const projects = tx.objectStore(PROJECTS)
+    const req = projects.get(id)
+    req.onsuccess = () => {
+      if (!req.result) return
+      projects.put({ ...req.result, updatedAt: Date.now() })
+      tx.objectStore(PROJECT_DATA).put({ ...data, id })
+    }
+  })
+}
+
+export function deleteProject(id) {
+  return run([PROJECTS, PROJECT_DATA], 'readwrite', tx => {
+    tx.objectStore(PROJECTS).delete(id)
+    tx.objectStore(PROJECT_DATA).delete(id)
+  })
+}
+
+export function getMeta(key) {
+  return run([META], 'readonly', tx => request(tx.objectStore(META).get(key)))
+}
+
+export function setMeta(key, value) {
+  return run([META], 'readwrite', tx => { tx.objectStore(META).put(value, key) })
+}
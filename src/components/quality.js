@@ -0,0 +1,225 @@
+import RBush from 'rbush'
+import { SNAP_TOLERANCE_M, closestOnPath, dist, pathBox, pathLength, projector, sharedLength } from './network.js'
+
+export const DEFAULT_QUALITY_OPTIONS = { minLength: 1, nearMiss: 5 }
+
+// Copies from CAD sit on top of each other; anything further apart is more
+// likely the other edge of the same trench
+const COPY_TOLERANCE_M = 0.25
+const OVERLAP_MIN_M = 1
+
+export const ISSUE_TYPES = {
+  crs: { name: 'Coordinate system', color: '#f87171' },
+  duplicate: { name: 'Duplicate', color: '#f87171' },
+  overlap: { name: 'Overlap', color: '#fb923c' },
+  short: { name: 'Short segment', color: '#fbbf24' },
+  dangling: { name: 'Dangling end', color: '#38bdf8' },
+  z: { name: '3D coordinates', color: '#a78bfa' }
+}
+
+const isGeographic = (f) => (f.geometry?.coordinates || []).every(c => Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90)
+const WGS84 = /CRS84|4326|WGS\s*84/i
+
+// Problems in freshly loaded trench segments, worst first. Each issue names the
+// segments involved, a point to look at and the fixes that make sense for it:
+// { id, type, ids, message, point, fixes: [{ label, fix }] }
+export function checkQuality(features, options = DEFAULT_QUALITY_OPTIONS, fileCrs = null) {
+  const { minLength, nearMiss } = { ...DEFAULT_QUALITY_OPTIONS, ...options }
+  const tolerance = SNAP_TOLERANCE_M
+  const issues = []
+  const midpoint = (f) => {
+    const c = f.geometry.coordinates
+    return c[Math.floor((c.length - 1) / 2)]
+  }
+
+  if (fileCrs && !WGS84.test(fileCrs)) {
+    issues.push({
+      id: 'crs:file',
+      type: 'crs',
+      ids: [],
+      message: `The file declares ${fileCrs}; coordinates were read as WGS84 longitude/latitude.`,
+      fixes: []
+    })
+  }
+  const foreign = features.filter(f => !isGeographic(f))
+  if (foreign.length) {
+    issues.push({
+      id: 'crs:mixed',
+      type: 'crs',
+      ids: foreign.map(f => f.properties.id),
+      message: `${foreign.length} segment${foreign.length > 1 ? 's are' : ' is'} not in longitude/latitude and cannot be placed on the map.`,
+      fixes: [{ label: 'Exclude', fix: { kind: 'exclude', ids: foreign.map(f => f.properties.id) } }]
+    })
+  }
+
+  const flat = features.filter(f => (f.geometry?.coordinates || []).some(c => c.length > 2))
+  if (flat.length) {
+    issues.push({
+      id: 'z',
+      type: 'z',
+      ids: flat.map(f => f.properties.id),
+      message: `${flat.length} segment${flat.length > 1 ? 's carry' : ' carries'} heights. Lengths are measured flat either way.`,
+      fixes: [{ label: 'Drop heights', fix: { kind: 'flatten', ids: flat.map(f => f.properties.id) } }]
+    })
+  }
+
+  // The rest only makes sense for segments we can place
+  const usable = features.filter(f => isGeographic(f) && f.geometry.coordinates.length > 1)
+  const project = projector(usable)
+  const paths = usable.map(f => f.geometry.coordinates.map(project))
+  const lengths = paths.map(pathLength)
+  const tree = new RBush()
+  tree.load(paths.map((p, i) => ({ ...pathBox(p), i })))
+
+  // Duplicates and overlaps, each pair once. Copies are gathered per
+  // original so a line pasted five times is one issue.
+  const overlapping = new Set()
+  const copiesOf = new Map()
+  const originalOf = (i) => (copiesOf.has(i) ? i : [...copiesOf].find(([, set]) => set.has(i))?.[0] ?? i)
+  paths.forEach((path, i) => {
+    for (const hit of tree.search(pathBox(path, COPY_TOLERANCE_M))) {
+      const j = hit.i
+      if (j <= i) continue
+      const [a, b] = lengths[i] <= lengths[j] ? [i, j] : [j, i]
+      const shared = sharedLength(paths[a], paths[b], COPY_TOLERANCE_M)
+      if (shared < Math.min(OVERLAP_MIN_M, lengths[a] * 0.95)) continue
+      const keep = usable[i].properties.id
+      const other = usable[j].properties.id
+      overlapping.add(a)
+      if (shared >= lengths[a] * 0.95 && lengths[a] >= lengths[b] * 0.95) {
+        const original = originalOf(i)
+        if (originalOf(j) !== j || original === j) continue
+        if (!copiesOf.has(original)) copiesOf.set(original, new Set())
+        copiesOf.get(original).add(j)
+      } else {
+        const inner = usable[a].properties.id
+        issues.push({
+          id: `overlap:${keep}:${other}`,
+          type: 'overlap',
+          ids: [keep, other],
+          message: `${keep} and ${other} run together for ${shared.toFixed(1)} m.`,
+          point: midpoint(usable[a]),
+          fixes: [{ label: `Exclude ${inner}`, fix: { kind: 'exclude', ids: [inner] } }]
+        })
+      }
+    }
+  })
+
+  for (const [i, copies] of copiesOf) {
+    const keep = usable[i].properties.id
+    const drop = [...copies].map(j => usable[j].properties.id)
+    issues.push({
+      id: `duplicate:${keep}`,
+      type: 'duplicate',
+      ids: [keep, ...drop],
+      message: `${keep} (${lengths[i].toFixed(1)} m) is drawn ${drop.length + 1} times: ${drop.join(', ')}.`,
+      point: midpoint(usable[i]),
+      fixes: [{ label: `Merge into ${keep}`, fix: { kind: 'merge', keep, drop } }]
+    })
+  }
+
+  // Stubs, offered for merging into whatever they touch at either end
+  usable.forEach((f, i) => {
+    if (lengths[i] >= minLength || overlapping.has(i)) return
+    const id = f.properties.id
+    const touching = tree.search(pathBox(paths[i], tolerance))
+      .filter(hit => hit.i !== i)
+      .find(hit => [paths[hit.i][0], paths[hit.i][paths[hit.i].length - 1]]
+        .some(end => [paths[i][0], paths[i][paths[i].length - 1]].some(own => dist(own, end) <= tolerance)))
+    const fixes = [{ label: 'Exclude', fix: { kind: 'exclude', ids: [id] } }]
+    if (touching) {
+      const into = usable[touching.i].properties.id
+      fixes.unshift({ label: `Merge into ${into}`, fix: { kind: 'extend', id: into, stub: id } })
+    }
+    issues.push({
+      id: `short:${id}`,
+      type: 'short',
+      ids: [id],
+      message: `${id} is only ${lengths[i].toFixed(2)} m long.`,
+      point: f.geometry.coordinates[0],
+      fixes
+    })
+  })
+
+  // Open ends that stop just short of another trench
+  usable.forEach((f, i) => {
+    const ends = f.properties.ends || []
+    ;[0, 1].forEach(at => {
+      if (ends[at] && ends[at].kind !== 'end') return
+      const p = at ? paths[i][paths[i].length - 1] : paths[i][0]
+      let best = null
+      for (const hit of tree.search(pathBox([p], nearMiss))) {
+        if (hit.i === i) continue
+        const near = closestOnPath(p, paths[hit.i])
+        if (near.distance > tolerance && near.distance <= nearMiss && (!best || near.distance < best.distance)) best = { ...near, j: hit.i }
+      }
+      if (!best) return
+      const id = f.properties.id
+      const other = usable[best.j].properties.id
+      issues.push({
+        id: `dangling:${id}:${at}`,
+        type: 'dangling',
+        ids: [id, other],
+        message: `The ${at ? 'end' : 'start'} of ${id} stops ${best.distance.toFixed(2)} m from ${other}.`,
+        point: f.geometry.coordinates[at ? f.geometry.coordinates.length - 1 : 0],
+        fixes: [{ label: `Join to ${other}`, fix: { kind: 'join', id, at, to: project.unproject(best.point) } }]
+      })
+    })
+  })
+
+  const rank = Object.keys(ISSUE_TYPES)
+  return issues.sort((a, b) => rank.indexOf(a.type) - rank.indexOf(b.type))
+}
+
+const withCoordinates = (f, coordinates) => ({ ...f, geometry: { ...f.geometry, coordinates } })
+
+// Stitches `stub` onto whichever end of `f` it touches
+function extend(f, stub) {
+  const a = f.geometry.coordinates
+  const s = stub.geometry.coordinates
+  const project = projector([f])
+  const gap = (p, q) => dist(project(p), project(q))
+  const options = [
+    { d: gap(a[a.length - 1], s[0]), coords: () => [...a, ...s.slice(1)] },
+    { d: gap(a[a.length - 1], s[s.length - 1]), coords: () => [...a, ...[...s].reverse().slice(1)] },
+    { d: gap(a[0], s[s.length - 1]), coords: () => [...s.slice(0, -1), ...a] },
+    { d: gap(a[0], s[0]), coords: () => [...[...s].reverse().slice(0, -1), ...a] }
+  ]
+  return withCoordinates(f, options.sort((x, y) => x.d - y.d)[0].coords())
+}
+
+// Applies fixes in order; fixes pointing at segments already gone are skipped
+export function applyFixes(features, fixes) {
+  let next = features
+  for (const fix of fixes) {
+    const byId = new Map(next.map(f => [f.properties.id, f]))
+    if (fix.kind === 'exclude') {
+      const drop = new Set(fix.ids)
+      next = next.filter(f => !drop.has(f.properties.id))
+    } else if (fix.kind === 'merge') {
+      const keep = byId.get(fix.keep)
+      const drop = fix.drop.map(id => byId.get(id)).filter(Boolean)
+      if (!keep || !drop.length) continue
+      // Attributes only the dropped copies had are kept
+      const properties = Object.assign({}, ...drop.map(f => f.properties).reverse(), keep.properties)
+      next = next
+        .filter(f => !drop.includes(f))
+        .map(f => (f === keep ? { ...f, properties } : f))
+    } else if (fix.kind === 'extend') {
+      const target = byId.get(fix.id)
+      const stub = byId.get(fix.stub)
+      if (!target || !stub) continue
+      next = next.filter(f => f !== stub).map(f => (f === target ? extend(f, stub) : f))
+    } else if (fix.kind === 'join') {
+      const f = byId.get(fix.id)
+      if (!f) continue
+      const c = f.geometry.coordinates
+      const joined = withCoordinates(f, fix.at ? [...c, fix.to] : [fix.to, ...c])
+      next = next.map(g => (g === f ? joined : g))
+    } else if (fix.kind === 'flatten') {
+      const ids = new Set(fix.ids)
+      next = next.map(f => (ids.has(f.properties.id) ? withCoordinates(f, f.geometry.coordinates.map(c => c.slice(0, 2))) : f))
+    }
+  }
+  return next
+}
@@ -0,0 +1,120 @@
+const EPS = 0.001
+
+// A range is [start, end] or [start, end, meta]; meta is { at, date, record,
+// by, byName } where `at` is when the piece was drawn, `date` the work date it
+// was submitted under, `record` the daily log record that submitted it and
+// `by` the user who drew it. Pieces without a date have not been submitted yet.
+export const workDateOf = (r) => r?.[2]?.date || null
+export const recordOf = (r) => r?.[2]?.record || null
+export const authorOf = (r) => r?.[2]?.by || null
+
+// Earlier work dates win where pieces overlap, unsubmitted pieces come last
+function byWorkDate(a, b) {
+  const da = workDateOf(a)
+  const db = workDateOf(b)
+  if (da === db) return 0
+  if (!da) return 1
+  if (!db) return -1
+  return da < db ? -1 : 1
+}
+
+export function mergeRanges(ranges) {
+  if (!ranges || ranges.length === 0) return []
+  const laid = []
+  for (const r of [...ranges].sort(byWorkDate)) {
+    laid.push(...subtractRanges([r], laid))
+  }
+  laid.sort((a, b) => a[0] - b[0])
+  const merged = []
+  let current = laid[0]
+  for (let i = 1; i < laid.length; i++) {
+    const next = laid[i]
+    const sameSource = workDateOf(next) === workDateOf(current) &&
+      recordOf(next) === recordOf(current) &&
+      authorOf(next) === authorOf(current)
+    if (next[0] <= current[1] + EPS && sameSource) {
+      current[1] = Math.max(current[1], next[1])
+      if (next[2]?.at > (current[2]?.at || '')) current[2] = { ...current[2], at: next[2].at }
+    } else {
+      merged.push(current)
+      current = next
+    }
+  }
+  merged.push(current)
+  return merged
+}
+
+// Parts of `ranges` not covered by `cut`
+export function subtractRanges(ranges, cut) {
+  let out = (ranges || []).map(r => [...r])
+  for (const [c0, c1] of (cut || [])) {
+    const next = []
+    for (const r of out) {
+      if (r[1] <= c0 || r[0] >= c1) {
+        next.push(r)
+        continue
+      }
+      if (r[0] < c0) next.push([r[0], c0, ...r.slice(2)])
+      if (r[1] > c1) next.push([c1, r[1], ...r.slice(2)])
+    }
+    out = next
+  }
+  return out.filter(([a, b]) => b - a > 1e-9)
+}
+
+export function rangesLength(ranges) {
+  let sum = 0
+  for (const [a, b] of (ranges || [])) sum += Math.max(0, b - a)
+  return sum
+}
+
+export function sameRanges(a = [], b = []) {
+  if (a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i][0] - b[i][0]) > 1e-9 || Math.abs(a[i][1] - b[i][1]) > 1e-9) return false
+  }
+  return true
+}
+
+// Parts of `ranges` that are also covered by `mask`
+export function intersectRanges(ranges, mask) {
+  const out = []
+  for (const r of (ranges || [])) {
+    for (const [m0, m1] of (mask || [])) {
+      const a = Math.max(r[0], m0)
+      const b = Math.min(r[1], m1)
+      if (b - a > 1e-9) out.push([a, b, ...r.slice(2)])
+    }
+  }
+  return out
+}
+
+// Pieces with no work date yet get `date`; used when the daily work is submitted
+export function stampWorkDate(ranges, date, record = null) {
+  if (!ranges?.some(r => !workDateOf(r))) return ranges
+  const meta = record ? { date, record } : { date }
+  return mergeRanges(ranges.map(r => (workDateOf(r) ? r : [r[0], r[1], { ...r[2], ...meta }])))
+}
+
+// What had been submitted on or before `date`; null means the live state
+export function rangesAsOf(ranges, date) {
+  if (!date) return ranges || []
+  return (ranges || []).filter(r => workDateOf(r) && workDateOf(r) <= date)
+}
+
+// Erase that leaves pieces drawn after `at` alone, so an erase made without
+// seeing another crew's newer work doesn't wipe it. `kept` lists those pieces.
+export function eraseOlderRanges(ranges, cut, at) {
+  const out = []
+  const kept = []
+  for (const r of (ranges || [])) {
+    const newer = at && r[2]?.at && r[2].at > at
+    if (newer && intersectRanges([r], cut).length) {
+      out.push(r)
+      kept.push(r)
+    } else {
+      out.push(...subtractRanges([r], cut))
+    }
+  }
+  return { ranges: out, kept }
+}
@@ -0,0 +1,203 @@
+import RBush from 'rbush'
+import { closestOnPath, dist, pathBox, pathLength, pointAlong, projector, sharedLength } from './network.js'
+import { overallStatus } from './stages.js'
+import { mergeRanges, rangesLength } from './rangeUtils.js'
+
+// A redrawn trench has to stay this close to where it was to count as the
+// same one; parallel trench edges are further apart than this
+const MATCH_TOLERANCE_M = 0.5
+// Share of both lines that has to coincide for a match without a handle
+const MIN_MATCH_SCORE = 0.6
+// Vertices moving less than this are not a geometry change
+const MOVED_M = 0.05
+const SAMPLE_STEP_M = 0.5
+
+// Map and panel colours; `before` is where a changed trench used to run
+export const REVISION_COLORS = {
+  added: '#4ade80',
+  removed: '#f87171',
+  changed: '#fb923c',
+  before: '#94a3b8'
+}
+
+const hasHandle = (f) => f.properties.handle != null && f.properties.handle !== ''
+
+function sameGeometry(a, b) {
+  return a.length === b.length && a.every((p, i) => dist(p, b[i]) <= MOVED_M)
+}
+
+// Pieces of `[c0, c1]` meters along `from` that lie on `to`, as fractions of
+// `to`. Sampled along the piece so a line that was split, extended or turned
+// around still lands where the work was done.
+function reproject(from, to, c0, c1) {
+  const toLength = pathLength(to)
+  if (!toLength) return []
+  const steps = Math.max(1, Math.ceil((c1 - c0) / SAMPLE_STEP_M))
+  const out = []
+  let run = null
+  for (let k = 0; k <= steps; k++) {
+    const near = closestOnPath(pointAlong(from, c0 + ((c1 - c0) * k) / steps), to)
+    if (near.distance <= MATCH_TOLERANCE_M) {
+      const t = near.chainage / toLength
+      run = run ? [Math.min(run[0], t), Math.max(run[1], t)] : [t, t]
+    } else if (run) {
+      out.push(run)
+      run = null
+    }
+  }
+  if (run) out.push(run)
+  return out
+}
+
+// Carries the stage ranges of the old segments `candidates` onto new segment
+// `j`; `sourceOf(i)` gives them as stage id -> ranges. Pieces keep their
+// meta. Crossings and touching ends that only graze the new line are dropped.
+function carryStages(sourceOf, candidates, j, ctx) {
+  const { oldPaths, newPaths, oldLengths, newLengths, direct } = ctx
+  const carried = {}
+  for (const i of candidates) {
+    const source = sourceOf(i)
+    for (const [stageId, ranges] of Object.entries(source || {})) {
+      for (const r of (ranges || [])) {
+        const pieces = direct.get(j) === i
+          ? [[r[0], r[1]]]
+          : reproject(oldPaths[i], newPaths[j], r[0] * oldLengths[i], r[1] * oldLengths[i])
+              .filter(([a, b]) => (b - a) * newLengths[j] >= Math.min(MATCH_TOLERANCE_M, (r[1] - r[0]) * oldLengths[i] * 0.5))
+        if (pieces.length) ctx.used.add(i)
+        for (const [a, b] of pieces) {
+          if (!carried[stageId]) carried[stageId] = []
+          carried[stageId].push(r[2] ? [a, b, r[2]] : [a, b])
+        }
+      }
+    }
+  }
+  for (const stageId of Object.keys(carried)) carried[stageId] = mergeRanges(carried[stageId])
+  return carried
+}
+
+const recordedMeters = (features, stageId) => features
+  .reduce((sum, f) => sum + rangesLength(f.properties.stages?.[stageId]) * (f.properties.meters || 0), 0)
+
+// Lines up a new revision of the design with the current segments. Segments
+// are matched by CAD handle first, then by how much of both lines coincide.
+// Progress and the submitted baseline move over by chainage, so work follows
+// the trench even when it was split, extended or drawn the other way round.
+// Matched segments keep their id; the caller rebuilds the runs.
+export function planRevision(oldFeatures, newFeatures, { stages, baseline = {} }) {
+  const project = projector([...oldFeatures, ...newFeatures])
+  const oldPaths = oldFeatures.map(f => f.geometry.coordinates.map(project))
+  const newPaths = newFeatures.map(f => f.geometry.coordinates.map(project))
+  const oldLengths = oldPaths.map(pathLength)
+  const newLengths = newPaths.map(pathLength)
+
+  const matchOf = new Map()
+  const matched = new Set()
+  // Pairs whose ranges carry over as they are, fraction for fraction
+  const direct = new Map()
+  const pair = (j, i) => {
+    matchOf.set(j, i)
+    matched.add(i)
+  }
+
+  const byHandle = new Map()
+  const repeated = new Set()
+  oldFeatures.forEach((f, i) => {
+    if (!hasHandle(f)) return
+    const key = String(f.properties.handle)
+    if (byHandle.has(key)) repeated.add(key)
+    byHandle.set(key, i)
+  })
+  newFeatures.forEach((f, j) => {
+    const key = hasHandle(f) ? String(f.properties.handle) : null
+    const i = key && !repeated.has(key) ? byHandle.get(key) : undefined
+    if (i !== undefined && !matched.has(i)) pair(j, i)
+  })
+
+  const tree = new RBush()
+  tree.load(oldPaths.map((p, i) => ({ ...pathBox(p), i })))
+  const score = (j, i) => Math.min(
+    newLengths[j] ? sharedLength(newPaths[j], oldPaths[i], MATCH_TOLERANCE_M) / newLengths[j] : 0,
+    oldLengths[i] ? sharedLength(oldPaths[i], newPaths[j], MATCH_TOLERANCE_M) / oldLengths[i] : 0
+  )
+  const overlapping = newPaths.map(p => tree.search(pathBox(p, MATCH_TOLERANCE_M)).map(hit => hit.i))
+
+  const candidates = []
+  newFeatures.forEach((_, j) => {
+    if (matchOf.has(j)) return
+    for (const i of overlapping[j]) {
+      if (matched.has(i)) continue
+      const s = score(j, i)
+      if (s >= MIN_MATCH_SCORE) candidates.push({ j, i, s })
+    }
+  })
+  candidates.sort((a, b) => b.s - a.s)
+  for (const { j, i } of candidates) {
+    if (!matchOf.has(j) && !matched.has(i)) pair(j, i)
+  }
+
+  // Untouched segments, and a handle kept on a trench that moved somewhere
+  // else entirely: nothing to follow along the ground, so its work is scaled
+  // to the new length
+  for (const [j, i] of matchOf) {
+    if (sameGeometry(oldPaths[i], newPaths[j]) || !overlapping[j].includes(i) || score(j, i) < MIN_MATCH_SCORE) direct.set(j, i)
+  }
+
+  const taken = new Set(oldFeatures.map(f => f.properties.id))
+  let counter = oldFeatures.length + newFeatures.length
+  const freshId = (id) => {
+    if (!taken.has(id)) return id
+    while (taken.has(`SEG_${counter}`)) counter += 1
+    return `SEG_${counter}`
+  }
+
+  // A segment takes work from its own match and from old segments left
+  // without one, e.g. the halves of a split line. New segments without a
+  // match also take it from whatever old line they lie on.
+  const ctx = { oldPaths, newPaths, oldLengths, newLengths, direct, used: new Set() }
+  const sourcesOf = (j) => {
+    const own = matchOf.get(j)
+    const others = overlapping[j].filter(i => i !== own && (own === undefined || !matched.has(i)))
+    return own !== undefined ? [own, ...others] : others
+  }
+
+  const added = []
+  const changed = []
+  const nextBaseline = {}
+  const features = newFeatures.map((f, j) => {
+    const i = matchOf.get(j)
+    const old = i !== undefined ? oldFeatures[i] : null
+    const id = old ? old.properties.id : freshId(f.properties.id)
+    taken.add(id)
+    const sources = sourcesOf(j)
+    const carried = carryStages(k => oldFeatures[k].properties.stages, sources, j, ctx)
+    const submitted = carryStages(k => baseline[oldFeatures[k].properties.id], sources, j, ctx)
+    if (Object.keys(submitted).length) nextBaseline[id] = submitted
+    const next = { ...f, properties: { ...f.properties, id, stages: carried, status: overallStatus(carried, stages) } }
+    if (!old) {
+      added.push(next)
+    } else if (!sameGeometry(oldPaths[i], newPaths[j]) || Number(old.properties.length_m || 0) !== Number(f.properties.length_m || 0)) {
+      changed.push({ before: old, after: next })
+    }
+    return next
+  })
+
+  const removed = oldFeatures.filter((_, i) => !matched.has(i))
+  const hasWork = (f) => Object.values(f.properties.stages || {}).some(r => r?.length)
+  const totals = stages.map(s => ({
+    stageId: s.id,
+    name: s.name,
+    before: recordedMeters(oldFeatures, s.id),
+    after: recordedMeters(features, s.id)
+  }))
+
+  return {
+    features,
+    baseline: nextBaseline,
+    added,
+    removed,
+    changed,
+    totals,
+    // Removed segments whose recorded work has nowhere to go
+    lost: oldFeatures.filter((f, i) => !matched.has(i) && !ctx.used.has(i) && hasWork(f))
+  }
+}
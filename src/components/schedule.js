@@ -0,0 +1,60 @@
+import { layerOf } from './layers.js'
+import { summarize } from './progress.js'
+import { plannedToDate, weeklyPlan } from './plan.js'
+import { forecastFinish, productionRate } from './useDailyLog.js'
+
+// Within this share of the plan still counts as on plan
+const BEHIND_TOLERANCE = 0.05
+
+// The areas a plan can be split into
+export const planArea = (f) => layerOf(f)
+
+function standing(planned, actual) {
+  if (planned == null) return { planned: null, actual, variance: null, behind: false }
+  return { planned, actual, variance: actual - planned, behind: actual < planned * (1 - BEHIND_TOLERANCE) - 0.5 }
+}
+
+// Planned vs actual for the plan's stage as of `today`, for the project and
+// every area with its own weekly plan, plus a forecast finish from the recent
+// production rate. `features` should only hold work that counts.
+export function scheduleStatus(plan, features, stageId, dailyLog, today) {
+  if (!stageId) return null
+  const { total, completed } = summarize(features, stageId)
+
+  const areas = {}
+  for (const area of Object.keys(plan?.areas || {})) {
+    if (!weeklyPlan(plan, area)) continue
+    const s = summarize(features.filter(f => planArea(f) === area), stageId)
+    areas[area] = { ...standing(plannedToDate(plan, s.total, today, area), s.completed), total: s.total }
+  }
+
+  let planned = plannedToDate(plan, total, today)
+  if (planned == null && Object.keys(areas).length) {
+    planned = Object.values(areas).reduce((sum, a) => sum + a.planned, 0)
+  }
+
+  const rate = productionRate(dailyLog, stageId, today)
+  return {
+    ...standing(planned, completed),
+    total,
+    rate,
+    forecast: forecastFinish(total - completed, rate, today),
+    target: plan?.finish || null,
+    areas
+  }
+}
+
+// Segments to flag on the map: unfinished ones in an area that is behind, or
+// anywhere when only the whole project has a plan and it is behind
+export function behindPlanIds(status, features, stageId) {
+  const ids = new Set()
+  if (!status) return ids
+  const byArea = Object.keys(status.areas).length > 0
+  for (const f of features) {
+    const behind = byArea ? status.areas[planArea(f)]?.behind : status.behind
+    if (!behind) continue
+    const done = summarize([f], stageId)
+    if (done.remaining > 0.01) ids.add(f.properties.id)
+  }
+  return ids
+}
@@ -0,0 +1,30 @@
+import { along as turfAlong, lineSlice } from '@turf/turf'
+import { rangesAsOf } from './rangeUtils.js'
+
+const MIN_FRACTION = 0.0001
+
+// Cuts the [startP, endP] fraction of a segment out of its geometry
+export function sliceRange(f, startP, endP) {
+  const len = f.properties.geomMeters || f.properties.meters
+  if (!len || endP - startP <= MIN_FRACTION) return null
+  try {
+    const startPt = turfAlong(f, (len * startP) / 1000, { units: 'kilometers' })
+    const endPt = turfAlong(f, (len * endP) / 1000, { units: 'kilometers' })
+    return lineSlice(startPt, endPt, f)
+  } catch {
+    return null
+  }
+}
+
+// `asOf` limits the slices to work submitted up to that date
+export function buildStageSlices(features, stageId, asOf = null) {
+  const slices = []
+  for (const f of (features || [])) {
+    const ranges = rangesAsOf(f.properties.stages?.[stageId], asOf)
+    for (const [startP, endP] of ranges) {
+      const slice = sliceRange(f, startP, endP)
+      if (slice) slices.push(slice)
+    }
+  }
+  return { type: 'FeatureCollection', features: slices }
+}
@@ -0,0 +1,83 @@
+import { authorOf, intersectRanges, mergeRanges, subtractRanges } from './rangeUtils.js'
+import { statusFor } from './progress.js'
+import { can } from './permissions.js'
+
+export const DEFAULT_STAGES = [
+  { id: 'excavation', name: 'Excavation', color: '#f59e0b', after: null },
+  { id: 'cable', name: 'Cable Laying', color: '#38bdf8', after: 'excavation' },
+  { id: 'backfill', name: 'Backfill & Compaction', color: '#34d399', after: 'cable' }
+]
+
+export const getStages = (settings) => (settings?.stages?.length ? settings.stages : DEFAULT_STAGES)
+
+export const newStageId = () => `stage_${Date.now().toString(36)}`
+
+export const stageRanges = (f, stageId) => f.properties?.stages?.[stageId] || []
+
+export function overallStatus(stagesMap, stages) {
+  const statuses = stages.map(s => statusFor(stagesMap?.[s.id]))
+  if (statuses.length && statuses.every(s => s === 'done')) return 'done'
+  if (statuses.some(s => s !== 'pending')) return 'in_progress'
+  return 'pending'
+}
+
+const dependentsOf = (stages, stageId) => stages.filter(s => s.after === stageId)
+
+// The part of a stage `userId` may erase on their own: pieces they drew,
+// minus anywhere the cascade would take someone else's later-stage work
+function ownErasable(current, stages, stageId, userId) {
+  let allowed = mergeRanges((current[stageId] || [])
+    .filter(r => authorOf(r) === userId)
+    .map(r => [r[0], r[1]]))
+  const queue = dependentsOf(stages, stageId).map(s => s.id)
+  const visited = new Set()
+  while (queue.length && allowed.length) {
+    const id = queue.shift()
+    if (visited.has(id)) continue
+    visited.add(id)
+    allowed = subtractRanges(allowed, (current[id] || []).filter(r => authorOf(r) !== userId))
+    for (const dep of dependentsOf(stages, id)) queue.push(dep.id)
+  }
+  return allowed
+}
+
+// Applies an add/erase to one stage while keeping the ordering rules: a stage
+// can only be added where its `after` stage is already done, and erasing a
+// stage also erases whatever later stages sat on top of it. With a `user`,
+// new pieces are attributed to them and their role limits what they can
+// erase; without one (migrations, sync) nothing is restricted.
+export function editStage(properties, stages, stageId, op, ranges, user = null) {
+  const current = { ...(properties.stages || {}) }
+  const stage = stages.find(s => s.id === stageId)
+  if (!stage) return properties
+  if (user && !can(user, 'edit')) return properties
+
+  if (op === 'add') {
+    const allowed = stage.after ? intersectRanges(ranges, current[stage.after] || []) : ranges
+    if (!allowed.length) return properties
+    const at = new Date().toISOString()
+    const meta = user ? { at, by: user.id, byName: user.name } : { at }
+    const stamped = allowed.map(r => (r[2] ? r : [r[0], r[1], meta]))
+    current[stageId] = mergeRanges([...(current[stageId] || []), ...stamped])
+  } else if (op === 'erase') {
+    if (user && !can(user, 'eraseOthers')) {
+      ranges = intersectRanges(ranges, ownErasable(current, stages, stageId, user.id))
+      if (!ranges.length) return properties
+    }
+    const queue = [stageId]
+    const visited = new Set()
+    while (queue.length) {
+      const id = queue.shift()
+      if (visited.has(id)) continue
+      visited.add(id)
+      if (current[id]?.length) current[id] = subtractRanges(current[id], ranges)
+      for (const dep of dependentsOf(stages, id)) queue.push(dep.id)
+    }
+  } else if (op === 'set') {
+    // Replace through erase + add so the ordering rules still apply
+    const cleared = editStage(properties, stages, stageId, 'erase', subtractRanges([[0, 1]], ranges || []), user)
+    return ranges?.length ? editStage(cleared, stages, stageId, 'add', ranges, user) : cleared
+  }
+
+  return { ...properties, stages: current, status: overallStatus(current, stages) }
+}
@@ -0,0 +1,62 @@
+// REST calls to the sync server (server/index.js)
+
+const CLIENT_KEY = 'trench-sync-client'
+// Last server address used on this device
+export const SERVER_KEY = 'trench-sync-server'
+
+export const DEFAULT_SERVER = `${window.location.protocol}//${window.location.hostname}:8787`
+
+// Identifies this browser in ops so it doesn't receive its own edits back
+export function getClientId() {
+  let id = localStorage.getItem(CLIENT_KEY)
+  if (!id) {
+    id = `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+    localStorage.setItem(CLIENT_KEY, id)
+  }
+  return id
+}
+
+const base = (server) => server.replace(/\/+$/, '')
+
+async function call(server, path, options = {}) {
+  const res = await fetch(`${base(server)}/api/projects${path}`, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(body.error || `Sync server answered ${res.status}`)
+    err.status = res.status
+    throw err
+  }
+  return body
+}
+
+export const listRemoteProjects = (server) => call(server, '')
+
+export const getRemoteProject = (server, id) => call(server, `/${encodeURIComponent(id)}`)
+
+export const publishProject = (server, project, data) => call(server, `/${encodeURIComponent(project.id)}`, {
+  method: 'PUT',
+  body: JSON.stringify({ project, data })
+})
+
+// Rejects with status 409 when the server no longer has ops that far back
+export const fetchOpsSince = (server, id, seq) => call(server, `/${encodeURIComponent(id)}/ops?since=${seq}`)
+
+// Tile sets the server keeps in its TILES_DIR: [{ name, title, kind, minzoom, maxzoom, bounds }]
+export async function listTileSets(server) {
+  const res = await fetch(`${base(server)}/api/tiles`)
+  if (!res.ok) throw new Error(`Tile server answered ${res.status}`)
+  return res.json()
+}
+
+export const tileSetUrl = (server, name) => `${base(server)}/api/tiles/${encodeURIComponent(name)}/{z}/{x}/{y}`
+
+export function socketUrl(server, id, clientId) {
+  const url = new URL(`${base(server)}/ws`)
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+  url.searchParams.set('project', id)
+  url.searchParams.set('client', clientId)
+  return url.toString()
+}
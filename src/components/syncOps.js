@@ -0,0 +1,84 @@
+import { eraseOlderRanges, mergeRanges, subtractRanges, workDateOf } from './rangeUtils.js'
+import { overallStatus } from './stages.js'
+
+// Shared by the browser and the sync server. An op is one add or erase on
+// one stage of one segment:
+// { id, clientId, at, segId, stageId, op: 'add' | 'erase', ranges, seq? }
+
+const isFraction = (v) => typeof v === 'number' && v >= 0 && v <= 1
+
+// Ops come from other devices, so the server checks their shape before
+// folding them into a project
+export function isValidOp(op) {
+  return !!op &&
+    typeof op.id === 'string' &&
+    typeof op.segId === 'string' &&
+    typeof op.stageId === 'string' &&
+    (op.op === 'add' || op.op === 'erase') &&
+    Array.isArray(op.ranges) &&
+    op.ranges.every(r => Array.isArray(r) && isFraction(r[0]) && isFraction(r[1]) && r[0] <= r[1] &&
+      (r[2] === undefined || (r[2] !== null && typeof r[2] === 'object')))
+}
+
+export const newOpId = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+
+// Pieces of `next` that `prev` doesn't already hold under the same work date,
+// so submitting a day (which only dates pieces) is sent as well
+function addedPieces(prev = [], next = []) {
+  return next.flatMap(r => subtractRanges([r], prev.filter(p => workDateOf(p) === workDateOf(r))))
+}
+
+// Ops that turn the `prev` snapshot ({ segId: { stageId: ranges } }) into the
+// current features. Segments missing from the snapshot are not diffed.
+export function diffToOps(prev, features, clientId) {
+  const ops = []
+  const at = new Date().toISOString()
+  for (const f of (features || [])) {
+    const segId = f.properties.id
+    if (!prev?.[segId]) continue
+    const before = prev[segId]
+    const after = f.properties.stages || {}
+    for (const stageId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const removed = subtractRanges(before[stageId] || [], after[stageId] || []).map(([a, b]) => [a, b])
+      const added = addedPieces(before[stageId], after[stageId])
+      if (removed.length) ops.push({ id: newOpId(), clientId, at, segId, stageId, op: 'erase', ranges: removed })
+      if (added.length) ops.push({ id: newOpId(), clientId, at, segId, stageId, op: 'add', ranges: added })
+    }
+  }
+  return ops
+}
+
+// Adds are unions, so they merge whatever order they arrive in. Erases only
+// remove pieces drawn before the erase was made.
+export function applyOpToStages(stagesMap, op) {
+  const current = stagesMap?.[op.stageId] || []
+  if (op.op === 'add') {
+    return { stages: { ...stagesMap, [op.stageId]: mergeRanges([...current, ...op.ranges]) }, kept: [] }
+  }
+  if (op.op === 'erase') {
+    const { ranges, kept } = eraseOlderRanges(current, op.ranges, op.at)
+    return { stages: { ...stagesMap, [op.stageId]: ranges }, kept }
+  }
+  return { stages: stagesMap, kept: [] }
+}
+
+export function applyOpsToFeatures(features, ops, stages) {
+  const bySegment = new Map()
+  for (const op of (ops || [])) {
+    if (!bySegment.has(op.segId)) bySegment.set(op.segId, [])
+    bySegment.get(op.segId).push(op)
+  }
+  const conflicts = []
+  const next = (features || []).map(f => {
+    const segOps = bySegment.get(f.properties.id)
+    if (!segOps) return f
+    let stagesMap = f.properties.stages || {}
+    for (const op of segOps) {
+      const result = applyOpToStages(stagesMap, op)
+      stagesMap = result.stages
+      if (result.kept.length) conflicts.push({ op, kept: result.kept })
+    }
+    return { ...f, properties: { ...f.properties, stages: stagesMap, status: overallStatus(stagesMap, stages) } }
+  })
+  return { features: next, conflicts }
+}
@@ -2,25 +2,333 @@ import { useCallback } from 'react'
 import { Chart, registerables } from 'chart.js'
 import ChartDataLabels from 'chartjs-plugin-datalabels'
 import ExcelJS from 'exceljs'
+import { downloadBlob, todayStamp } from './download.js'
+import { lineTotals, summarize } from './progress.js'
+import { dayRange, hasPlan, plannedToDate } from './plan.js'
+import { crewMeters, crewsOf, delayName, reportTotals, weatherName } from './dailyReport.js'
 
 Chart.register(...registerables, ChartDataLabels)
 
 const MIME_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 
-const parseWorkers = (value) => {
-  if (!value) return 0
-  const numeric = Number(value)
-  if (!Number.isNaN(numeric)) return numeric
-  return 0
-}
-
 const normalizeDate = (value) => {
   if (!value) return ''
   return value.slice(0, 10)
 }
 
+// Older records only carried the running total under `installed_panels`
+const recordAmount = (row) => Number(row.work_amount ?? row.installed_panels ?? 0)
+
+async function renderChartImage(config) {
+  const canvas = document.getElementById('dailyChart')
+  if (!canvas) {
+    console.error('dailyChart canvas not found')
+    return null
+  }
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+
+  const chart = new Chart(ctx, config)
+
+  // Small delay to ensure render if needed, though animation: false should make it sync
+  await new Promise(r => setTimeout(r, 100))
+
+  const image = chart.toBase64Image('image/png', 1)
+  chart.destroy()
+  return image
+}
+
+const boldHeader = (sheet) => {
+  sheet.getRow(1).font = { bold: true }
+}
+
+function addLinesSheet(workbook, features, stages) {
+  const sheet = workbook.addWorksheet('Lines')
+  const finalStage = stages[stages.length - 1]
+  sheet.columns = [
+    { header: 'Line', key: 'lineId', width: 14 },
+    { header: 'Segments', key: 'segments', width: 10 },
+    { header: 'Total (m)', key: 'total', width: 12 },
+    ...stages.map(stage => ({ header: `${stage.name} (m)`, key: `stage_${stage.id}`, width: 18 })),
+    { header: 'Completed (m)', key: 'completed', width: 15 },
+    { header: 'Remaining (m)', key: 'remaining', width: 15 },
+    { header: 'Percent', key: 'percent', width: 10 }
+  ]
+  const perStage = Object.fromEntries(stages.map(stage => [
+    stage.id,
+    new Map(lineTotals(features, stage.id).map(l => [l.lineId, l]))
+  ]))
+  const lines = finalStage ? [...perStage[finalStage.id].values()] : []
+  lines.sort((a, b) => a.lineId.localeCompare(b.lineId, undefined, { numeric: true }))
+  for (const line of lines) {
+    sheet.addRow({
+      lineId: line.lineId,
+      segments: line.segments,
+      total: Number(line.total.toFixed(2)),
+      ...Object.fromEntries(stages.map(stage => [
+        `stage_${stage.id}`,
+        Number((perStage[stage.id].get(line.lineId)?.completed || 0).toFixed(2))
+      ])),
+      completed: Number(line.completed.toFixed(2)),
+      remaining: Number((line.total - line.completed).toFixed(2)),
+      percent: line.total > 0 ? line.completed / line.total : 0
+    })
+  }
+  sheet.getColumn('percent').numFmt = '0.0%'
+  boldHeader(sheet)
+  sheet.addRow({})
+  sheet.addRow({ lineId: `Completed = ${finalStage?.name || 'final stage'}` })
+}
+
+// `zones` are zoneSummary() rows
+function addZonesSheet(workbook, zones, stages) {
+  const sheet = workbook.addWorksheet('Zones')
+  sheet.columns = [
+    { header: 'Zone', key: 'name', width: 24 },
+    { header: 'Segments', key: 'segments', width: 10 },
+    { header: 'Total (m)', key: 'total', width: 12 },
+    ...stages.flatMap(stage => [
+      { header: `${stage.name} (m)`, key: `stage_${stage.id}`, width: 18 },
+      { header: `${stage.name} %`, key: `pct_${stage.id}`, width: 12 }
+    ])
+  ]
+  for (const zone of zones) {
+    sheet.addRow({
+      name: zone.name,
+      segments: zone.segments,
+      total: Number(zone.total.toFixed(2)),
+      ...Object.fromEntries(stages.flatMap(stage => [
+        [`stage_${stage.id}`, Number((zone.stages[stage.id] || 0).toFixed(2))],
+        [`pct_${stage.id}`, zone.total > 0 ? (zone.stages[stage.id] || 0) / zone.total : 0]
+      ]))
+    })
+  }
+  for (const stage of stages) sheet.getColumn(`pct_${stage.id}`).numFmt = '0.0%'
+  boldHeader(sheet)
+}
+
+async function addSCurveSheet(workbook, rows, stages, report) {
+  const sheet = workbook.addWorksheet('S-Curve')
+  const plan = report.plan
+  // The plan is for the stage it tracks, the first one unless set
+  const planStage = stages.find(s => s.id === plan?.stageId) || stages[0]
+  const total = summarize(report.features || [], planStage.id).total
+  const dated = rows.filter(r => /^\d{4}-\d{2}-\d{2}$/.test(r.date))
+  if (!dated.length) return
+
+  const first = hasPlan(plan) && plan.start < dated[0].date ? plan.start : dated[0].date
+  const lastActual = dated[dated.length - 1].date
+  const last = hasPlan(plan) && plan.finish > lastActual ? plan.finish : lastActual
+  const days = dayRange(first, last)
+
+  const byDate = new Map(dated.map(r => [r.date, r]))
+  const running = Object.fromEntries(stages.map(s => [s.id, 0]))
+  const series = days.map(day => {
+    const row = byDate.get(day)
+    for (const stage of stages) running[stage.id] += row?.stages?.[stage.id] || 0
+    return {
+      date: day,
+      planned: plannedToDate(plan, total, day),
+      actual: day <= lastActual ? { ...running } : null
+    }
+  })
+
+  sheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: `Planned ${planStage.name} (m)`, key: 'planned', width: 24 },
+    ...stages.map(stage => ({ header: `${stage.name} cumulative (m)`, key: `stage_${stage.id}`, width: 26 }))
+  ]
+  for (const point of series) {
+    sheet.addRow({
+      date: point.date,
+      planned: point.planned == null ? null : Number(point.planned.toFixed(2)),
+      ...Object.fromEntries(stages.map(stage => [
+        `stage_${stage.id}`,
+        point.actual ? Number(point.actual[stage.id].toFixed(2)) : null
+      ]))
+    })
+  }
+  boldHeader(sheet)
+
+  const image = await renderChartImage({
+    type: 'line',
+    data: {
+      labels: series.map(p => p.date),
+      datasets: [
+        ...(hasPlan(plan) ? [{
+          label: `Planned ${planStage.name}`,
+          data: series.map(p => p.planned),
+          borderColor: '#64748b',
+          borderDash: [6, 6],
+          pointRadius: 0
+        }] : []),
+        ...stages.map(stage => ({
+          label: stage.name,
+          data: series.map(p => (p.actual ? p.actual[stage.id] : null)),
+          borderColor: stage.color,
+          backgroundColor: stage.color,
+          pointRadius: 0,
+          spanGaps: false
+        }))
+      ]
+    },
+    options: {
+      responsive: false,
+      animation: false,
+      plugins: {
+        legend: { display: true },
+        datalabels: { display: false }
+      },
+      scales: {
+        x: { ticks: { color: '#64748b', maxTicksLimit: 12 } },
+        y: {
+          beginAtZero: true,
+          suggestedMax: total,
+          ticks: { color: '#64748b' },
+          title: { display: true, text: 'Cumulative (m)', color: '#334155', font: { weight: 'bold' } }
+        }
+      }
+    }
+  })
+  if (!image) return
+  const imageId = workbook.addImage({ base64: image, extension: 'png' })
+  sheet.addImage(imageId, {
+    tl: { col: stages.length + 3, row: 1 },
+    ext: { width: 640, height: 360 }
+  })
+}
+
+// One row per crew, equipment unit and delay across the log
+function addReportSheets(workbook, dailyLog) {
+  const byDate = [...dailyLog].sort((a, b) => (normalizeDate(a.date) < normalizeDate(b.date) ? -1 : 1))
+  const crews = byDate.flatMap(row => {
+    const meters = crewMeters(row).crews
+    return crewsOf(row).map((crew, i) => ({ row, crew, meters: meters[i] }))
+  })
+  if (crews.length) {
+    const sheet = workbook.addWorksheet('Crews')
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 14 },
+      { header: 'Subcontractor', key: 'subcontractor', width: 24 },
+      { header: 'Headcount', key: 'headcount', width: 12 },
+      { header: 'Hours', key: 'hours', width: 10 },
+      { header: 'Man-Hours', key: 'manHours', width: 12 },
+      { header: 'Lines', key: 'lines', width: 30 },
+      { header: 'Meters', key: 'meters', width: 12 },
+      { header: 'Submitted By', key: 'submitted_by', width: 20 }
+    ]
+    for (const { row, crew, meters } of crews) {
+      sheet.addRow({
+        date: normalizeDate(row.date),
+        subcontractor: crew.subcontractor,
+        headcount: Number(crew.headcount) || 0,
+        hours: crew.hours,
+        manHours: crew.hours != null ? (Number(crew.headcount) || 0) * Number(crew.hours) : null,
+        lines: (crew.lines || []).join(', '),
+        meters: Number(meters.toFixed(2)),
+        submitted_by: row.submitted_by || ''
+      })
+    }
+    boldHeader(sheet)
+  }
+
+  const equipment = byDate.flatMap(row => (row.equipment || []).map(item => ({ row, item })))
+  if (equipment.length) {
+    const sheet = workbook.addWorksheet('Equipment')
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 14 },
+      { header: 'Type', key: 'type', width: 18 },
+      { header: 'Unit', key: 'label', width: 18 },
+      { header: 'Hours', key: 'hours', width: 10 }
+    ]
+    for (const { row, item } of equipment) {
+      sheet.addRow({ date: normalizeDate(row.date), type: item.type, label: item.label || '', hours: item.hours })
+    }
+    boldHeader(sheet)
+  }
+
+  const delays = byDate.flatMap(row => (row.delays || []).map(delay => ({ row, delay })))
+  if (delays.length) {
+    const sheet = workbook.addWorksheet('Delays')
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 14 },
+      { header: 'Code', key: 'code', width: 8 },
+      { header: 'Reason', key: 'reason', width: 24 },
+      { header: 'Hours Lost', key: 'hours', width: 12 },
+      { header: 'Description', key: 'description', width: 40 },
+      { header: 'Weather', key: 'weather', width: 14 }
+    ]
+    for (const { row, delay } of delays) {
+      sheet.addRow({
+        date: normalizeDate(row.date),
+        code: delay.code,
+        reason: delayName(delay.code),
+        hours: delay.hours,
+        description: delay.description || '',
+        weather: weatherName(row.weather?.condition)
+      })
+    }
+    boldHeader(sheet)
+  }
+}
+
+// Meters are credited per crew from the lines each crew reported
+function addProductivitySheet(workbook, dailyLog) {
+  const sheet = workbook.addWorksheet('Productivity')
+  const bySub = new Map()
+  const entryFor = (name) => {
+    if (!bySub.has(name)) bySub.set(name, { name, days: new Set(), workerDays: 0, manHours: 0, meters: 0 })
+    return bySub.get(name)
+  }
+  for (const row of dailyLog) {
+    const crews = crewsOf(row)
+    const { crews: meters, unassigned } = crewMeters(row)
+    crews.forEach((crew, i) => {
+      const entry = entryFor(crew.subcontractor || 'Unassigned')
+      entry.days.add(normalizeDate(row.date))
+      entry.workerDays += Number(crew.headcount) || 0
+      entry.manHours += (Number(crew.headcount) || 0) * (Number(crew.hours) || 0)
+      entry.meters += meters[i]
+    })
+    if (!crews.length) entryFor('Unassigned').meters += recordAmount(row)
+    else if (unassigned) entryFor('Unassigned').meters += unassigned
+  }
+  sheet.columns = [
+    { header: 'Subcontractor', key: 'name', width: 24 },
+    { header: 'Days Worked', key: 'days', width: 14 },
+    { header: 'Worker-Days', key: 'workerDays', width: 14 },
+    { header: 'Man-Hours', key: 'manHours', width: 12 },
+    { header: 'Meters', key: 'meters', width: 12 },
+    { header: 'm / Worker / Day', key: 'rate', width: 18 },
+    { header: 'm / Man-Hour', key: 'hourRate', width: 14 }
+  ]
+  for (const entry of bySub.values()) {
+    sheet.addRow({
+      name: entry.name,
+      days: entry.days.size,
+      workerDays: entry.workerDays,
+      manHours: entry.manHours,
+      meters: Number(entry.meters.toFixed(2)),
+      rate: entry.workerDays > 0 ? Number((entry.meters / entry.workerDays).toFixed(2)) : null,
+      hourRate: entry.manHours > 0 ? Number((entry.meters / entry.manHours).toFixed(2)) : null
+    })
+  }
+  boldHeader(sheet)
+}
+
+function addMapSheet(workbook, mapImage, size = { width: 960, height: 600 }) {
+  const sheet = workbook.addWorksheet('Map')
+  const imageId = workbook.addImage({ base64: mapImage, extension: 'png' })
+  const scale = Math.min(1, 960 / size.width)
+  sheet.addImage(imageId, {
+    tl: { col: 1, row: 1 },
+    ext: { width: size.width * scale, height: size.height * scale }
+  })
+}
+
 export function useChartExport() {
-  const exportToExcel = useCallback(async (dailyLog = []) => {
+  // `report` adds the weekly client sheets: { features, zones, plan, mapImage, mapSize }
+  const exportToExcel = useCallback(async (dailyLog = [], stages = [], report = null) => {
     if (!dailyLog.length) {
       window.alert('No daily log data to export.')
       return
@@ -32,53 +340,78 @@ export function useChartExport() {
         acc[key] = {
           date: key,
           work_amount: 0,
+          added: 0,
+          removed: 0,
+          lines: new Set(),
+          stages: {},
           workers: 0,
-          subcontractor: row.subcontractor || ''
+          manHours: 0,
+          subcontractors: new Set(),
+          equipment: [],
+          equipmentHours: 0,
+          weather: new Set(),
+          delays: [],
+          delayHours: 0,
+          remarks: [],
+          submittedBy: new Set()
         }
       }
-      // Support both old 'installed_panels' and new 'installed_panels' which is now work_amount (meters)
-      // Ideally we should store it as work_amount in the future, but the SubmitModal still passes it as installed_panels key for now or we change it.
-      // In SubmitModal we passed: onSubmit({ ..., installed_panels: dailyInstalled, ... })
-      // So we keep reading installed_panels from the record.
-      acc[key].work_amount += Number(row.installed_panels || 0)
-      acc[key].workers += parseWorkers(row.workers)
-      if (!acc[key].subcontractor && row.subcontractor) acc[key].subcontractor = row.subcontractor
+      acc[key].work_amount += recordAmount(row)
+      acc[key].added += Number(row.added_m || 0)
+      acc[key].removed += Number(row.removed_m || 0)
+      for (const l of (row.lines || [])) acc[key].lines.add(l.lineId)
+      for (const [stageId, d] of Object.entries(row.stages || {})) {
+        acc[key].stages[stageId] = (acc[key].stages[stageId] || 0) + Number(d.added_m || 0) - Number(d.removed_m || 0)
+      }
+      const totals = reportTotals(row)
+      acc[key].workers += totals.headcount
+      acc[key].manHours += totals.manHours
+      acc[key].equipmentHours += totals.equipmentHours
+      acc[key].delayHours += totals.delayHours
+      for (const crew of crewsOf(row)) if (crew.subcontractor) acc[key].subcontractors.add(crew.subcontractor)
+      for (const item of (row.equipment || [])) acc[key].equipment.push(`${item.type} ${item.hours}h`)
+      for (const delay of (row.delays || [])) acc[key].delays.push(`${delay.code} ${delay.hours}h`)
+      if (row.weather?.condition) acc[key].weather.add(weatherName(row.weather.condition))
+      if (row.remarks) acc[key].remarks.push(row.remarks)
+      if (row.submitted_by) acc[key].submittedBy.add(row.submitted_by)
       return acc
     }, {})
 
     const rows = Object.values(grouped).sort((a, b) => new Date(a.date) - new Date(b.date))
 
     const labels = rows.map(r => r.date)
-    const data = rows.map(r => r.work_amount)
+    const hasStages = stages.length > 0 && rows.some(r => Object.keys(r.stages).length)
+    const datasets = hasStages
+      ? stages.map(stage => ({
+        label: stage.name,
+        data: rows.map(r => r.stages[stage.id] || 0),
+        backgroundColor: stage.color,
+        stack: 'work'
+      }))
+      : [{
+        label: 'Work Amount (m)',
+        data: rows.map(r => r.work_amount),
+        backgroundColor: '#3b82f6'
+      }]
     const subLabels = rows.map(r => {
-      const sc = r.subcontractor ? r.subcontractor.slice(0, 2).toUpperCase() : '??'
+      const first = [...r.subcontractors][0]
+      const sc = first ? first.slice(0, 2).toUpperCase() : '??'
       return `${sc}-${r.workers}`
     })
 
-    const canvas = document.getElementById('dailyChart')
-    if (!canvas) {
-      console.error('dailyChart canvas not found')
-      return
-    }
-    const ctx = canvas.getContext('2d')
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-
-    const chart = new Chart(ctx, {
+    const chartImage = await renderChartImage({
       type: 'bar',
       data: {
         labels,
-        datasets: [{
-          label: 'Work Amount (m)',
-          data,
-          backgroundColor: '#3b82f6'
-        }]
+        datasets
       },
       options: {
         responsive: false,
         animation: false, // Critical for sync export
         plugins: {
-          legend: { display: false },
+          legend: { display: hasStages },
           datalabels: {
+            display: (context) => context.datasetIndex === datasets.length - 1,
             anchor: 'end',
             align: 'top',
             color: '#0f172a',
@@ -90,6 +423,7 @@ export function useChartExport() {
         },
         scales: {
           x: {
+            stacked: hasStages,
             ticks: { color: '#64748b' },
             title: {
               display: true,
@@ -99,6 +433,7 @@ export function useChartExport() {
             }
           },
           y: {
+            stacked: hasStages,
             beginAtZero: true,
             ticks: { color: '#64748b' },
             title: {
@@ -112,30 +447,50 @@ export function useChartExport() {
       }
     })
 
-    // Small delay to ensure render if needed, though animation: false should make it sync
-    await new Promise(r => setTimeout(r, 100))
-
-    const chartImage = chart.toBase64Image('image/png', 1)
-    chart.destroy()
-
     const workbook = new ExcelJS.Workbook()
     const sheet = workbook.addWorksheet('Daily Log')
     sheet.columns = [
       { header: 'Date', key: 'date', width: 16 },
       { header: 'Work Amount (m)', key: 'work_amount', width: 20 },
+      { header: 'Added (m)', key: 'added', width: 14 },
+      { header: 'Removed (m)', key: 'removed', width: 14 },
+      ...stages.map(stage => ({ header: `${stage.name} (m)`, key: `stage_${stage.id}`, width: 18 })),
       { header: 'Number of Workers', key: 'workers', width: 20 },
-      { header: 'Subcontractor', key: 'subcontractor', width: 22 }
+      { header: 'Man-Hours', key: 'manHours', width: 12 },
+      { header: 'Subcontractor', key: 'subcontractor', width: 22 },
+      { header: 'Equipment', key: 'equipment', width: 30 },
+      { header: 'Equipment Hours', key: 'equipmentHours', width: 16 },
+      { header: 'Weather', key: 'weather', width: 16 },
+      { header: 'Delays', key: 'delays', width: 22 },
+      { header: 'Delay Hours', key: 'delayHours', width: 12 },
+      { header: 'Remarks', key: 'remarks', width: 40 },
+      { header: 'Submitted By', key: 'submitted_by', width: 22 },
+      { header: 'Lines Touched', key: 'lines', width: 40 }
     ]
     
     // Map rows to match column keys
     const sheetRows = rows.map(r => ({
       date: r.date,
       work_amount: r.work_amount.toFixed(2),
+      added: r.added.toFixed(2),
+      removed: r.removed.toFixed(2),
+      ...Object.fromEntries(stages.map(stage => [`stage_${stage.id}`, (r.stages[stage.id] || 0).toFixed(2)])),
       workers: r.workers,
-      subcontractor: r.subcontractor
+      manHours: r.manHours,
+      subcontractor: [...r.subcontractors].join(', '),
+      equipment: r.equipment.join(', '),
+      equipmentHours: r.equipmentHours,
+      weather: [...r.weather].join(', '),
+      delays: r.delays.join(', '),
+      delayHours: r.delayHours,
+      remarks: r.remarks.join(' | '),
+      submitted_by: [...r.submittedBy].join(', '),
+      lines: [...r.lines].join(', ')
     }))
     sheetRows.forEach(row => sheet.addRow(row))
+    addReportSheets(workbook, dailyLog)
 
+    if (!chartImage) return
     const chartSheet = workbook.addWorksheet('Chart')
     const imageId = workbook.addImage({
       base64: chartImage,
@@ -146,16 +501,17 @@ export function useChartExport() {
       ext: { width: 640, height: 360 }
     })
 
+    if (report) {
+      addLinesSheet(workbook, report.features || [], stages)
+      if (report.zones?.length) addZonesSheet(workbook, report.zones, stages)
+      await addSCurveSheet(workbook, rows, stages, report)
+      addProductivitySheet(workbook, dailyLog)
+      if (report.mapImage) addMapSheet(workbook, report.mapImage, report.mapSize)
+    }
+
     const buffer = await workbook.xlsx.writeBuffer()
-    const blob = new Blob([buffer], { type: MIME_XLSX })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `daily-progress-${new Date().toISOString().slice(0, 10)}.xlsx`
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    URL.revokeObjectURL(url)
+    const prefix = report ? 'progress-report' : 'daily-progress'
+    downloadBlob(new Blob([buffer], { type: MIME_XLSX }), `${prefix}-${todayStamp()}.xlsx`)
   }, [])
 
   return { exportToExcel }
@@ -1,35 +1,126 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useState } from 'react'
+import { rangesLength, stampWorkDate, subtractRanges, workDateOf } from './rangeUtils.js'
+import { addDays } from './plan.js'
 
-const STORAGE_KEY = 'dailyLog'
+const FORECAST_WINDOW_DAYS = 14
+
+export function snapshotRanges(features, keep = () => true) {
+  const snap = {}
+  for (const f of (features || [])) {
+    const stages = {}
+    for (const [stageId, ranges] of Object.entries(f.properties.stages || {})) {
+      const kept = (ranges || []).filter(keep)
+      if (kept.length) stages[stageId] = kept.map(r => [...r])
+    }
+    snap[f.properties.id] = stages
+  }
+  return snap
+}
+
+// A project stored without a baseline would count all its recorded work as
+// the next day's progress, so one is taken from what was already submitted.
+// Data from before work dates has no way to tell, and all of it counts as done.
+export function seedBaseline(baseline, features) {
+  if (baseline && Object.keys(baseline).length) return baseline
+  const dated = (features || []).some(f => Object.values(f.properties.stages || {}).some(ranges => ranges?.some(workDateOf)))
+  return snapshotRanges(features, dated ? workDateOf : undefined)
+}
+
+// Gives every piece drawn since the last submit the submitted work date and
+// the id of the record submitting it
+export function stampSubmitted(features, date, recordId = null) {
+  return (features || []).map(f => {
+    const stages = f.properties.stages || {}
+    let changed = false
+    const next = {}
+    for (const [stageId, ranges] of Object.entries(stages)) {
+      next[stageId] = stampWorkDate(ranges, date, recordId)
+      if (next[stageId] !== ranges) changed = true
+    }
+    return changed ? { ...f, properties: { ...f.properties, stages: next } } : f
+  })
+}
+
+// Diff the current stage ranges against the snapshot taken at the last submit
+export function computeDelta(features, baseline, stages) {
+  let added = 0, removed = 0
+  const lines = {}
+  const byStage = Object.fromEntries(stages.map(s => [s.id, { added_m: 0, removed_m: 0 }]))
+  for (const f of (features || [])) {
+    const { id, lineId } = f.properties
+    const meters = Number(f.properties.meters ?? 0)
+    for (const { id: stageId } of stages) {
+      const current = f.properties.stages?.[stageId] || []
+      const before = baseline?.[id]?.[stageId] || []
+      const plus = subtractRanges(current, before)
+      const minus = subtractRanges(before, current)
+      if (!plus.length && !minus.length) continue
+      const addedM = rangesLength(plus) * meters
+      const removedM = rangesLength(minus) * meters
+      added += addedM
+      removed += removedM
+      byStage[stageId].added_m += addedM
+      byStage[stageId].removed_m += removedM
+      if (!lines[lineId]) lines[lineId] = { lineId, added_m: 0, removed_m: 0, segments: [] }
+      lines[lineId].added_m += addedM
+      lines[lineId].removed_m += removedM
+      lines[lineId].segments.push({ id, stage: stageId, added: plus, removed: minus })
+    }
+  }
+  return { added, removed, net: added - removed, stages: byStage, lines: Object.values(lines) }
+}
+
+// Net meters a day for one stage, averaged over the last few weeks of the log
+export function productionRate(dailyLog, stageId, today, days = FORECAST_WINDOW_DAYS) {
+  const from = addDays(today, 1 - days)
+  let meters = 0
+  for (const r of (dailyLog || [])) {
+    if (!r.date || r.date < from || r.date > today) continue
+    const d = r.stages?.[stageId]
+    if (d) meters += Number(d.added_m || 0) - Number(d.removed_m || 0)
+  }
+  return meters / days
+}
+
+// When `remaining` meters are done at `rate` a day; null if nothing is moving
+export function forecastFinish(remaining, rate, today) {
+  if (remaining <= 0) return today
+  if (!(rate > 0)) return null
+  return addDays(today, Math.ceil(remaining / rate))
+}
 
 export default function useDailyLog() {
   const [dailyLog, setDailyLog] = useState([])
+  const [baseline, setBaseline] = useState({})
 
-  useEffect(() => {
-    const stored = localStorage.getItem(STORAGE_KEY)
-    if (stored) {
-      try {
-        setDailyLog(JSON.parse(stored))
-      } catch {
-        setDailyLog([])
-      }
-    }
+  // Replaces the log with the one stored in the active project
+  const loadLog = useCallback((records, snap) => {
+    setDailyLog(records || [])
+    setBaseline(snap || {})
   }, [])
 
-  const persist = (records) => {
-    setDailyLog(records)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(records))
-  }
+  const resetBaseline = useCallback((features) => {
+    setBaseline(snapshotRanges(features))
+  }, [])
 
-  const addRecord = (record) => {
-    persist([...dailyLog, record])
+  // Stores the record and moves the baseline to the submitted state
+  const addRecord = (record, features) => {
+    setDailyLog(prev => [...prev, record])
+    if (features) resetBaseline(features)
   }
 
+  const updateRecord = useCallback((id, fn) => {
+    setDailyLog(prev => prev.map(r => (r.id === id ? fn(r) : r)))
+  }, [])
+
+  const updateBaseline = useCallback((fn) => {
+    setBaseline(prev => fn(prev))
+  }, [])
+
   const resetLog = () => {
-    localStorage.removeItem(STORAGE_KEY)
     setDailyLog([])
+    setBaseline({})
   }
 
-  return { dailyLog, addRecord, resetLog }
+  return { dailyLog, baseline, addRecord, updateRecord, updateBaseline, resetLog, resetBaseline, loadLog }
 }
-
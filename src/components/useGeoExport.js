@@ -0,0 +1,167 @@
+import { useCallback } from 'react'
+import { sliceRange } from './slices.js'
+import { subtractRanges } from './rangeUtils.js'
+import { downloadBlob, todayStamp } from './download.js'
+
+// Attribute names stay within the 10-character DBF limit so the CSV can be
+// loaded straight into a shapefile
+const FIELDS = ['line_id', 'seg_id', 'stage', 'state', 'done_date', 'meters', 'start_m', 'end_m']
+
+const round = (v) => Math.round(v * 100) / 100
+
+// Latest submitted date whose added ranges overlap [a, b] of a segment stage
+function completionIndex(dailyLog) {
+  const index = new Map()
+  for (const record of (dailyLog || [])) {
+    for (const line of (record.lines || [])) {
+      for (const seg of (line.segments || [])) {
+        if (!seg.added?.length) continue
+        const key = `${seg.id}|${seg.stage}`
+        if (!index.has(key)) index.set(key, [])
+        index.get(key).push({ date: record.date, ranges: seg.added })
+      }
+    }
+  }
+  return (segId, stageId, a, b) => {
+    let latest = null
+    for (const entry of (index.get(`${segId}|${stageId}`) || [])) {
+      const overlaps = entry.ranges.some(([r0, r1]) => r0 < b && r1 > a)
+      if (overlaps && (!latest || entry.date > latest)) latest = entry.date
+    }
+    return latest
+  }
+}
+
+export function buildProgressSlices(features, stages, dailyLog) {
+  const completedOn = completionIndex(dailyLog)
+  const out = []
+  for (const f of (features || [])) {
+    const p = f.properties
+    const geomMeters = p.geomMeters || p.meters || 0
+    const meters = p.meters || geomMeters
+    for (const stage of stages) {
+      const done = p.stages?.[stage.id] || []
+      const remaining = subtractRanges([[0, 1]], done)
+      const parts = [
+        ...done.map(r => ['done', r]),
+        ...remaining.map(r => ['remaining', r])
+      ]
+      for (const [state, [a, b, meta]] of parts) {
+        const slice = sliceRange(f, a, b)
+        if (!slice) continue
+        out.push({
+          type: 'Feature',
+          geometry: slice.geometry,
+          properties: {
+            line_id: p.lineId,
+            seg_id: p.id,
+            stage: stage.name,
+            state,
+            done_date: state === 'done' ? (meta?.date || completedOn(p.id, stage.id, a, b)) : null,
+            meters: round((b - a) * meters),
+            start_m: round(a * geomMeters),
+            end_m: round(b * geomMeters),
+            _stageId: stage.id
+          }
+        })
+      }
+    }
+  }
+  return out
+}
+
+const stripInternal = (props) => {
+  const out = { ...props }
+  delete out._stageId
+  return out
+}
+
+const escapeXml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// KML wants aabbggrr
+const kmlColor = (hex, alpha = 'ff') => {
+  const h = (hex || '#ffffff').replace('#', '')
+  return `${alpha}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`
+}
+
+const coordText = (coords) => coords.map(c => c.slice(0, 3).join(',')).join(' ')
+
+const wkt = (geometry) => `LINESTRING (${geometry.coordinates.map(c => c.slice(0, 2).join(' ')).join(', ')})`
+
+const csvCell = (v) => {
+  const text = String(v ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toGeoJSON(slices) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: slices.map(s => ({ ...s, properties: stripInternal(s.properties) }))
+  })
+}
+
+export function toKML(slices, stages, name) {
+  const styles = stages.map(stage => `
+    <Style id="done_${escapeXml(stage.id)}"><LineStyle><color>${kmlColor(stage.color)}</color><width>4</width></LineStyle></Style>`).join('')
+  const folders = stages.map(stage => {
+    const placemarks = slices
+      .filter(s => s.properties._stageId === stage.id)
+      .map(s => {
+        const props = stripInternal(s.properties)
+        const data = FIELDS.map(k => `<Data name="${k}"><value>${escapeXml(props[k])}</value></Data>`).join('')
+        const styleUrl = props.state === 'done' ? `#done_${escapeXml(stage.id)}` : '#remaining'
+        return `
+      <Placemark>
+        <name>${escapeXml(`${props.seg_id} ${props.state}`)}</name>
+        <styleUrl>${styleUrl}</styleUrl>
+        <ExtendedData>${data}</ExtendedData>
+        <LineString><tessellate>1</tessellate><coordinates>${coordText(s.geometry.coordinates)}</coordinates></LineString>
+      </Placemark>`
+      }).join('')
+    return `
+    <Folder><name>${escapeXml(stage.name)}</name>${placemarks}
+    </Folder>`
+  }).join('')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${styles}
+    <Style id="remaining"><LineStyle><color>${kmlColor('#9ca3af', 'b3')}</color><width>2</width></LineStyle></Style>${folders}
+  </Document>
+</kml>
+`
+}
+
+export function toWktCsv(slices) {
+  const header = ['WKT', ...FIELDS].join(',')
+  const rows = slices.map(s => {
+    const props = stripInternal(s.properties)
+    return [csvCell(wkt(s.geometry)), ...FIELDS.map(k => csvCell(props[k]))].join(',')
+  })
+  return [header, ...rows].join('\n')
+}
+
+export function useGeoExport() {
+  const exportGeo = useCallback((format, features = [], stages = [], dailyLog = [], name = 'trench-progress') => {
+    const slices = buildProgressSlices(features, stages, dailyLog)
+    if (!slices.length) {
+      window.alert('No trench geometry to export.')
+      return
+    }
+    const base = `${name.replace(/[^\w-]+/g, '_')}-${todayStamp()}`
+    if (format === 'geojson') {
+      downloadBlob(new Blob([toGeoJSON(slices)], { type: 'application/geo+json' }), `${base}.geojson`)
+    } else if (format === 'kml') {
+      downloadBlob(new Blob([toKML(slices, stages, name)], { type: 'application/vnd.google-earth.kml+xml' }), `${base}.kml`)
+    } else if (format === 'csv') {
+      downloadBlob(new Blob([toWktCsv(slices)], { type: 'text/csv' }), `${base}.csv`)
+    }
+  }, [])
+
+  return { exportGeo }
+}
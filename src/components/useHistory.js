@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { intersectRanges, rangesLength, sameRanges, subtractRanges } from './rangeUtils.js'
+import { editStage } from './stages.js'
+
+const MAX_HISTORY = 100
+
+const EMPTY_HISTORY = { entries: [], cursor: 0 }
+
+function sameStages(a = {}, b = {}) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  for (const k of keys) {
+    if (!sameRanges(a[k] || [], b[k] || [])) return false
+  }
+  return true
+}
+
+const stagesMeters = (stagesMap, meters) => Object.values(stagesMap || {})
+  .reduce((sum, ranges) => sum + rangesLength(ranges) * meters, 0)
+
+// The pieces an edit added and removed on one segment, per stage, each with
+// the meta it had at the time
+function stageChanges(before = {}, after = {}) {
+  const added = {}
+  const removed = {}
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const plus = subtractRanges(after[k] || [], before[k] || [])
+    const minus = subtractRanges(before[k] || [], after[k] || [])
+    if (plus.length) added[k] = plus
+    if (minus.length) removed[k] = minus
+  }
+  return { added, removed }
+}
+
+// Records only the segments whose stage ranges changed, grouped by lineId:
+// { [lineId]: { [segId]: { added, removed } } }
+export function diffFeatures(base, next) {
+  const byId = new Map((base || []).map(f => [f.properties.id, f]))
+  const changes = {}
+  let delta = 0
+  for (const f of (next || [])) {
+    const prev = byId.get(f.properties.id)
+    if (!prev || prev === f) continue
+    const before = prev.properties.stages || {}
+    const after = f.properties.stages || {}
+    if (sameStages(before, after)) continue
+    const { lineId, id, meters = 0 } = f.properties
+    if (!changes[lineId]) changes[lineId] = {}
+    changes[lineId][id] = stageChanges(before, after)
+    delta += stagesMeters(after, meters) - stagesMeters(before, meters)
+  }
+  return Object.keys(changes).length ? { changes, delta } : null
+}
+
+function describe(label, lineIds, delta) {
+  const where = lineIds.length === 1 ? lineIds[0] : `${lineIds.length} lines`
+  const sign = delta >= 0 ? '+' : '−'
+  return `${label} on ${where}, ${sign}${Math.abs(delta).toFixed(1)} m`
+}
+
+// Entries saved before pieces were recorded held whole before/after maps
+const upgradeEntry = (entry) => ({
+  ...entry,
+  changes: Object.fromEntries(Object.entries(entry.changes).map(([lineId, segments]) => [
+    lineId,
+    Object.fromEntries(Object.entries(segments).map(([segId, change]) => [
+      segId,
+      change.added ? change : stageChanges(change.before, change.after)
+    ]))
+  ]))
+})
+
+// Undoes or redoes one entry by taking off and putting back only its own
+// pieces, so work that reached the segments since (a submit stamping them,
+// another crew's synced edits) is left alone. What gets taken off is kept in
+// the entry with its current meta, so going back the other way restores it.
+function applyEntry(features, entry, undo, stages, user) {
+  const bySegment = new Map()
+  for (const segments of Object.values(entry.changes)) {
+    for (const [segId, change] of Object.entries(segments)) bySegment.set(segId, change)
+  }
+  const taken = new Map()
+  const next = features.map(f => {
+    const change = bySegment.get(f.properties.id)
+    if (!change) return f
+    const off = undo ? change.added : change.removed
+    const on = undo ? change.removed : change.added
+    let properties = f.properties
+    const gone = {}
+    for (const [stageId, ranges] of Object.entries(off)) {
+      const here = intersectRanges(properties.stages?.[stageId], ranges)
+      if (here.length) gone[stageId] = here
+      properties = editStage(properties, stages, stageId, 'erase', ranges, user)
+    }
+    // Earlier stages first, as later ones can only sit on top of them
+    for (const stage of stages) {
+      if (on[stage.id]?.length) properties = editStage(properties, stages, stage.id, 'add', on[stage.id], user)
+    }
+    taken.set(f.properties.id, gone)
+    return properties === f.properties ? f : { ...f, properties }
+  })
+  const changes = Object.fromEntries(Object.entries(entry.changes).map(([lineId, segments]) => [
+    lineId,
+    Object.fromEntries(Object.entries(segments).map(([segId, change]) => [
+      segId,
+      taken.has(segId) ? { ...change, [undo ? 'added' : 'removed']: taken.get(segId) } : change
+    ]))
+  ]))
+  return { features: next, entry: { ...entry, changes } }
+}
+
+// Undo/redo as a list of named per-line diffs. An action opens with
+// beginUndoableAction() and is recorded once endUndoableAction(label) has
+// seen the resulting features. Entries remember which `user` made them.
+export default function useHistory(features, setFeatures, stages, user = null) {
+  const [history, setHistory] = useState(EMPTY_HISTORY)
+  const [closeTick, setCloseTick] = useState(0)
+  const featuresRef = useRef(features)
+  const pendingRef = useRef(null)
+  const userRef = useRef(user)
+
+  useEffect(() => {
+    featuresRef.current = features
+    userRef.current = user
+  }, [features, user])
+
+  useEffect(() => {
+    const pending = pendingRef.current
+    if (!pending?.label) return
+    pendingRef.current = null
+    const diff = diffFeatures(pending.base, features)
+    if (!diff) return
+    const lineIds = Object.keys(diff.changes)
+    const entry = {
+      id: `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      label: describe(pending.label, lineIds, diff.delta),
+      at: new Date().toISOString(),
+      ...(userRef.current ? { by: userRef.current.id, byName: userRef.current.name } : {}),
+      changes: diff.changes
+    }
+    setHistory(prev => {
+      const entries = [...prev.entries.slice(0, prev.cursor), entry].slice(-MAX_HISTORY)
+      return { entries, cursor: entries.length }
+    })
+  }, [features, closeTick])
+
+  const beginUndoableAction = useCallback(() => {
+    if (!pendingRef.current) pendingRef.current = { base: featuresRef.current, label: null }
+  }, [])
+
+  const endUndoableAction = useCallback((label = 'Edit') => {
+    if (!pendingRef.current) return
+    pendingRef.current.label = label
+    setCloseTick(t => t + 1)
+  }, [])
+
+  // Moves to the state right after entry `target - 1`; 0 is the oldest kept state
+  const jumpTo = useCallback((target) => {
+    const { entries, cursor } = history
+    const to = Math.max(0, Math.min(entries.length, target))
+    if (to === cursor) return
+    const undo = to < cursor
+    const order = undo
+      ? entries.map((_, i) => i).slice(to, cursor).reverse()
+      : entries.map((_, i) => i).slice(cursor, to)
+    const nextEntries = [...entries]
+    let next = featuresRef.current
+    for (const i of order) {
+      const applied = applyEntry(next, nextEntries[i], undo, stages, userRef.current)
+      next = applied.features
+      nextEntries[i] = applied.entry
+    }
+    featuresRef.current = next
+    setFeatures(next)
+    setHistory({ entries: nextEntries, cursor: to })
+  }, [history, setFeatures, stages])
+
+  const undo = useCallback(() => jumpTo(history.cursor - 1), [history.cursor, jumpTo])
+  const redo = useCallback(() => jumpTo(history.cursor + 1), [history.cursor, jumpTo])
+
+  const loadHistory = useCallback((saved) => {
+    pendingRef.current = null
+    setHistory(saved?.entries ? { ...saved, entries: saved.entries.map(upgradeEntry) } : EMPTY_HISTORY)
+  }, [])
+
+  const clearHistory = useCallback(() => loadHistory(null), [loadHistory])
+
+  return {
+    history,
+    canUndo: history.cursor > 0,
+    canRedo: history.cursor < history.entries.length,
+    beginUndoableAction,
+    endUndoableAction,
+    undo,
+    redo,
+    jumpTo,
+    loadHistory,
+    clearHistory
+  }
+}
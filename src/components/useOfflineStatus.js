@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react'
+
+const OFFLINE_READY_EVENT = 'trench-offline-ready'
+
+let offlineReady = false
+
+// Only the production build registers the worker; the dev server's modules
+// change on every edit and shouldn't be cached
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .then(registration => {
+        const urls = [
+          window.location.href,
+          ...performance.getEntriesByType('resource').map(e => e.name)
+        ]
+        registration.active?.postMessage({ type: 'cache-urls', urls })
+        offlineReady = true
+        window.dispatchEvent(new Event(OFFLINE_READY_EVENT))
+      })
+      .catch(console.error)
+  })
+}
+
+export default function useOfflineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [ready, setReady] = useState(offlineReady)
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    const markReady = () => setReady(true)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    window.addEventListener(OFFLINE_READY_EVENT, markReady)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+      window.removeEventListener(OFFLINE_READY_EVENT, markReady)
+    }
+  }, [])
+
+  return { online, offlineReady: ready }
+}
@@ -0,0 +1,205 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  deleteProject as dbDeleteProject,
+  emptyProjectData,
+  getMeta,
+  getProjectData,
+  listProjects,
+  newProjectId,
+  putProject,
+  saveProjectData,
+  setMeta
+} from './projectStore.js'
+
+const ACTIVE_KEY = 'activeProjectId'
+const SAVE_DELAY_MS = 400
+
+// Keys used before projects existed; imported once into the first project
+const LEGACY_GEOJSON_KEY = 'trench-mvp-geojson-v4'
+const LEGACY_LOG_KEY = 'dailyLog'
+const LEGACY_BASELINE_KEY = 'dailyLogBaseline'
+
+const readLegacy = (key) => {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+function legacyProjectData(id) {
+  const geo = readLegacy(LEGACY_GEOJSON_KEY)
+  const dailyLog = readLegacy(LEGACY_LOG_KEY)
+  const baseline = readLegacy(LEGACY_BASELINE_KEY)
+  if (!geo?.features?.length && !dailyLog?.length) return null
+  return {
+    ...emptyProjectData(id),
+    features: geo?.features || [],
+    layerConfig: geo?.layerConfig || null,
+    dailyLog: dailyLog || [],
+    baseline: baseline || {}
+  }
+}
+
+const clearLegacy = () => {
+  localStorage.removeItem(LEGACY_GEOJSON_KEY)
+  localStorage.removeItem(LEGACY_LOG_KEY)
+  localStorage.removeItem(LEGACY_BASELINE_KEY)
+}
+
+const makeProject = (name) => {
+  const now = Date.now()
+  return { id: newProjectId(), name, createdAt: now, updatedAt: now }
+}
+
+// Shared by every mount, so StrictMode's second run of the effect doesn't
+// create a second first project
+let firstProjectPromise = null
+function createFirstProject() {
+  if (!firstProjectPromise) {
+    firstProjectPromise = (async () => {
+      const project = makeProject('Project 1')
+      const legacy = legacyProjectData(project.id)
+      await putProject(project, legacy || { ...emptyProjectData(project.id), seedSample: true })
+      if (legacy) clearLegacy()
+      return project
+    })().catch(err => {
+      firstProjectPromise = null
+      throw err
+    })
+  }
+  return firstProjectPromise
+}
+
+export default function useProjects() {
+  const [projects, setProjects] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [activeData, setActiveData] = useState(null)
+  const [error, setError] = useState(null)
+  const [saveState, setSaveState] = useState('saved')
+  const pendingSaveRef = useRef(null)
+
+  const refresh = useCallback(() => listProjects().then(setProjects), [])
+
+  const flushSave = useCallback(() => {
+    const pending = pendingSaveRef.current
+    if (!pending) return Promise.resolve()
+    clearTimeout(pending.timer)
+    pendingSaveRef.current = null
+    return saveProjectData(pending.id, pending.data)
+      .then(() => { if (!pendingSaveRef.current) setSaveState('saved') })
+      .catch(err => {
+        setError(err)
+        setSaveState('error')
+      })
+  }, [])
+
+  const openProject = useCallback(async (id) => {
+    await flushSave()
+    const data = await getProjectData(id)
+    setActiveId(id)
+    setActiveData(data)
+    setMeta(ACTIVE_KEY, id).catch(console.error)
+  }, [flushSave])
+
+  useEffect(() => {
+    let cancelled = false
+    ;(async () => {
+      let list = await listProjects()
+      if (cancelled) return
+      if (!list.length) list = [await createFirstProject()]
+      if (cancelled) return
+      setProjects(list)
+      const stored = await getMeta(ACTIVE_KEY)
+      const id = list.some(p => p.id === stored) ? stored : list[0].id
+      if (!cancelled) await openProject(id)
+    })().catch(err => {
+      console.error(err)
+      setError(err)
+    })
+    return () => { cancelled = true }
+  }, [openProject])
+
+  useEffect(() => {
+    const onUnload = () => { flushSave() }
+    window.addEventListener('beforeunload', onUnload)
+    return () => window.removeEventListener('beforeunload', onUnload)
+  }, [flushSave])
+
+  // Debounced so a brush drag doesn't write the whole site on every mouse move
+  const saveActive = useCallback((id, data) => {
+    if (!id) return
+    const pending = pendingSaveRef.current
+    if (pending) clearTimeout(pending.timer)
+    const timer = setTimeout(flushSave, SAVE_DELAY_MS)
+    pendingSaveRef.current = { id, data, timer }
+    setSaveState('saving')
+  }, [flushSave])
+
+  const createProject = useCallback(async (name) => {
+    const project = makeProject(name || `Project ${projects.length + 1}`)
+    await putProject(project, emptyProjectData(project.id))
+    await refresh()
+    await openProject(project.id)
+  }, [projects.length, refresh, openProject])
+
+  const renameProject = useCallback(async (id, name) => {
+    const project = projects.find(p => p.id === id)
+    if (!project || !name) return
+    await putProject({ ...project, name, updatedAt: Date.now() })
+    await refresh()
+  }, [projects, refresh])
+
+  const duplicateProject = useCallback(async (id) => {
+    const source = projects.find(p => p.id === id)
+    if (!source) return
+    await flushSave()
+    const data = await getProjectData(id)
+    const project = makeProject(`${source.name} (copy)`)
+    await putProject(project, { ...data, id: project.id })
+    await refresh()
+    await openProject(project.id)
+  }, [projects, flushSave, refresh, openProject])
+
+  // Stores a project that came from elsewhere (the sync server) under its own id
+  const importProject = useCallback(async (project, data) => {
+    await flushSave()
+    const now = Date.now()
+    await putProject({ createdAt: now, ...project, updatedAt: now }, { ...data, id: project.id })
+    await refresh()
+    await openProject(project.id)
+  }, [flushSave, refresh, openProject])
+
+  const deleteProject = useCallback(async (id) => {
+    if (pendingSaveRef.current?.id === id) {
+      clearTimeout(pendingSaveRef.current.timer)
+      pendingSaveRef.current = null
+      setSaveState('saved')
+    }
+    await dbDeleteProject(id)
+    let list = await listProjects()
+    if (!list.length) {
+      const project = makeProject('Project 1')
+      await putProject(project, emptyProjectData(project.id))
+      list = [project]
+    }
+    setProjects(list)
+    if (id === activeId) await openProject(list[0].id)
+  }, [activeId, openProject])
+
+  return {
+    projects,
+    activeId,
+    activeData,
+    error,
+    saveState,
+    saveActive,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    importProject,
+    switchProject: openProject
+  }
+}
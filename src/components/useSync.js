@@ -0,0 +1,212 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { applyOpToStages, applyOpsToFeatures, diffToOps, isValidOp } from './syncOps.js'
+import { snapshotRanges } from './useDailyLog.js'
+import { fetchOpsSince, getClientId, getRemoteProject, publishProject, socketUrl } from './syncClient.js'
+
+const DIFF_DELAY_MS = 300
+const RECONNECT_MS = 3000
+
+function applyOpsToSnapshot(snapshot, ops) {
+  const next = { ...snapshot }
+  for (const op of ops) {
+    if (!next[op.segId]) continue
+    next[op.segId] = applyOpToStages(next[op.segId], op).stages
+  }
+  return next
+}
+
+// Keeps the active project in step with the sync server. Local edits are
+// diffed against the last synced state into ops, queued (and saved with the
+// project, so offline edits survive a reload) and sent over the socket.
+// `sync` is { server, seq, queue } or null for a project that isn't shared.
+export default function useSync({ projectId, features, setFeatures, stages, online }) {
+  const [sync, setSync] = useState(null)
+  const [status, setStatus] = useState('off')
+  const [notice, setNotice] = useState('')
+  const clientId = useRef(getClientId()).current
+  const featuresRef = useRef(features)
+  const stagesRef = useRef(stages)
+  const syncRef = useRef(sync)
+  const syncedRef = useRef(null)
+  const wsRef = useRef(null)
+
+  useEffect(() => {
+    featuresRef.current = features
+    stagesRef.current = stages
+  }, [features, stages])
+
+  const updateSync = useCallback((fn) => {
+    if (!syncRef.current) return
+    const next = fn(syncRef.current)
+    syncRef.current = next
+    setSync(next)
+  }, [])
+
+  const flush = useCallback(() => {
+    const queue = syncRef.current?.queue
+    const ws = wsRef.current
+    if (!queue?.length || ws?.readyState !== WebSocket.OPEN) return
+    ws.send(JSON.stringify({ type: 'ops', ops: queue }))
+  }, [])
+
+  // Turns whatever changed locally since the last sync into queued ops
+  const captureLocal = useCallback(() => {
+    if (!syncRef.current) return
+    const current = featuresRef.current
+    if (!syncedRef.current) {
+      if (current.length) syncedRef.current = snapshotRanges(current)
+      return
+    }
+    const ops = diffToOps(syncedRef.current, current, clientId)
+    syncedRef.current = snapshotRanges(current)
+    if (!ops.length) return
+    updateSync(s => ({ ...s, queue: [...s.queue, ...ops] }))
+    flush()
+  }, [clientId, flush, updateSync])
+
+  const applyRemote = useCallback((ops) => {
+    if (!ops.length) return
+    captureLocal()
+    syncedRef.current = applyOpsToSnapshot(syncedRef.current || {}, ops)
+    setFeatures(prev => applyOpsToFeatures(prev, ops, stagesRef.current).features)
+    updateSync(s => ({ ...s, seq: Math.max(s.seq, ops[ops.length - 1].seq) }))
+  }, [captureLocal, setFeatures, updateSync])
+
+  // Takes the server's ranges wholesale, then replays what is still queued here
+  const resync = useCallback(async () => {
+    const current = syncRef.current
+    if (!current) return
+    const remote = await getRemoteProject(current.server, projectId)
+    captureLocal()
+    const serverStages = new Map(remote.data.features.map(f => [f.properties.id, f.properties.stages || {}]))
+    const queue = syncRef.current.queue
+    setFeatures(prev => {
+      const taken = prev.map(f => (serverStages.has(f.properties.id)
+        ? { ...f, properties: { ...f.properties, stages: serverStages.get(f.properties.id) } }
+        : f))
+      return applyOpsToFeatures(taken, queue, stagesRef.current).features
+    })
+    syncedRef.current = applyOpsToSnapshot(Object.fromEntries(serverStages), queue)
+    updateSync(s => ({ ...s, seq: remote.seq }))
+  }, [projectId, captureLocal, setFeatures, updateSync])
+
+  const catchUp = useCallback(async () => {
+    const current = syncRef.current
+    try {
+      const { ops, seq } = await fetchOpsSince(current.server, projectId, current.seq)
+      // A server behind us holds a different copy of the project
+      if (seq < current.seq) await resync()
+      else applyRemote(ops)
+    } catch (err) {
+      if (err.status === 409) await resync()
+      else throw err
+    }
+  }, [projectId, applyRemote, resync])
+
+  useEffect(() => {
+    if (!sync) return
+    const id = setTimeout(captureLocal, DIFF_DELAY_MS)
+    return () => clearTimeout(id)
+  }, [features, sync, captureLocal])
+
+  const server = sync?.server
+  useEffect(() => {
+    if (!server || !projectId) {
+      setStatus('off')
+      return
+    }
+    if (!online) {
+      setStatus('offline')
+      return
+    }
+    let closed = false
+    let retry = null
+
+    const connect = () => {
+      setStatus('connecting')
+      const ws = new WebSocket(socketUrl(server, projectId, clientId))
+      wsRef.current = ws
+      ws.onopen = () => {
+        catchUp()
+          .then(() => {
+            if (closed) return
+            setStatus('live')
+            flush()
+          })
+          .catch(err => {
+            console.error(err)
+            setStatus('error')
+          })
+      }
+      ws.onmessage = (event) => {
+        let message
+        try {
+          message = JSON.parse(event.data)
+        } catch {
+          return
+        }
+        if (message.type === 'ops') applyRemote(message.ops || [])
+        else if (message.type === 'reset') resync().catch(console.error)
+        else if (message.type === 'ack') {
+          const acked = new Set(message.ids)
+          updateSync(s => ({ ...s, seq: Math.max(s.seq, message.seq), queue: s.queue.filter(op => !acked.has(op.id)) }))
+          if (message.conflicts) {
+            // The server kept newer work another crew drew over our erase
+            setNotice(`${message.conflicts} erase${message.conflicts > 1 ? 's' : ''} kept newer work from another crew`)
+            resync().catch(console.error)
+          }
+        } else if (message.type === 'error') {
+          // The server refuses a batch with a bad op as a whole; those stay on
+          // this device so the rest of the queue can go through
+          const bad = (syncRef.current?.queue || []).filter(op => !isValidOp(op))
+          if (bad.length) {
+            const dropped = new Set(bad.map(op => op.id))
+            updateSync(s => ({ ...s, queue: s.queue.filter(op => !dropped.has(op.id)) }))
+            setNotice(`${bad.length} change${bad.length > 1 ? 's' : ''} the server could not take stay on this device only`)
+            flush()
+          } else {
+            setStatus('error')
+            setNotice(`The sync server refused the changes: ${message.error}`)
+          }
+        }
+      }
+      ws.onclose = (event) => {
+        if (wsRef.current === ws) wsRef.current = null
+        if (closed) return
+        if (event.code === 4004) {
+          setStatus('error')
+          setNotice('The sync server does not know this project')
+          return
+        }
+        setStatus('connecting')
+        retry = setTimeout(connect, RECONNECT_MS)
+      }
+    }
+
+    connect()
+    return () => {
+      closed = true
+      clearTimeout(retry)
+      wsRef.current?.close()
+      wsRef.current = null
+    }
+  }, [server, projectId, online, clientId, catchUp, applyRemote, resync, flush, updateSync])
+
+  const loadSync = useCallback((saved) => {
+    syncedRef.current = null
+    syncRef.current = saved?.server ? { seq: 0, queue: [], ...saved } : null
+    setSync(syncRef.current)
+    setNotice('')
+  }, [])
+
+  // Uploads the current project and starts syncing it
+  const shareProject = useCallback(async (serverUrl, project, data) => {
+    const { seq } = await publishProject(serverUrl, project, data)
+    loadSync({ server: serverUrl, seq, queue: [] })
+    syncedRef.current = snapshotRanges(featuresRef.current)
+  }, [loadSync])
+
+  const stopSync = useCallback(() => loadSync(null), [loadSync])
+
+  return { sync, syncStatus: status, syncNotice: notice, loadSync, shareProject, stopSync }
+}
@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from 'react'
+import { getMeta, setMeta } from './projectStore.js'
+
+const USERS_KEY = 'users'
+const CURRENT_KEY = 'currentUserId'
+
+const newUserId = () => `user_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+
+// Profiles are kept per device alongside the projects. They are lightweight
+// on purpose: a name and a role, picked each time the app starts, with no
+// passwords. The last profile used is remembered to preselect it.
+export default function useUsers() {
+  const [users, setUsers] = useState([])
+  const [currentId, setCurrentId] = useState(null)
+  const [lastId, setLastId] = useState(null)
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    Promise.all([getMeta(USERS_KEY), getMeta(CURRENT_KEY)])
+      .then(([stored, current]) => {
+        if (cancelled) return
+        const list = stored || []
+        setUsers(list)
+        setLastId(list.some(u => u.id === current) ? current : null)
+      })
+      .catch(console.error)
+      .finally(() => {
+        if (!cancelled) setLoaded(true)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const saveUsers = useCallback((next) => {
+    setUsers(next)
+    setMeta(USERS_KEY, next).catch(console.error)
+  }, [])
+
+  const selectUser = useCallback((id) => {
+    setCurrentId(id)
+    if (!id) return
+    setLastId(id)
+    setMeta(CURRENT_KEY, id).catch(console.error)
+  }, [])
+
+  const addUser = useCallback((name, role) => {
+    const user = { id: newUserId(), name: name.trim(), role, createdAt: Date.now() }
+    saveUsers([...users, user])
+    selectUser(user.id)
+    return user
+  }, [users, saveUsers, selectUser])
+
+  const updateUser = useCallback((id, changes) => {
+    saveUsers(users.map(u => (u.id === id ? { ...u, ...changes } : u)))
+  }, [users, saveUsers])
+
+  const removeUser = useCallback((id) => {
+    saveUsers(users.filter(u => u.id !== id))
+    if (id === currentId) selectUser(null)
+  }, [users, currentId, saveUsers, selectUser])
+
+  const currentUser = users.find(u => u.id === currentId) || null
+
+  return { users, currentUser, lastUserId: lastId, loaded, selectUser, addUser, updateUser, removeUser }
+}
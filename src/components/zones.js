@@ -0,0 +1,124 @@
+import {
+  along as turfAlong,
+  bbox as turfBbox,
+  booleanIntersects,
+  booleanPointInPolygon,
+  length as turfLength
+} from '@turf/turf'
+import { layerOf } from './layers.js'
+import { summarize } from './progress.js'
+
+export const UNZONED = '(no zone)'
+
+export const newZoneId = () => `zone_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+
+const samePoint = (a, b) => a && b && a[0] === b[0] && a[1] === b[1]
+
+// CAD exports often carry blocks as closed polylines rather than polygons
+function asPolygon(geometry) {
+  if (!geometry) return null
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') return geometry
+  if (geometry.type === 'LineString') {
+    const c = geometry.coordinates || []
+    if (c.length >= 4 && samePoint(c[0], c[c.length - 1])) return { type: 'Polygon', coordinates: [c] }
+  }
+  return null
+}
+
+function zoneLabel(properties, fallback) {
+  const p = properties || {}
+  return String(p.name ?? p.Name ?? p.text ?? p.Text ?? p.block ?? p.label ?? fallback)
+}
+
+// Polygon layers in a GeoJSON file: [{ layer, count }]
+export function polygonLayers(geojson) {
+  const byLayer = new Map()
+  for (const f of (geojson?.features || [])) {
+    if (!asPolygon(f.geometry)) continue
+    const layer = layerOf(f)
+    byLayer.set(layer, (byLayer.get(layer) || 0) + 1)
+  }
+  return [...byLayer.entries()].map(([layer, count]) => ({ layer, count })).sort((a, b) => b.count - a.count)
+}
+
+// One zone per polygon on the chosen layers
+export function zonesFromGeoJSON(geojson, layers = null, source = 'import') {
+  const pick = layers ? new Set(layers) : null
+  const zones = []
+  for (const f of (geojson?.features || [])) {
+    const geometry = asPolygon(f.geometry)
+    if (!geometry || (pick && !pick.has(layerOf(f)))) continue
+    const fallback = `${pick ? layerOf(f) : 'Zone'} ${zones.length + 1}`
+    zones.push({ id: newZoneId(), name: zoneLabel(f.properties, fallback), geometry, source })
+  }
+  return zones
+}
+
+export const zoneFeature = (zone) => ({ type: 'Feature', properties: { id: zone.id, name: zone.name }, geometry: zone.geometry })
+
+// Geometry objects survive stage edits, so each zones list keeps what it
+// already worked out per geometry instead of redoing it on every brush stroke
+const assignmentCache = new WeakMap()
+
+function zoneShapes(zones) {
+  return zones.map(z => {
+    const feature = zoneFeature(z)
+    return { id: z.id, feature, box: turfBbox(feature) }
+  })
+}
+
+function zoneFor(f, shapes) {
+  const box = f.properties._bbox || turfBbox(f)
+  const candidates = shapes.filter(s => !(box[2] < s.box[0] || box[0] > s.box[2] || box[3] < s.box[1] || box[1] > s.box[3]))
+  if (!candidates.length) return null
+  let mid = null
+  try {
+    mid = turfAlong(f, turfLength(f) / 2)
+  } catch {
+    mid = null
+  }
+  const hit = (mid && candidates.find(s => booleanPointInPolygon(mid, s.feature))) ||
+    candidates.find(s => booleanIntersects(f, s.feature))
+  return hit?.id || null
+}
+
+// segment id -> zone id. A segment goes to the zone holding its midpoint, or
+// failing that the first zone it crosses.
+export function assignZones(features, zones) {
+  const assignment = new Map()
+  if (!zones?.length) return assignment
+  let cached = assignmentCache.get(zones)
+  if (!cached) {
+    cached = { shapes: zoneShapes(zones), byGeometry: new WeakMap() }
+    assignmentCache.set(zones, cached)
+  }
+  for (const f of (features || [])) {
+    if (!f.geometry) continue
+    if (!cached.byGeometry.has(f.geometry)) cached.byGeometry.set(f.geometry, zoneFor(f, cached.shapes))
+    const zoneId = cached.byGeometry.get(f.geometry)
+    if (zoneId) assignment.set(f.properties.id, zoneId)
+  }
+  return assignment
+}
+
+// Per-zone totals for every stage, with unzoned segments last:
+// [{ id, name, total, segments, stages: { [stageId]: completed } }]
+export function zoneSummary(features, zones, assignment, stages) {
+  const groups = new Map((zones || []).map(z => [z.id, []]))
+  const unzoned = []
+  for (const f of (features || [])) {
+    const zoneId = assignment.get(f.properties.id)
+    if (zoneId && groups.has(zoneId)) groups.get(zoneId).push(f)
+    else unzoned.push(f)
+  }
+  const row = (id, name, list) => ({
+    id,
+    name,
+    segments: list.length,
+    total: summarize(list, stages[0]?.id).total,
+    stages: Object.fromEntries(stages.map(s => [s.id, summarize(list, s.id).completed]))
+  })
+  const rows = (zones || []).map(z => row(z.id, z.name, groups.get(z.id)))
+  if (unzoned.length) rows.push(row(null, UNZONED, unzoned))
+  return rows
+}